@@ -20,29 +20,30 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    // Typing pause (ms) before the prompt size is re-estimated
+    const TOKEN_ESTIMATE_DELAY = 300;
+
     // State management
     let apiProvider = sessionStorage.getItem('ai_provider') || 'gemini';
     let apiKey = sessionStorage.getItem(`${apiProvider}_api_key`) || '';
     let testers = [];
-    const tokenLimit = 32000; // Increased token limit for Gemini
-
-    // Provider configurations
-    const providers = {
-        openai: {
-            name: 'OpenAI',
-            keyPrefix: 'sk-',
-            placeholder: 'sk-...',
-            keyUrl: 'https://platform.openai.com/account/api-keys',
-            validate: (key) => key.startsWith('sk-')
-        },
-        gemini: {
-            name: 'Google Gemini',
-            keyPrefix: 'AIza',
-            placeholder: 'AIza...',
-            keyUrl: 'https://makersuite.google.com/app/apikey',
-            validate: (key) => key.startsWith('AIza')
-        }
-    };
+    let planMetadata = null; // Provider/model details of the last generated plan
+    let currentPlan = null; // Typed plan or test case object (structured-output mode only)
+    let planMarkdown = ''; // Final Markdown of the last generated plan
+    let planRequirements = []; // Requirement IDs extracted from the documents of the last generated plan
+    let outputFormat = sessionStorage.getItem('output_format') || 'markdown';
+    let generationMode = sessionStorage.getItem('generation_mode') || 'plan'; // 'plan', 'testcases' or 'gherkin'
+    let featureFiles = []; // Feature files of the last BDD generation, each with its validateGherkin() result
+    let planTemplateId = sessionStorage.getItem('plan_template') || 'default'; // Template for Markdown test plans
+    let customTemplates = []; // The team's own plan templates (localStorage)
+    let planTemplate = null; // Template of the last generated Markdown plan
+    let documentDetails = createDocumentDetails(); // Project, release and sign-off details (localStorage)
+    let planDocumentDetails = null; // Document details of the last generated plan
+    let planDocumentControl = ''; // Its Document Control section (Markdown)
+    let activeGeneration = null; // AbortController of the in-flight generation
+    let documents = []; // Requirement documents: { id, file, controller, extraction, text, pageCount, ocrPages, ocrFailure, ocr, error }
+    let nextDocumentId = 1;
+    let tokenEstimateTimer = null; // Pending token estimate (updateTokenEstimate)
 
     // DOM Elements
     const apiProviderSelect = document.getElementById('apiProvider');
@@ -50,16 +51,49 @@ document.addEventListener('DOMContentLoaded', function () {
     const apiKeyValidation = document.getElementById('apiKeyValidation');
     const saveApiKeyBtn = document.getElementById('saveApiKey');
     const fileInput = document.getElementById('fileInput');
-    const fileName = document.getElementById('fileName');
+    const dropZone = document.getElementById('dropZone');
+    const documentList = document.getElementById('documentList');
     const startDateInput = document.getElementById('startDate');
     const endDateInput = document.getElementById('endDate');
     const addTesterBtn = document.getElementById('addTester');
     const testersList = document.getElementById('testersList');
     const noTesters = document.getElementById('noTesters');
     const generateBtn = document.getElementById('generateBtn');
+    const stopBtn = document.getElementById('stopBtn');
+    const stopOverlayBtn = document.getElementById('stopOverlayBtn');
     const output = document.getElementById('output');
     const downloadPdfBtn = document.getElementById('downloadPdf');
+    const downloadFeaturesBtn = document.getElementById('downloadFeatures');
+    const exportMenu = document.getElementById('exportMenu');
     const loadingOverlay = document.getElementById('loadingOverlay');
+    const loadingTitle = document.getElementById('loadingTitle');
+    const loadingMessage = document.getElementById('loadingMessage');
+    const loadingProgress = document.getElementById('loadingProgress');
+    const loadingProgressBar = document.getElementById('loadingProgressBar');
+    const customEndpointSettings = document.getElementById('customEndpointSettings');
+    const customBaseUrlInput = document.getElementById('customBaseUrl');
+    const customModelInput = document.getElementById('customModel');
+    const customModelList = document.getElementById('customModelList');
+    const customContextWindowInput = document.getElementById('customContextWindow');
+    const listModelsBtn = document.getElementById('listModelsBtn');
+    const listModelsStatus = document.getElementById('listModelsStatus');
+    const modelSelectGroup = document.getElementById('modelSelectGroup');
+    const modelSelect = document.getElementById('modelSelect');
+    const temperatureInput = document.getElementById('temperature');
+    const temperatureValue = document.getElementById('temperatureValue');
+    const maxTokensInput = document.getElementById('maxTokens');
+    const maxContinuationsInput = document.getElementById('maxContinuations');
+    const maxRetriesInput = document.getElementById('maxRetries');
+    const chunkingSelect = document.getElementById('chunking');
+    const fallbackOrderGroup = document.getElementById('fallbackOrderGroup');
+    const fallbackOrderList = document.getElementById('fallbackOrderList');
+    const resetAdvancedBtn = document.getElementById('resetAdvanced');
+    const planMeta = document.getElementById('planMeta');
+    const generationStatus = document.getElementById('generationStatus');
+    const outputFormatSelect = document.getElementById('outputFormat');
+    const generationModeSelect = document.getElementById('generationMode');
+    const outputTitle = document.getElementById('outputTitle');
+    const tokenEstimate = document.getElementById('tokenEstimate');
 
     // Set minimum date to today for date inputs
     const today = new Date().toISOString().split('T')[0];
@@ -81,12 +115,42 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     });
 
+    // Populate provider dropdown from the registry
+    apiProviderSelect.innerHTML = getProviders()
+        .map(provider => `<option value="${provider.id}">${provider.name}</option>`)
+        .join('');
+
+    // Fall back to the default provider if the saved one is no longer registered
+    if (!getProvider(apiProvider)) {
+        apiProvider = 'gemini';
+        apiKey = sessionStorage.getItem(`${apiProvider}_api_key`) || '';
+    }
+
+    /**
+     * Reads the provider specific settings saved in session storage.
+     * @param {string} id - Provider id
+     * @returns {object} Saved settings (empty object if none)
+     */
+    function getProviderSettings(id) {
+        try {
+            return JSON.parse(sessionStorage.getItem(`${id}_settings`)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function saveProviderSettings(id, settings) {
+        sessionStorage.setItem(`${id}_settings`, JSON.stringify(settings));
+    }
+
     // Load saved provider and API key
     apiProviderSelect.value = apiProvider;
     if (apiKey) {
         apiKeyInput.value = apiKey;
     }
     updatePlaceholder();
+    updateProviderSettingsPanel();
+    renderAdvancedSettings();
 
     // Update placeholder when provider changes
     apiProviderSelect.addEventListener('change', (e) => {
@@ -96,33 +160,228 @@ document.addEventListener('DOMContentLoaded', function () {
         apiKey = sessionStorage.getItem(`${apiProvider}_api_key`) || '';
         apiKeyInput.value = apiKey;
         updatePlaceholder();
+        updateProviderSettingsPanel();
+        renderAdvancedSettings();
         handleApiKeyValidation(apiKey);
         checkGenerateButtonState();
     });
 
     function updatePlaceholder() {
-        const provider = providers[apiProvider];
+        const provider = getProvider(apiProvider);
         apiKeyInput.placeholder = provider.placeholder;
     }
 
+    // Show the endpoint settings only for the custom OpenAI-compatible provider
+    function updateProviderSettingsPanel() {
+        const isCustom = apiProvider === 'custom';
+        customEndpointSettings.classList.toggle('hidden', !isCustom);
+
+        if (isCustom) {
+            const settings = getProviderSettings('custom');
+            customBaseUrlInput.value = settings.baseUrl || '';
+            customModelInput.value = settings.model || '';
+            customContextWindowInput.value = settings.contextWindow || '';
+        }
+    }
+
+    // Persist custom endpoint settings as they are edited
+    [customBaseUrlInput, customModelInput, customContextWindowInput].forEach(input => {
+        input.addEventListener('input', () => {
+            const contextWindow = parseInt(customContextWindowInput.value);
+            saveProviderSettings('custom', {
+                ...getProviderSettings('custom'),
+                baseUrl: customBaseUrlInput.value.trim(),
+                model: customModelInput.value.trim(),
+                contextWindow: contextWindow > 0 ? contextWindow : ''
+            });
+            checkGenerateButtonState();
+        });
+    });
+
+    // --- Advanced Generation Settings ---
+
+    /**
+     * Saves a single generation setting for the current provider.
+     * @param {string} key - Setting name (model, temperature, maxTokens, fallbackOrder)
+     * @param {*} value - New value
+     */
+    function updateProviderSetting(key, value) {
+        saveProviderSettings(apiProvider, { ...getProviderSettings(apiProvider), [key]: value });
+    }
+
+    // Render the Advanced panel from the current provider's resolved settings
+    function renderAdvancedSettings() {
+        const provider = getProvider(apiProvider);
+        const settings = resolveProviderSettings(apiProvider, getProviderSettings(apiProvider));
+
+        // Free-form providers (custom endpoint) pick their model in the endpoint panel
+        modelSelectGroup.classList.toggle('hidden', provider.models.length === 0);
+        modelSelect.innerHTML = provider.models
+            .map(model => `<option value="${model.name}" ${model.name === settings.model ? 'selected' : ''}>${model.label}</option>`)
+            .join('');
+
+        temperatureInput.max = provider.maxTemperature;
+        temperatureInput.value = Math.min(settings.temperature, provider.maxTemperature);
+        temperatureValue.textContent = Number(temperatureInput.value).toFixed(1);
+        // Catalog models cap the output tokens they accept - show what will actually be requested
+        const model = findModel(provider, settings.model);
+        maxTokensInput.max = model.maxOutputTokens || '';
+        maxTokensInput.value = getMaxOutputTokens(model, settings);
+        maxContinuationsInput.value = settings.maxContinuations;
+        maxRetriesInput.value = settings.maxRetries;
+        chunkingSelect.value = settings.chunking;
+
+        fallbackOrderGroup.classList.toggle('hidden', !provider.supportsFallback);
+        if (provider.supportsFallback) {
+            renderFallbackOrder(settings);
+        }
+
+        // Model, output tokens and chunking all change the token budget
+        updateTokenEstimate();
+    }
+
+    function renderFallbackOrder(settings) {
+        const order = settings.fallbackOrder;
+        fallbackOrderList.innerHTML = order.map((entry, index) => `
+            <li class="flex items-center gap-3 px-3 py-2 bg-white/5 border border-white/10 rounded-lg ${entry.name === settings.model ? 'opacity-50' : ''}">
+                <input type="checkbox" ${entry.enabled ? 'checked' : ''} ${entry.name === settings.model ? 'disabled' : ''}
+                    onchange="toggleFallbackModel(${index}, this.checked)" class="accent-violet-500 cursor-pointer" />
+                <span class="flex-1 text-sm text-white">${index + 1}. ${findModel(getProvider(apiProvider), entry.name).label}
+                    ${entry.name === settings.model ? '<span class="text-xs text-white/50">(selected model)</span>' : ''}</span>
+                <button onclick="moveFallbackModel(${index}, -1)" ${index === 0 ? 'disabled' : ''}
+                    class="px-2 text-white/60 hover:text-white disabled:opacity-30 transition-colors" title="Move up">▲</button>
+                <button onclick="moveFallbackModel(${index}, 1)" ${index === order.length - 1 ? 'disabled' : ''}
+                    class="px-2 text-white/60 hover:text-white disabled:opacity-30 transition-colors" title="Move down">▼</button>
+            </li>
+        `).join('');
+    }
+
+    function getFallbackOrder() {
+        return resolveProviderSettings(apiProvider, getProviderSettings(apiProvider)).fallbackOrder.map(entry => ({ ...entry }));
+    }
+
+    // Move a Gemini fallback model up or down
+    window.moveFallbackModel = function (index, direction) {
+        const order = getFallbackOrder();
+        const target = index + direction;
+        if (target < 0 || target >= order.length) return;
+
+        [order[index], order[target]] = [order[target], order[index]];
+        updateProviderSetting('fallbackOrder', order);
+        renderAdvancedSettings();
+    };
+
+    // Enable or skip a Gemini fallback model
+    window.toggleFallbackModel = function (index, enabled) {
+        const order = getFallbackOrder();
+        order[index].enabled = enabled;
+        updateProviderSetting('fallbackOrder', order);
+        renderAdvancedSettings();
+    };
+
+    modelSelect.addEventListener('change', (e) => {
+        updateProviderSetting('model', e.target.value);
+        renderAdvancedSettings();
+    });
+
+    temperatureInput.addEventListener('input', (e) => {
+        temperatureValue.textContent = Number(e.target.value).toFixed(1);
+        updateProviderSetting('temperature', parseFloat(e.target.value));
+    });
+
+    maxTokensInput.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        updateProviderSetting('maxTokens', value > 0 ? value : '');
+        renderAdvancedSettings();
+    });
+
+    maxContinuationsInput.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        updateProviderSetting('maxContinuations', value >= 0 ? Math.min(value, 10) : '');
+        renderAdvancedSettings();
+    });
+
+    maxRetriesInput.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        updateProviderSetting('maxRetries', value >= 0 ? Math.min(value, 5) : '');
+        renderAdvancedSettings();
+    });
+
+    chunkingSelect.addEventListener('change', (e) => {
+        updateProviderSetting('chunking', CHUNKING_MODES.includes(e.target.value) ? e.target.value : '');
+        renderAdvancedSettings();
+    });
+
+    // Drop generation overrides but keep endpoint settings (base URL, custom model, context window)
+    resetAdvancedBtn.addEventListener('click', () => {
+        const { baseUrl, model, contextWindow } = getProviderSettings(apiProvider);
+        saveProviderSettings(apiProvider, apiProvider === 'custom' ? { baseUrl, model, contextWindow } : {});
+        renderAdvancedSettings();
+    });
+
+    // Probe the custom endpoint's /v1/models
+    listModelsBtn.addEventListener('click', async () => {
+        const provider = getProvider('custom');
+        const settings = getProviderSettings('custom');
+        const key = apiKeyInput.value.trim();
+
+        listModelsStatus.classList.remove('hidden');
+
+        if (!settings.baseUrl) {
+            listModelsStatus.textContent = '⚠️ Enter a base URL first';
+            listModelsStatus.className = 'text-xs mt-2 text-red-400 font-medium';
+            return;
+        }
+
+        listModelsBtn.disabled = true;
+        listModelsStatus.textContent = 'Querying endpoint...';
+        listModelsStatus.className = 'text-xs mt-2 text-white/60 font-medium';
+
+        try {
+            const models = await provider.listModels(settings, key);
+            customModelList.innerHTML = models.map(id => `<option value="${escapeHtml(id)}"></option>`).join('');
+
+            if (models.length === 0) {
+                listModelsStatus.textContent = '⚠️ Endpoint is reachable but reported no models';
+                listModelsStatus.className = 'text-xs mt-2 text-yellow-400 font-medium';
+            } else {
+                listModelsStatus.textContent = `✅ ${models.length} model(s) available: ${models.join(', ')}`;
+                listModelsStatus.className = 'text-xs mt-2 text-green-400 font-medium';
+                if (!customModelInput.value) {
+                    customModelInput.value = models[0];
+                    customModelInput.dispatchEvent(new Event('input'));
+                }
+            }
+        } catch (error) {
+            // fetch() rejects with a TypeError when the server is down or blocks CORS
+            const hint = error instanceof TypeError ? ' (is the server running and allowing CORS from this page?)' : '';
+            listModelsStatus.textContent = `⚠️ Could not list models: ${error.message}${hint}`;
+            listModelsStatus.className = 'text-xs mt-2 text-red-400 font-medium';
+        } finally {
+            listModelsBtn.disabled = false;
+        }
+    });
+
     /**
      * Handles UI updates for API key validation.
      * Uses validateApiKey from utils.js
      * @param {string} key 
      */
     function handleApiKeyValidation(key) {
-        if (key.length === 0) {
+        const provider = getProvider(apiProvider);
+
+        // Nothing to check for empty keys or providers without a fixed key format
+        if (key.length === 0 || !provider.keyPrefix) {
             apiKeyValidation.classList.add('hidden');
             apiKeyInput.classList.remove('border-red-500', 'border-green-500', 'border-slate-200');
             apiKeyInput.classList.add('border-slate-200');
             return false;
         }
 
-        const provider = providers[apiProvider];
         apiKeyValidation.classList.remove('hidden');
         apiKeyInput.classList.remove('border-slate-200', 'border-red-500', 'border-green-500');
 
-        if (validateApiKey(key, provider)) {
+        if (validateApiKey(key, apiProvider)) {
             apiKeyValidation.textContent = `✅ Valid ${provider.name} API key format`;
             apiKeyValidation.className = 'text-xs mt-2 text-green-600 font-medium';
             apiKeyInput.classList.add('border-green-500');
@@ -143,15 +402,21 @@ document.addEventListener('DOMContentLoaded', function () {
     // Save API Key
     saveApiKeyBtn.addEventListener('click', () => {
         apiKey = apiKeyInput.value.trim();
-        if (!apiKey) {
+        const provider = getProvider(apiProvider);
+
+        if (!apiKey && provider.requiresKey !== false) {
             alert('Please enter an API key');
             return;
         }
 
-        const provider = providers[apiProvider];
+        const settingsError = provider.validateSettings?.(getProviderSettings(apiProvider));
+        if (settingsError) {
+            alert(`⚠️ ${settingsError}`);
+            return;
+        }
 
         // Validate API key format using utils
-        if (!validateApiKey(apiKey, provider)) {
+        if (!validateApiKey(apiKey, apiProvider)) {
             alert(`⚠️ Invalid API key format!\n\n${provider.name} API keys should start with "${provider.keyPrefix}".\n\nYou entered a key starting with "${apiKey.substring(0, 7)}..."\n\nPlease get your ${provider.name} API key from: ${provider.keyUrl}`);
             apiKeyInput.focus();
             return;
@@ -159,30 +424,586 @@ document.addEventListener('DOMContentLoaded', function () {
 
         sessionStorage.setItem(`${apiProvider}_api_key`, apiKey);
         sessionStorage.setItem('ai_provider', apiProvider);
-        alert(`✅ ${provider.name} API key saved successfully!`);
+        alert(apiKey ? `✅ ${provider.name} API key saved successfully!` : `✅ ${provider.name} settings saved successfully!`);
         checkGenerateButtonState();
     });
 
+    // --- Requirement Documents ---
+
+    /**
+     * Adds files to the document set and starts extracting them right away,
+     * so page counts and the token estimate are ready before Generate.
+     * @param {FileList|File[]} files - Selected or dropped files
+     */
+    function addDocuments(files) {
+        Array.from(files).forEach(file => {
+            // Picking the same file twice is a no-op
+            const isDuplicate = documents.some(doc =>
+                doc.file.name === file.name && doc.file.size === file.size && doc.file.lastModified === file.lastModified);
+            if (isDuplicate) return;
+
+            const doc = {
+                id: nextDocumentId++, file, controller: new AbortController(),
+                text: null, pageCount: null, ocrPages: 0, ocrFailure: null, ocr: null, error: null
+            };
+            doc.extraction = extractDocument(file, {
+                signal: doc.controller.signal,
+                // Scanned pages are OCR'd - report progress per page
+                onProgress: (ocr) => {
+                    const pageChanged = doc.ocr?.page !== ocr.page;
+                    doc.ocr = ocr;
+                    renderOcrProgress();
+                    if (pageChanged) renderDocuments();
+                }
+            })
+                .then(({ text, pageCount, ocrPages, ocrFailure }) => {
+                    doc.text = text;
+                    doc.pageCount = pageCount;
+                    doc.ocrPages = ocrPages;
+                    doc.ocrFailure = ocrFailure || null;
+                })
+                .catch(error => {
+                    doc.error = error.message;
+                })
+                .finally(() => {
+                    doc.ocr = null;
+                    renderOcrProgress();
+                    renderDocuments();
+                    checkGenerateButtonState();
+                });
+            documents.push(doc);
+        });
+
+        renderDocuments();
+        checkGenerateButtonState();
+    }
+
+    // Render the uploaded documents with their size and page (or word) count
+    function renderDocuments() {
+        documentList.classList.toggle('hidden', documents.length === 0);
+
+        documentList.innerHTML = documents.map(doc => {
+            let details = formatFileSize(doc.file.size);
+            if (doc.error) {
+                details += ` · ⚠️ ${escapeHtml(doc.error)}`;
+            } else if (doc.ocr) {
+                details += ` · OCR of page ${doc.ocr.page} (${doc.ocr.index} of ${doc.ocr.total} scanned)...`;
+            } else if (doc.text === null) {
+                details += ' · reading...';
+            } else if (doc.pageCount) {
+                details += ` · ${doc.pageCount} page${doc.pageCount === 1 ? '' : 's'}`;
+                if (doc.ocrPages > 0) details += ` (${doc.ocrPages} read with OCR)`;
+                if (doc.ocrFailure) {
+                    const { pages, message } = doc.ocrFailure;
+                    details += ` · ⚠️ OCR failed (${escapeHtml(message)}) - page${pages.length === 1 ? '' : 's'} ${pages.join(', ')} could not be read`;
+                }
+            } else {
+                details += ` · ${doc.text.split(/\s+/).filter(Boolean).length.toLocaleString()} words`;
+            }
+
+            return `
+            <li class="p-3 ${doc.error ? 'bg-red-500/20 text-red-200' : 'bg-violet-500/20 text-violet-200'} rounded-lg text-sm font-medium flex items-center gap-2">
+                <svg class="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
+                <div class="flex-1 min-w-0">
+                    <p class="truncate" title="${escapeHtml(doc.file.name)}">${escapeHtml(doc.file.name)}</p>
+                    <p class="text-xs font-normal opacity-70">${details}</p>
+                </div>
+                <button 
+                    onclick="removeDocument(${doc.id})" 
+                    ${fileInput.disabled ? 'disabled' : ''}
+                    class="text-red-400 hover:text-red-300 text-xs font-bold uppercase tracking-wide transition-colors disabled:opacity-30"
+                >
+                    Remove
+                </button>
+            </li>
+        `;
+        }).join('');
+    }
+
+    // Show per-page OCR progress in the loading overlay while scanned PDF pages are read
+    function renderOcrProgress() {
+        const reading = documents.find(doc => doc.ocr);
+
+        if (!reading) {
+            loadingTitle.textContent = GENERATION_MODES[generationMode].loadingTitle;
+            loadingMessage.textContent = GENERATION_MODES[generationMode].loadingMessage;
+            loadingProgress.classList.add('hidden');
+            if (!activeGeneration) {
+                loadingOverlay.classList.add('hidden');
+            }
+            return;
+        }
+
+        const { page, index, total, progress, status } = reading.ocr;
+        const step = status === 'loading OCR engine' ? 'loading OCR engine' : `OCR of page ${page}`;
+        loadingOverlay.classList.remove('hidden');
+        loadingTitle.textContent = 'Reading Scanned PDF';
+        loadingMessage.textContent = `${reading.file.name}: ${step} (${index} of ${total} scanned page${total === 1 ? '' : 's'})`;
+        loadingProgress.classList.remove('hidden');
+        loadingProgressBar.style.width = `${Math.round(((index - 1 + (progress || 0)) / total) * 100)}%`;
+    }
+
+    // Remove Document
+    window.removeDocument = function (id) {
+        documents.find(doc => doc.id === id)?.controller.abort(); // Stop OCR still running for it
+        documents = documents.filter(doc => doc.id !== id);
+        renderDocuments();
+        checkGenerateButtonState();
+    };
+
     // File Upload Handler
-    fileInput.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
+    fileInput.addEventListener('change', (e) => {
+        addDocuments(e.target.files);
+        // Clear the input so a removed file can be picked again
+        e.target.value = '';
+    });
+
+    // Drag-and-drop onto the upload area
+    ['dragenter', 'dragover'].forEach(type => {
+        dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            if (!fileInput.disabled) {
+                dropZone.classList.add('border-violet-400', 'bg-white/5');
+            }
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(type => {
+        dropZone.addEventListener(type, () => {
+            dropZone.classList.remove('border-violet-400', 'bg-white/5');
+        });
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (!fileInput.disabled) {
+            addDocuments(e.dataTransfer.files);
+        }
+    });
+
+    // Output format (free Markdown or structured JSON rendered to Markdown)
+    outputFormatSelect.value = outputFormat;
+    outputFormatSelect.addEventListener('change', (e) => {
+        outputFormat = e.target.value;
+        sessionStorage.setItem('output_format', outputFormat);
+        updateTemplateHint();
+        updateTokenEstimate();
+    });
+
+    // Generation mode: the test plan, detailed test cases or BDD feature files, from the same documents, team and provider
+    const GENERATION_MODES = {
+        plan: {
+            title: 'Test Plan',
+            button: 'Generate Test Plan',
+            loadingTitle: 'Generating Plan',
+            loadingMessage: 'Analyzing requirements and building your test strategy...'
+        },
+        testcases: {
+            title: 'Test Cases',
+            button: 'Generate Test Cases',
+            loadingTitle: 'Generating Test Cases',
+            loadingMessage: 'Analyzing requirements and writing test cases...'
+        },
+        gherkin: {
+            title: 'Feature Files',
+            button: 'Generate Feature Files',
+            loadingTitle: 'Generating Feature Files',
+            loadingMessage: 'Analyzing requirements and writing BDD scenarios...'
+        }
+    };
+    if (!GENERATION_MODES[generationMode]) generationMode = 'plan';
+
+    // Labels follow the selected mode; the output title follows what is on screen (set on generation)
+    function applyGenerationMode() {
+        const labels = GENERATION_MODES[generationMode];
+        if (!activeGeneration) {
+            generateBtn.textContent = labels.button;
+        }
+        loadingTitle.textContent = labels.loadingTitle;
+        loadingMessage.textContent = labels.loadingMessage;
+    }
+
+    generationModeSelect.value = generationMode;
+    outputTitle.textContent = GENERATION_MODES[generationMode].title;
+    applyGenerationMode();
+    generationModeSelect.addEventListener('change', (e) => {
+        generationMode = e.target.value;
+        sessionStorage.setItem('generation_mode', generationMode);
+        applyGenerationMode();
+        updateTemplateHint();
+        updateTokenEstimate();
+    });
+
+    // --- Document Details ---
+    // Project, release, sign-off and revision details for the cover page and Document Control section (localStorage)
+    const DOCUMENT_DETAILS_STORAGE_KEY = 'document_details';
+    const DOCUMENT_DETAIL_FIELDS = {
+        projectName: 'docProjectName',
+        release: 'docRelease',
+        documentId: 'docDocumentId',
+        author: 'docAuthor'
+    };
+    const signatoriesList = document.getElementById('docSignatories');
+    const revisionsList = document.getElementById('docRevisions');
+    const docLogoInput = document.getElementById('docLogoInput');
+    documentDetails = loadDocumentDetails();
+
+    function loadDocumentDetails() {
+        try {
+            return normalizeDocumentDetails(JSON.parse(localStorage.getItem(DOCUMENT_DETAILS_STORAGE_KEY)));
+        } catch (e) {
+            return createDocumentDetails();
+        }
+    }
+
+    function saveDocumentDetails() {
+        try {
+            localStorage.setItem(DOCUMENT_DETAILS_STORAGE_KEY, JSON.stringify(documentDetails));
+        } catch (e) {
+            console.warn('Document details could not be saved:', e);
+        }
+        renderDocumentDetailsSummary();
+        updateTokenEstimate();
+    }
+
+    function renderDocumentDetailsSummary() {
+        const parts = [
+            documentDetails.projectName,
+            documentDetails.release && `v${documentDetails.release}`,
+            documentDetails.documentId
+        ].filter(Boolean);
+        document.getElementById('documentDetailsSummary').textContent = hasDocumentDetails(documentDetails)
+            ? parts.join(' · ') || 'Document Control section enabled'
+            : 'Not set - the cover page shows the generation details only';
+    }
+
+    function renderDocumentLogo() {
+        const preview = document.getElementById('docLogoPreview');
+        preview.src = documentDetails.logo?.dataUrl || '';
+        preview.classList.toggle('hidden', !documentDetails.logo);
+        document.getElementById('docLogoRemoveBtn').classList.toggle('hidden', !documentDetails.logo);
+    }
+
+    function renderSignatories() {
+        const inputClass = 'w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white placeholder-white/30 focus:border-violet-400 focus:ring-2 focus:ring-violet-500/20 outline-none transition-all';
+        signatoriesList.innerHTML = documentDetails.signatories.map((signatory, index) => `
+        <div class="flex items-center gap-2">
+            <input type="text" value="${escapeHtml(signatory.name)}" placeholder="Name"
+                oninput="updateSignatory(${index}, 'name', this.value)" class="${inputClass}">
+            <select onchange="updateSignatory(${index}, 'role', this.value)"
+                class="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white outline-none cursor-pointer">
+                ${SIGNATORY_ROLES.map(role => `<option value="${role}" ${signatory.role === role ? 'selected' : ''}>${role}</option>`).join('')}
+            </select>
+            <button onclick="removeSignatory(${index})" class="text-red-400 hover:text-red-300 text-xs font-bold uppercase tracking-wide transition-colors">Remove</button>
+        </div>
+    `).join('');
+    }
+
+    function renderRevisions() {
+        const inputClass = 'px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white placeholder-white/30 focus:border-violet-400 focus:ring-2 focus:ring-violet-500/20 outline-none transition-all';
+        revisionsList.innerHTML = documentDetails.revisions.map((revision, index) => `
+        <div class="flex items-center gap-2">
+            <input type="text" value="${escapeHtml(revision.version)}" placeholder="Version"
+                oninput="updateRevision(${index}, 'version', this.value)" class="${inputClass} w-24">
+            <input type="date" value="${escapeHtml(revision.date)}"
+                oninput="updateRevision(${index}, 'date', this.value)" class="${inputClass} w-40">
+            <input type="text" value="${escapeHtml(revision.author)}" placeholder="Author"
+                oninput="updateRevision(${index}, 'author', this.value)" class="${inputClass} w-40">
+            <input type="text" value="${escapeHtml(revision.description)}" placeholder="Description of the change"
+                oninput="updateRevision(${index}, 'description', this.value)" class="${inputClass} flex-1 min-w-0">
+            <button onclick="removeRevision(${index})" class="text-red-400 hover:text-red-300 text-xs font-bold uppercase tracking-wide transition-colors">Remove</button>
+        </div>
+    `).join('');
+    }
+
+    window.updateSignatory = function (index, key, value) {
+        if (!documentDetails.signatories[index]) return;
+        documentDetails.signatories[index][key] = value;
+        saveDocumentDetails();
+    };
+
+    window.removeSignatory = function (index) {
+        documentDetails.signatories.splice(index, 1);
+        saveDocumentDetails();
+        renderSignatories();
+    };
+
+    window.updateRevision = function (index, key, value) {
+        if (!documentDetails.revisions[index]) return;
+        documentDetails.revisions[index][key] = value;
+        saveDocumentDetails();
+    };
+
+    window.removeRevision = function (index) {
+        documentDetails.revisions.splice(index, 1);
+        saveDocumentDetails();
+        renderRevisions();
+    };
+
+    Object.entries(DOCUMENT_DETAIL_FIELDS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        input.value = documentDetails[key];
+        input.addEventListener('input', () => {
+            documentDetails[key] = input.value;
+            saveDocumentDetails();
+        });
+    });
+
+    document.getElementById('addSignatoryBtn').addEventListener('click', () => {
+        documentDetails.signatories.push({ name: '', role: SIGNATORY_ROLES[0] });
+        saveDocumentDetails();
+        renderSignatories();
+    });
+
+    // New revisions start from the current release and author
+    document.getElementById('addRevisionBtn').addEventListener('click', () => {
+        documentDetails.revisions.push({
+            version: documentDetails.release,
+            date: new Date().toISOString().slice(0, 10),
+            author: documentDetails.author,
+            description: ''
+        });
+        saveDocumentDetails();
+        renderRevisions();
+    });
+
+    document.getElementById('docLogoBtn').addEventListener('click', () => docLogoInput.click());
+    docLogoInput.addEventListener('change', async () => {
+        const file = docLogoInput.files[0];
+        docLogoInput.value = '';
         if (!file) return;
+        try {
+            documentDetails.logo = await readLogoFile(file);
+            saveDocumentDetails();
+            renderDocumentLogo();
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    document.getElementById('docLogoRemoveBtn').addEventListener('click', () => {
+        documentDetails.logo = null;
+        saveDocumentDetails();
+        renderDocumentLogo();
+    });
+
+    renderDocumentDetailsSummary();
+    renderDocumentLogo();
+    renderSignatories();
+    renderRevisions();
+
+    // --- Plan Templates ---
+    // Built-in presets plus the team's own templates, kept in localStorage so they outlive the session
+    const TEMPLATE_STORAGE_KEY = 'test_plan_templates';
+    const planTemplateSelect = document.getElementById('planTemplate');
+    const templateSummary = document.getElementById('templateSummary');
+    const templateHint = document.getElementById('templateHint');
+    const templateEditor = document.getElementById('templateEditor');
+    const templateSectionsList = document.getElementById('templateSections');
+    const templateErrors = document.getElementById('templateErrors');
+    const templateFileInput = document.getElementById('templateFileInput');
+    const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+    let templateDraft = null; // Template being edited: { id (null for a new template), sections }
+    customTemplates = loadCustomTemplates();
+
+    function loadCustomTemplates() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY)) || [];
+            return saved.filter(template => template.id && validatePlanTemplate(template).valid);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveCustomTemplates() {
+        localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(customTemplates));
+    }
+
+    function getPlanTemplate(id = planTemplateId) {
+        return [...BUILT_IN_TEMPLATES, ...customTemplates].find(template => template.id === id) || BUILT_IN_TEMPLATES[0];
+    }
+
+    function renderTemplateOptions() {
+        const option = template => `<option value="${escapeHtml(template.id)}" ${template.id === planTemplateId ? 'selected' : ''}>${escapeHtml(template.name)}</option>`;
+        planTemplateSelect.innerHTML = `
+            <optgroup label="Presets">${BUILT_IN_TEMPLATES.map(option).join('')}</optgroup>
+            ${customTemplates.length > 0 ? `<optgroup label="My Templates">${customTemplates.map(option).join('')}</optgroup>` : ''}
+        `;
+
+        const template = getPlanTemplate();
+        const tables = template.sections.filter(section => section.format === 'table').length;
+        templateSummary.textContent = `${template.description ? `${template.description} · ` : ''}${template.sections.length} sections, ${tables} tables`;
+        deleteTemplateBtn.disabled = !customTemplates.includes(template);
+    }
+
+    // Templates only shape the Markdown plan; the other modes and JSON output have fixed formats
+    function updateTemplateHint() {
+        templateHint.classList.toggle('hidden', generationMode === 'plan' && outputFormat === 'markdown');
+    }
+
+    function selectPlanTemplate(id) {
+        planTemplateId = id;
+        sessionStorage.setItem('plan_template', planTemplateId);
+        renderTemplateOptions();
+        updateTokenEstimate();
+    }
+
+    if (getPlanTemplate().id !== planTemplateId) planTemplateId = 'default'; // Deleted in another tab
+    renderTemplateOptions();
+    updateTemplateHint();
+    planTemplateSelect.addEventListener('change', (e) => selectPlanTemplate(e.target.value));
+
+    function renderTemplateSections() {
+        const inputClass = 'w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white placeholder-white/30 focus:border-violet-400 focus:ring-2 focus:ring-violet-500/20 outline-none transition-all';
+        templateSectionsList.innerHTML = templateDraft.sections.map((section, index) => `
+        <div class="bg-white/5 border border-white/10 rounded-lg p-4 space-y-3">
+            <div class="flex items-center gap-2">
+                <span class="text-xs font-bold text-white/50 w-6">${index + 1}.</span>
+                <input type="text" value="${escapeHtml(section.title)}" placeholder="Section title"
+                    oninput="updateTemplateSection(${index}, 'title', this.value)" class="${inputClass}">
+                <select onchange="updateTemplateSection(${index}, 'format', this.value)"
+                    class="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white outline-none cursor-pointer">
+                    <option value="text" ${section.format === 'text' ? 'selected' : ''}>Text</option>
+                    <option value="table" ${section.format === 'table' ? 'selected' : ''}>Table</option>
+                    <option value="mermaid" ${section.format === 'mermaid' ? 'selected' : ''}>Diagram</option>
+                </select>
+                <button onclick="moveTemplateSection(${index}, -1)" ${index === 0 ? 'disabled' : ''} class="px-2 py-1 text-white/60 hover:text-white disabled:opacity-30 transition-colors" title="Move up">↑</button>
+                <button onclick="moveTemplateSection(${index}, 1)" ${index === templateDraft.sections.length - 1 ? 'disabled' : ''} class="px-2 py-1 text-white/60 hover:text-white disabled:opacity-30 transition-colors" title="Move down">↓</button>
+                <button onclick="removeTemplateSection(${index})" class="text-red-400 hover:text-red-300 text-xs font-bold uppercase tracking-wide transition-colors">Remove</button>
+            </div>
+            <input type="text" value="${escapeHtml(section.guidance || '')}" placeholder="What the section should contain"
+                oninput="updateTemplateSection(${index}, 'guidance', this.value)" class="${inputClass}">
+            ${section.format === 'table' ? `
+            <textarea rows="3" placeholder="Table columns, one per line"
+                oninput="updateTemplateSection(${index}, 'columns', this.value)" class="${inputClass} resize-y">${escapeHtml((section.columns || []).join('\n'))}</textarea>` : ''}
+        </div>
+    `).join('');
+    }
+
+    window.updateTemplateSection = function (index, key, value) {
+        const section = templateDraft.sections[index];
+        if (!section) return;
+        section[key] = key === 'columns' ? value.split('\n') : value;
+        if (key === 'format') renderTemplateSections(); // Show or hide the column list
+    };
+
+    window.moveTemplateSection = function (index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= templateDraft.sections.length) return;
+        [templateDraft.sections[index], templateDraft.sections[target]] = [templateDraft.sections[target], templateDraft.sections[index]];
+        renderTemplateSections();
+    };
+
+    window.removeTemplateSection = function (index) {
+        templateDraft.sections.splice(index, 1);
+        renderTemplateSections();
+    };
+
+    /**
+     * Opens the editor on a copy of a template. Presets cannot be changed, so editing one saves a new template.
+     * @param {object} template - Template to start from
+     * @param {boolean} isNew - True to save the result as a new template
+     */
+    function openTemplateEditor(template, isNew) {
+        templateDraft = {
+            id: isNew ? null : template.id,
+            sections: template.sections.map(section => ({ ...section, columns: [...(section.columns || [])] }))
+        };
+        document.getElementById('templateName').value = isNew && template.name ? `${template.name} (Copy)` : template.name;
+        document.getElementById('templateDescription').value = template.description || '';
+        document.getElementById('templateTone').value = template.tone || '';
+        document.getElementById('templateRules').value = (template.rules || []).join('\n');
+        document.getElementById('saveTemplateBtn').textContent = isNew ? 'Save as New Template' : 'Save Template';
+        templateErrors.classList.add('hidden');
+        renderTemplateSections();
+        templateEditor.classList.remove('hidden');
+    }
+
+    function closeTemplateEditor() {
+        templateDraft = null;
+        templateEditor.classList.add('hidden');
+    }
+
+    document.getElementById('editTemplateBtn').addEventListener('click', () => {
+        const template = getPlanTemplate();
+        openTemplateEditor(template, !customTemplates.includes(template));
+    });
+
+    document.getElementById('newTemplateBtn').addEventListener('click', () => {
+        openTemplateEditor({ name: '', sections: [{ title: '', format: 'text', guidance: '' }] }, true);
+    });
+
+    document.getElementById('addTemplateSectionBtn').addEventListener('click', () => {
+        templateDraft.sections.push({ title: '', format: 'text', guidance: '', columns: [] });
+        renderTemplateSections();
+    });
+
+    document.getElementById('cancelTemplateBtn').addEventListener('click', closeTemplateEditor);
+
+    document.getElementById('saveTemplateBtn').addEventListener('click', () => {
+        const template = normalizePlanTemplate({
+            name: document.getElementById('templateName').value,
+            description: document.getElementById('templateDescription').value,
+            tone: document.getElementById('templateTone').value,
+            rules: document.getElementById('templateRules').value.split('\n'),
+            sections: templateDraft.sections
+        });
 
-        // Update text to show file name
-        const fileNameEl = fileName.querySelector('span') || fileName;
-        fileNameEl.textContent = file.name;
+        const { valid, errors } = validatePlanTemplate(template);
+        if (!valid) {
+            templateErrors.innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+            templateErrors.classList.remove('hidden');
+            return;
+        }
 
-        // Re-add icon if it was overwritten or ensure structure
-        if (!fileName.querySelector('svg')) {
-            fileName.innerHTML = `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg><span class="truncate">${file.name}</span>`;
+        template.id = templateDraft.id || `custom-${Date.now()}`;
+        const index = customTemplates.findIndex(saved => saved.id === template.id);
+        if (index >= 0) {
+            customTemplates[index] = template;
         } else {
-            fileName.querySelector('span').textContent = file.name;
+            customTemplates.push(template);
         }
+        saveCustomTemplates();
+        closeTemplateEditor();
+        selectPlanTemplate(template.id);
+    });
 
-        fileName.classList.remove('hidden');
-        checkGenerateButtonState();
+    deleteTemplateBtn.addEventListener('click', () => {
+        const template = getPlanTemplate();
+        if (!customTemplates.includes(template) || !confirm(`Delete the template "${template.name}"?`)) return;
+
+        customTemplates = customTemplates.filter(saved => saved !== template);
+        saveCustomTemplates();
+        if (templateDraft?.id === template.id) closeTemplateEditor();
+        selectPlanTemplate('default');
+    });
+
+    document.getElementById('exportTemplateBtn').addEventListener('click', () => {
+        const template = getPlanTemplate();
+        const blob = new Blob([exportPlanTemplate(template)], { type: 'application/json' });
+        downloadBlob(blob, `${slugifyFileName(template.name)}.template.json`);
+    });
+
+    document.getElementById('importTemplateBtn').addEventListener('click', () => templateFileInput.click());
+
+    templateFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        templateFileInput.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            const template = importPlanTemplate(await file.text());
+            template.id = `custom-${Date.now()}`;
+            customTemplates.push(template);
+            saveCustomTemplates();
+            selectPlanTemplate(template.id);
+        } catch (error) {
+            alert(`⚠️ Could not import "${file.name}"\n\n${error.message}`);
+        }
     });
 
+    document.getElementById('customInstructions').addEventListener('input', updateTokenEstimate);
+
     // Timeline Logic
     const timelineStats = document.getElementById('timelineStats');
     const totalDaysEl = document.getElementById('totalDays');
@@ -330,125 +1151,352 @@ document.addEventListener('DOMContentLoaded', function () {
         checkGenerateButtonState();
     };
 
+    /**
+     * Locks the inputs that feed the prompt while a generation is running.
+     * @param {boolean} disabled - True to lock, false to re-enable
+     */
+    function setFormDisabled(disabled) {
+        [apiProviderSelect, fileInput, startDateInput, endDateInput, addTesterBtn,
+            document.getElementById('customInstructions'), outputFormatSelect, generationModeSelect, planTemplateSelect,
+            ...Object.values(DOCUMENT_DETAIL_FIELDS).map(id => document.getElementById(id))]
+            .forEach(element => { element.disabled = disabled; });
+        renderDocuments(); // Remove buttons follow the file input
+    }
+
     // Check if Generate button should be enabled
     function checkGenerateButtonState() {
-        const hasFile = fileInput.files.length > 0;
-        const hasApiKey = apiKey.trim().length > 0;
+        // Every document must be readable, not just the first one
+        const hasFile = documents.length > 0 && documents.every(doc => !doc.error);
+        const hasApiKey = hasProviderCredentials();
         const hasTesters = testers.length > 0;
 
         generateBtn.disabled = !(hasFile && hasApiKey && hasTesters);
+        updateTokenEstimate();
     }
 
-    // Generate Test Plan
-    generateBtn.addEventListener('click', async () => {
-        if (!apiKey || fileInput.files.length === 0 || testers.length === 0) {
-            alert('Please fill in all required fields: API Key, Requirements Document, and at least one Tester');
-            return;
-        }
-
-        loadingOverlay.classList.remove('hidden');
-        output.innerHTML = ''; // Clear previous output
-
-        // Disable button during generation
-        generateBtn.disabled = true;
-        generateBtn.textContent = 'Generating...';
+    // A provider is usable once it has a key (if it needs one) and complete settings
+    function hasProviderCredentials() {
+        const provider = getProvider(apiProvider);
+        const hasKey = provider.requiresKey === false || apiKey.trim().length > 0;
+        const settingsError = provider.validateSettings?.(getProviderSettings(apiProvider));
+        return hasKey && !settingsError;
+    }
 
+    // Optimized Markdown Parser for StreamRenderer
+    const parseMarkdown = (text) => {
         try {
-            // Extract text from file using util
-            const file = fileInput.files[0];
-            const requirementText = await extractTextFromFile(file);
-            const startDateValue = document.getElementById('startDate').value;
-            const endDateValue = document.getElementById('endDate').value;
-            const customInstructions = document.getElementById('customInstructions').value.trim();
-
-            let eta = 'Not specified';
-            if (startDateValue && endDateValue) {
-                eta = `${startDateValue} to ${endDateValue}`;
-            } else if (startDateValue) {
-                eta = `From ${startDateValue}`;
-            } else if (endDateValue) {
-                eta = `Until ${endDateValue}`;
-            }
+            // Basic Markdown to HTML
+            let html = marked.parse(text, { gfm: true });
 
-            // Construct prompt
-            const resourcesText = testers.map((tester, idx) =>
-                `${tester.specialization} Tester ${idx + 1}: ${tester.experience} years of experience, Specialization: ${tester.specialization}`
-            ).join('\n');
-
-            let prompt = `You are an experienced QA Lead. Generate a comprehensive Test Plan based on the following requirements.
+            // Wrap tables for scrolling
+            html = html.replace(/<table([^>]*)>([\s\S]*?)<\/table>/gi, (match, attrs, content) => {
+                return `<div class="table-wrapper"><table${attrs}>${content}</table></div>`;
+            });
 
-REQUIREMENTS DOCUMENT:
-${requirementText}
+            return html;
+        } catch (e) {
+            console.warn('Rendering incomplete markdown:', e);
+            return `<pre class="whitespace-pre-wrap font-mono text-sm text-slate-300">${text}</pre>`;
+        }
+    };
 
-EXECUTION TIMELINE:
-${eta}
+    /**
+     * Appends an error box to the output area.
+     * @param {string} message - Error message (newlines become line breaks)
+     * @param {string} title - Box heading
+     */
+    function showGenerationError(message, title = 'Generation Error') {
+        const errorText = escapeHtml(message).replace(/\n/g, '<br>');
+        output.innerHTML += `
+            <div class="mt-4 bg-red-50 border border-red-100 rounded-xl p-6 shadow-sm no-print">
+                <h3 class="text-red-900 font-bold mb-2">${title}</h3>
+                <p class="text-red-700 text-sm">${errorText}</p>
+            </div>
+        `;
+    }
 
-TEST TEAM:
-${resourcesText}
-
-Please generate a detailed Test Plan in Markdown format that includes:
-
-1. **Test Plan Overview** - Brief introduction and purpose
-
-2. **Test Scope and Objectives** - What will be tested and goals
-
-3. **Test Strategy** - Overall approach and methodology
-
-4. **Test Environment Requirements** - Infrastructure and setup needs
-
-5. **Test Deliverables** - List of documents and artifacts
-
-6. **Resource Allocation** - MUST be presented as a TABLE with columns:
-   - Tester Name/ID
-   - Years of Experience
-   - Specialization
-   - Assigned Tasks/Modules (keep concise, use bullet points if needed)
-   - Estimated Effort
-   - Responsibilities (brief summary)
-
-7. **Task Allocation** - MUST be presented as a TABLE with columns:
-   - Task ID
-   - Task Description (keep brief, 1-2 sentences max)
-   - Assigned Tester
-   - Priority
-   - Status
-   - Dependencies (brief)
-   - Estimated Duration
-
-8. **Test Schedule/Timeline** - MUST be presented as a TABLE with columns:
-   - Phase/Milestone
-   - Start Date
-   - End Date
-   - Duration
-   - Responsible Tester
-   - Deliverables (brief list)
-
-9. **End to End Flow Diagram** - MUST be a Mermaid.js flowchart (graph TD/LR) depicting the complete testing flow.
-
-10. **Risk Assessment** - MUST be presented as a TABLE with columns:
-   - Risk ID
-   - Risk Description (concise)
-   - Probability (High/Medium/Low)
-   - Impact (High/Medium/Low)
-   - Mitigation Strategy (brief)
-   - Owner
-
-11. **Entry and Exit Criteria** - Clear criteria for starting and completing testing
-
-
-IMPORTANT FORMATTING REQUIREMENTS:
-- Use Markdown tables for ALL sections that involve structured data (Resource Allocation, Task Allocation, Schedule, Risk Assessment)
-- Keep table cells CONCISE - maximum 2-3 sentences per cell. Use bullet points within cells if needed.
-- Use proper Markdown table syntax with headers
-- Ensure tables are well-formatted and readable with proper line breaks
-- Each table row should be on a separate line in the markdown
-- Add visual separators and clear section headers
-- Use bullet points and numbered lists where appropriate
-- Be specific about task assignments to each tester based on their experience and specialization
-- STRICTLY assign tasks based on specialization (e.g. Automation Testers for scripting, Manual Testers for test case creation/execution)
-- DO NOT create extremely long table cells - keep content brief and to the point
-
-MARKDOWN TABLE FORMAT EXAMPLE (use this exact syntax - each row on a new line):
+    // Banner shown above plans that were stopped before the model finished
+    function showPartialNotice() {
+        const hasContent = planMarkdown.trim().length > 0 || output.textContent.trim().length > 0;
+        output.insertAdjacentHTML('afterbegin', `
+            <div class="mb-6 bg-yellow-50 border border-yellow-200 rounded-xl p-4 shadow-sm no-print">
+                <h3 class="text-yellow-900 font-bold mb-1">⏹ Generation stopped</h3>
+                <p class="text-yellow-800 text-sm">${hasContent
+                    ? 'This plan is <strong>partial</strong> - it only contains what was produced before you stopped the generation.'
+                    : 'Generation was stopped before any content was produced.'}</p>
+            </div>
+        `);
+    }
+
+    /**
+     * Heading of the plan section an element belongs to (a heading or a bold-only paragraph).
+     * @param {Element} element - Element in the output
+     * @returns {string} Heading text, or '' if there is none
+     */
+    function getSectionHeading(element) {
+        for (let node = element.closest('.table-wrapper') || element; node; node = node.previousElementSibling) {
+            const boldOnly = node.tagName === 'P' && node.firstElementChild?.tagName === 'STRONG'
+                && node.textContent.trim() === node.firstElementChild.textContent.trim();
+            if (/^H[1-6]$/.test(node.tagName) || boldOnly) return node.textContent;
+        }
+        return '';
+    }
+
+    // Check the traceability matrix (or the test cases / scenario tags) against the extracted requirement IDs; unmapped ones are highlighted and listed
+    function renderTraceabilityReport() {
+        if (planRequirements.length === 0 || planMetadata?.partial) return;
+
+        const mode = planMetadata?.mode || 'plan';
+        let coverage;
+        if (mode === 'testcases') {
+            coverage = { matrixFound: true, ...analyzeTestCaseCoverage(planMarkdown, planRequirements) };
+        } else if (mode === 'gherkin') {
+            coverage = { matrixFound: true, ...analyzeFeatureCoverage(featureFiles, planRequirements) };
+        } else {
+            coverage = analyzeTraceability(planMarkdown, planRequirements);
+        }
+        const { matrixFound, unmapped } = coverage;
+        if (unmapped.length === 0) {
+            planMeta.textContent += ` · all ${planRequirements.length} requirements traced`;
+            return;
+        }
+        const coveredBy = { testcases: 'test case', gherkin: 'scenario' }[mode] || 'task';
+
+        // Test case tables and feature files have no rows for unmapped requirements, so only the plan's matrix is highlighted
+        output.querySelectorAll('table').forEach(table => {
+            if (mode !== 'plan' || !/traceability/i.test(getSectionHeading(table))) return;
+
+            const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent);
+            const column = Math.max(0, headers.findIndex(header => /req/i.test(header) && /id/i.test(header)));
+            table.querySelectorAll('tbody tr').forEach(row => {
+                const cell = row.cells[column]?.textContent || '';
+                if (unmapped.some(req => mentionsId(cell, req.id))) {
+                    row.classList.add('unmapped-requirement');
+                }
+            });
+        });
+
+        // Listed at the end of the plan so it is part of the PDF and other exports
+        let summary = `${unmapped.length} of ${planRequirements.length} requirements extracted from the documents are not mapped to any task in the Task Allocation table:`;
+        if (mode === 'testcases') {
+            summary = `${unmapped.length} of ${planRequirements.length} requirements extracted from the documents are not verified by any test case:`;
+        } else if (mode === 'gherkin') {
+            summary = `${unmapped.length} of ${planRequirements.length} requirements extracted from the documents are not tagged on any feature or scenario:`;
+        } else if (!matrixFound) {
+            summary = `The plan has no Requirements Traceability Matrix, so none of the ${planRequirements.length} requirements extracted from the documents can be traced to a task:`;
+        }
+        const reportMarkdown = `## Unmapped Requirements\n\n${summary}\n\n${markdownTable(
+            ['Requirement ID', 'Requirement', 'Source Document'],
+            unmapped.map(req => [req.id, req.text, req.source])
+        )}`;
+        planMarkdown += `\n\n${reportMarkdown}`;
+        output.insertAdjacentHTML('beforeend', `<div class="unmapped-requirements">${parseMarkdown(reportMarkdown)}</div>`);
+
+        const shown = unmapped.slice(0, 10).map(req => escapeHtml(req.id)).join(', ');
+        output.insertAdjacentHTML('afterbegin', `
+            <div class="mb-6 bg-red-50 border border-red-200 rounded-xl p-4 shadow-sm no-print">
+                <h3 class="text-red-900 font-bold mb-1">⚠️ ${unmapped.length} of ${planRequirements.length} requirements are not covered by any ${coveredBy}</h3>
+                <p class="text-red-800 text-sm">${shown}${unmapped.length > 10 ? ` and ${unmapped.length - 10} more` : ''} - see <strong>Unmapped Requirements</strong> at the end of the ${mode === 'plan' ? 'plan' : GENERATION_MODES[mode].title.toLowerCase()}.</p>
+            </div>
+        `);
+    }
+
+    // Add the Document Control section below the title, in the output and in planMarkdown for the exports
+    function renderDocumentControl() {
+        if (!planDocumentDetails) return;
+
+        planDocumentControl = buildDocumentControlMarkdown(planDocumentDetails, {
+            title: GENERATION_MODES[planMetadata?.mode || generationMode].title,
+            date: (planMetadata?.generatedAt || new Date().toISOString()).slice(0, 10)
+        });
+        planMarkdown = insertDocumentControl(planMarkdown, planDocumentControl);
+
+        const html = `<div class="document-control">${parseMarkdown(planDocumentControl)}</div>`;
+        const title = output.firstElementChild;
+        if (title?.tagName === 'H1') {
+            title.insertAdjacentHTML('afterend', html);
+        } else {
+            output.insertAdjacentHTML('afterbegin', html);
+        }
+    }
+
+    // Warn when the plan left out tables or columns its template asks for
+    function renderTemplateReport() {
+        if (!planTemplate || planMetadata?.partial) return;
+
+        const problems = checkTemplateTables(planMarkdown, planTemplate);
+        if (problems.length === 0) return;
+
+        output.insertAdjacentHTML('afterbegin', `
+            <div class="mb-6 bg-yellow-50 border border-yellow-200 rounded-xl p-4 shadow-sm no-print">
+                <h3 class="text-yellow-900 font-bold mb-2">⚠️ The plan does not fully follow the "${escapeHtml(planTemplate.name)}" template</h3>
+                <ul class="list-disc pl-5 text-yellow-800 text-sm">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+            </div>
+        `);
+    }
+
+    // Render Mermaid diagrams and reveal the export actions once the plan is in place
+    function finalizePlanOutput() {
+        // Trigger Mermaid Diagram rendering when stream is finished
+        const mermaidBlocks = output.querySelectorAll('pre code.language-mermaid, pre.mermaid');
+        mermaidBlocks.forEach(block => {
+            const code = block.textContent;
+            const container = document.createElement('div');
+            container.className = 'mermaid';
+            container.textContent = code;
+            block.parentNode.replaceWith(container);
+        });
+        if (window.mermaid) { window.mermaid.run?.(); }
+
+        renderDocumentControl();
+        renderTemplateReport();
+        renderTraceabilityReport();
+
+        if (planMetadata?.failedModels?.length > 0) {
+            const failures = planMetadata.failedModels
+                .map(f => `<li><strong>${escapeHtml(f.model)}</strong>: ${escapeHtml(f.error)}</li>`)
+                .join('');
+            output.insertAdjacentHTML('afterbegin', `
+                <div class="mb-6 bg-blue-50 border border-blue-200 rounded-xl p-4 shadow-sm no-print">
+                    <h3 class="text-blue-900 font-bold mb-1">ℹ️ Produced by fallback model ${escapeHtml(planMetadata.model)}</h3>
+                    <ul class="list-disc pl-5 text-blue-800 text-sm">${failures}</ul>
+                </div>
+            `);
+        }
+
+        if (planMetadata?.partial) {
+            showPartialNotice();
+        } else if (planMetadata?.truncated) {
+            output.insertAdjacentHTML('afterbegin', `
+                <div class="mb-6 bg-yellow-50 border border-yellow-200 rounded-xl p-4 shadow-sm no-print">
+                    <h3 class="text-yellow-900 font-bold mb-1">⚠️ Plan may be incomplete</h3>
+                    <p class="text-yellow-800 text-sm">${planMetadata.continuationError
+                        ? `Continuing the plan after it hit the token limit failed: ${escapeHtml(planMetadata.continuationError)}`
+                        : `The model still hit its output token limit after ${planMetadata.continuations} continuation round(s).`}
+                        Increase <strong>Max Output Tokens</strong> or <strong>Auto-continue Rounds</strong> under Advanced and regenerate.</p>
+                </div>
+            `);
+        }
+
+        // Show download button and disclaimer
+        downloadPdfBtn.classList.remove('hidden');
+        downloadFeaturesBtn.classList.toggle('hidden', featureFiles.length === 0);
+        exportMenu.classList.remove('hidden');
+        document.getElementById('aiDisclaimer').classList.remove('hidden');
+    }
+
+    /**
+     * Previews feature files with syntax highlighting, grouped by module, with their syntax errors.
+     * @param {Array<object>} files - Feature files with their validateGherkin() result
+     * @returns {string} HTML
+     */
+    function renderFeaturePreview(files) {
+        const invalid = files.filter(file => file.errors.length > 0);
+        const errorCount = invalid.reduce((sum, file) => sum + file.errors.length, 0);
+        const scenarioCount = files.reduce((sum, file) => sum + file.scenarioCount, 0);
+
+        const banner = invalid.length > 0
+            ? `<div class="mb-6 bg-red-50 border border-red-200 rounded-xl p-4 shadow-sm no-print">
+                    <h3 class="text-red-900 font-bold mb-1">⚠️ ${errorCount} Gherkin syntax error(s) in ${invalid.length} of ${files.length} feature file(s)</h3>
+                    <p class="text-red-800 text-sm">The lines are marked below - fix them before running the suite, or regenerate.</p>
+                </div>`
+            : `<div class="mb-6 bg-green-50 border border-green-200 rounded-xl p-4 shadow-sm no-print">
+                    <h3 class="text-green-900 font-bold mb-1">✅ ${files.length} feature file(s) with ${scenarioCount} scenario(s) - valid Gherkin</h3>
+                    <p class="text-green-800 text-sm">Download them as a zip with a folder per module.</p>
+                </div>`;
+
+        const modules = [...new Set(files.map(file => file.module))];
+        const sections = modules.map(module => `
+            <h2>${escapeHtml(module)}</h2>
+            ${files.filter(file => file.module === module).map(file => `
+                <div class="feature-file">
+                    <h3><code>${escapeHtml(file.path)}</code> <span class="text-sm font-normal text-slate-500">· ${file.scenarioCount} scenario(s)</span></h3>
+                    <pre class="gherkin-preview"><code>${highlightGherkin(file.content, file.errors)}</code></pre>
+                    ${file.errors.length > 0 ? `<ul class="list-disc pl-5 text-red-700 text-sm">${file.errors
+                        .map(error => `<li>Line ${error.line}: ${escapeHtml(error.message)}</li>`).join('')}</ul>` : ''}
+                </div>
+            `).join('')}
+        `).join('');
+
+        return banner + sections;
+    }
+
+    /**
+     * Output HTML for the Markdown of a finished generation. Feature files are parsed,
+     * validated and previewed; anything else is rendered as Markdown.
+     * @param {string} markdown - Markdown of the plan, test cases or feature files
+     * @returns {string} HTML
+     */
+    function renderOutputHtml(markdown) {
+        if (generationMode !== 'gherkin') return parseMarkdown(markdown);
+
+        featureFiles = parseFeatureFiles(markdown).map(file => ({ ...file, ...validateGherkin(file.content) }));
+        if (featureFiles.length > 0) return renderFeaturePreview(featureFiles);
+
+        return `
+            <div class="mb-6 bg-red-50 border border-red-200 rounded-xl p-4 shadow-sm no-print">
+                <h3 class="text-red-900 font-bold mb-1">⚠️ No feature files found</h3>
+                <p class="text-red-800 text-sm">The answer has no Gherkin code blocks - regenerate, or check the custom instructions.</p>
+            </div>
+            ${parseMarkdown(markdown)}
+        `;
+    }
+
+    // Structured output of each generation mode: schema validation and Markdown rendering
+    const STRUCTURED_OUTPUTS = {
+        plan: { validate: validateTestPlan, render: renderTestPlanMarkdown, subject: 'plan does' },
+        testcases: { validate: validateTestCases, render: renderTestCasesMarkdown, subject: 'test cases do' },
+        gherkin: { validate: validateFeatureFiles, render: renderFeatureFilesMarkdown, subject: 'feature files do' }
+    };
+
+    /**
+     * Parses and validates a structured (JSON) plan, test case or feature file document, then renders it as Markdown.
+     * Schema violations are listed above the plan; unparseable output is shown raw.
+     * @param {string} text - Raw JSON text returned by the model
+     */
+    function renderStructuredPlan(text) {
+        const structured = STRUCTURED_OUTPUTS[generationMode];
+
+        let plan;
+        try {
+            plan = parseTestPlanJson(text);
+        } catch (error) {
+            // A stopped generation rarely leaves a complete JSON document - keep the raw output visible
+            if (planMetadata?.partial) {
+                showPartialNotice();
+            } else {
+                showGenerationError(error.message, 'Structured Output Error');
+            }
+            return;
+        }
+
+        const { valid, errors } = structured.validate(plan);
+        try {
+            planMarkdown = structured.render(plan);
+            output.innerHTML = renderOutputHtml(planMarkdown);
+        } catch (error) {
+            // The schema violations explain a render failure better than the exception does
+            showGenerationError(valid ? error.message : errors.join('\n'), 'Structured Output Error');
+            return;
+        }
+        currentPlan = plan;
+
+        if (!valid) {
+            const shown = errors.slice(0, 10).map(error => `<li>${escapeHtml(error)}</li>`).join('');
+            const more = errors.length > 10 ? `<li>...and ${errors.length - 10} more</li>` : '';
+            output.insertAdjacentHTML('afterbegin', `
+                <div class="mb-6 bg-yellow-50 border border-yellow-200 rounded-xl p-4 shadow-sm no-print">
+                    <h3 class="text-yellow-900 font-bold mb-2">⚠️ The ${structured.subject} not fully match the schema</h3>
+                    <ul class="list-disc pl-5 text-yellow-800 text-sm">${shown}${more}</ul>
+                </div>
+            `);
+        }
+
+        finalizePlanOutput();
+    }
+
+    // Table syntax rules shared by the Markdown plan and test case prompts
+    const MARKDOWN_TABLE_RULES = `MARKDOWN TABLE FORMAT EXAMPLE (use this exact syntax - each row on a new line):
 | Column 1 | Column 2 | Column 3 |
 |----------|---------|----------|
 | Data 1   | Data 2  | Data 3   |
@@ -460,55 +1508,449 @@ CRITICAL TABLE FORMATTING RULES:
 3. Keep cell content brief - if a cell needs more detail, use bullet points or keep it to 1-2 sentences
 4. Do NOT use HTML tables, ASCII art, or any other format
 5. Do NOT create tables with extremely long single-line cells
-6. Ensure proper line breaks between table rows
+6. Ensure proper line breaks between table rows`;
+
+    /**
+     * Requirements, timeline and team section shared by the plan and test case prompts.
+     * @param {string} requirementText - Labelled document texts (formatDocumentsForPrompt), or the digest of chunked documents
+     * @param {object} options - { isDigest, requirements, citation (how to refer to source documents), coverage (what must cover the requirement IDs) }
+     * @returns {string} Prompt section
+     */
+    function buildProjectContext(requirementText, { isDigest, requirements, citation, coverage }) {
+        const startDateValue = document.getElementById('startDate').value;
+        const endDateValue = document.getElementById('endDate').value;
+
+        let eta = 'Not specified';
+        if (startDateValue && endDateValue) {
+            eta = `${startDateValue} to ${endDateValue}`;
+        } else if (startDateValue) {
+            eta = `From ${startDateValue}`;
+        } else if (endDateValue) {
+            eta = `Until ${endDateValue}`;
+        }
+
+        const resourcesText = testers.map((tester, idx) =>
+            `${tester.specialization} Tester ${idx + 1}: ${tester.experience} years of experience, Specialization: ${tester.specialization}`
+        ).join('\n');
+
+        const documentDetailsText = formatDocumentDetailsForPrompt(documentDetails);
+
+        return `${documentDetailsText ? `${documentDetailsText}\n\n` : ''}${isDigest
+        ? 'REQUIREMENTS DIGEST (condensed from documents too long to send in full; "Source:" names the document each point came from):'
+        : 'REQUIREMENTS DOCUMENTS (each one labelled with its file name):'}
+${requirementText}
+
+${citation}
+${requirements.length > 0 ? `
+REQUIREMENT IDS (extracted from the documents - ${coverage}):
+${formatRequirementsForPrompt(requirements)}
+` : ''}
+EXECUTION TIMELINE:
+${eta}
+
+TEST TEAM:
+${resourcesText}`;
+    }
+
+    /**
+     * Appends the user's custom instructions to a prompt.
+     * @param {string} prompt - Generated prompt
+     * @param {string} deliverable - What is being generated, e.g. "Test Plan"
+     * @returns {string} Prompt
+     */
+    function appendCustomInstructions(prompt, deliverable) {
+        const customInstructions = document.getElementById('customInstructions').value.trim();
+        if (!customInstructions) return prompt;
+
+        return `${prompt}\n\n----------------\nIMPORTANT CUSTOM INSTRUCTIONS FROM USER:\nThe user has provided specific instructions that MUST override or supplement the above requirements:\n\n${customInstructions}\n\nPlease ensure these custom instructions are fully incorporated into the ${deliverable}.\n----------------`;
+    }
+
+    /**
+     * Assembles the plan prompt from the requirements and the current form inputs.
+     * @param {string} requirementText - Labelled document texts (formatDocumentsForPrompt), or the digest of chunked documents
+     * @param {boolean} isDigest - True if requirementText is a digest rather than the document itself
+     * @param {Array<object>} requirements - Requirement IDs extracted from the documents (extractRequirements)
+     * @returns {string} Prompt
+     */
+    function buildPlanPrompt(requirementText, isDigest = false, requirements = []) {
+        const context = buildProjectContext(requirementText, {
+            isDigest,
+            requirements,
+            citation: 'When a scope item, task or risk comes from a specific document, name that source document so the plan can be traced back to it.',
+            coverage: 'the plan must cover every one of them'
+        });
+
+        const prompt = `You are an experienced QA Lead. Generate a comprehensive Test Plan based on the following requirements.
+
+${context}
+
+${outputFormat === 'json' ? `${getStructuredPlanInstructions()}${requirements.length > 0 ? `\n${getTraceabilityInstructions('json')}` : ''}` : `${getTemplateInstructions(
+            getPlanTemplate(),
+            requirements.length > 0 ? number => getTraceabilityInstructions('markdown', number) : null
+        )}
+
+${MARKDOWN_TABLE_RULES}`}`;
+
+        return appendCustomInstructions(prompt, 'Test Plan');
+    }
+
+    /**
+     * Assembles the test case prompt from the requirements and the current form inputs.
+     * @param {string} requirementText - Labelled document texts (formatDocumentsForPrompt), or the digest of chunked documents
+     * @param {boolean} isDigest - True if requirementText is a digest rather than the document itself
+     * @param {Array<object>} requirements - Requirement IDs extracted from the documents (extractRequirements)
+     * @returns {string} Prompt
+     */
+    function buildTestCasePrompt(requirementText, isDigest = false, requirements = []) {
+        const context = buildProjectContext(requirementText, {
+            isDigest,
+            requirements,
+            citation: 'Only write test cases for behaviour these documents describe - do not invent features.',
+            coverage: 'every one of them MUST be verified by at least one test case'
+        });
+
+        const prompt = `You are an experienced QA Lead. Write detailed, executable Test Cases for the following requirements.
+
+${context}
+
+COVERAGE REQUIREMENTS:
+- Cover every functional requirement with at least one Functional test case
+- Add Negative test cases for invalid input, error handling and unauthorised access
+- Add Boundary test cases for every limit, range, length or count in the requirements
+- Add Security test cases for authentication, authorisation, input validation and sensitive data
+- Size the set so the test team above can execute it within the execution timeline; favour High priority cases if time is short
+
+${outputFormat === 'json' ? getStructuredTestCaseInstructions() : `Please generate the Test Cases in Markdown format:
+
+- Group the test cases by module/feature (or by requirement when the documents are organised by requirement IDs), with a "## <Module name>" heading per group
+- Under each heading, present the test cases as a TABLE with columns:
+   - Test Case ID (TC-001, TC-002, ... unique across all groups)
+   - Title
+   - Requirement (the requirement ID(s) it verifies, or "-")
+   - Preconditions
+   - Steps (numbered, separated by <br>)
+   - Test Data
+   - Expected Result
+   - Priority (High/Medium/Low)
+   - Type (Functional/Negative/Boundary/Security)
+- End with a "## Summary" TABLE counting the test cases per Type and Priority
+
+${MARKDOWN_TABLE_RULES}
+
+Keep every cell concise; do not add any other sections.`}`;
+
+        return appendCustomInstructions(prompt, 'Test Cases');
+    }
+
+    /**
+     * Assembles the BDD feature file prompt from the requirements and the current form inputs.
+     * @param {string} requirementText - Labelled document texts (formatDocumentsForPrompt), or the digest of chunked documents
+     * @param {boolean} isDigest - True if requirementText is a digest rather than the document itself
+     * @param {Array<object>} requirements - Requirement IDs extracted from the documents (extractRequirements)
+     * @returns {string} Prompt
+     */
+    function buildFeatureFilePrompt(requirementText, isDigest = false, requirements = []) {
+        const context = buildProjectContext(requirementText, {
+            isDigest,
+            requirements,
+            citation: 'Only write scenarios for behaviour these documents describe - do not invent features.',
+            coverage: 'tag the scenarios that verify them with the ID, e.g. @REQ-012; every one of them MUST be tagged on at least one scenario'
+        });
+
+        const prompt = `You are an experienced QA Automation Lead. Write Cucumber feature files in Gherkin for the following requirements, ready to be automated by the test team.
+
+${context}
+
+GHERKIN REQUIREMENTS:
+- One Feature per file, grouped by module/feature area of the requirements
+- Use only the standard English Gherkin keywords: Feature, Background, Rule, Scenario, Scenario Outline, Examples, Given, When, Then, And, But
+- Write declarative steps in business language (no CSS selectors, URLs or clicks) so step definitions can be reused across scenarios
+- Put steps shared by every scenario of a feature in a Background
+- Use a Scenario Outline with an Examples table for data-driven cases such as boundary values and invalid inputs; every <placeholder> MUST be a column of its Examples table
+- Cover positive, negative and boundary behaviour
+- Tag scenarios with @smoke or @regression, and with the requirement IDs they verify
+- Use """ for doc strings; never use backticks inside a feature file
+
+${outputFormat === 'json' ? getStructuredFeatureFileInstructions() : `Please generate the feature files in Markdown format, exactly like this for every file:
+
+## Module: <Module name>
+
+### File: <snake_case_name>.feature
+
+\`\`\`gherkin
+@regression
+Feature: <Feature name>
+  <Short description>
+
+  Scenario: <Scenario name>
+    Given ...
+    When ...
+    Then ...
+\`\`\`
+
+Each file MUST be a separate gherkin code block under its own "### File:" heading; files of the same module share one "## Module:" heading. Do not add any other text.`}`;
+
+        return appendCustomInstructions(prompt, 'feature files');
+    }
+
+    /**
+     * Prompt for the selected generation mode.
+     * @param {string} requirementText - Labelled document texts, or the digest of chunked documents
+     * @param {boolean} isDigest - True if requirementText is a digest
+     * @param {Array<object>} requirements - Requirement IDs extracted from the documents
+     * @returns {string} Prompt
+     */
+    function buildGenerationPrompt(requirementText, isDigest = false, requirements = []) {
+        const buildPrompt = {
+            plan: buildPlanPrompt,
+            testcases: buildTestCasePrompt,
+            gherkin: buildFeatureFilePrompt
+        }[generationMode];
+        return buildPrompt(requirementText, isDigest, requirements);
+    }
+
+    /**
+     * Waits until every document has been extracted.
+     * @returns {Promise<Array<{name: string, text: string}>>} Documents in upload order
+     * @throws {Error} If a document could not be read
+     */
+    async function getDocumentSet() {
+        await Promise.all(documents.map(doc => doc.extraction));
+
+        const failed = documents.find(doc => doc.error);
+        if (failed) {
+            throw new Error(`Could not read ${failed.file.name}: ${failed.error}`);
+        }
+        return documents.map(doc => ({ name: doc.file.name, text: doc.text }));
+    }
+
+    /**
+     * Joins the documents into one block, each labelled with its file name.
+     * @param {Array<{name: string, text: string}>} docs - Documents
+     * @returns {string} Labelled document texts
+     */
+    function formatDocumentsForPrompt(docs) {
+        return docs
+            .map((doc, i) => `=== DOCUMENT ${i + 1}: ${doc.name} ===\n${doc.text.trim()}\n=== END OF DOCUMENT ${i + 1} ===`)
+            .join('\n\n');
+    }
+
+    /**
+     * Estimates the prompt size against the primary model's context window.
+     * @param {string} requirementText - Labelled document texts
+     * @param {Array<object>} requirements - Requirement IDs listed in the prompt
+     * @returns {object} planDocumentProcessing() result plus { model, chunkTokens, digestTokens (room for a digest in the plan prompt) }
+     */
+    function getDocumentBudget(requirementText, requirements = []) {
+        const provider = getProvider(apiProvider);
+        const settings = resolveProviderSettings(apiProvider, getProviderSettings(apiProvider));
+        const model = provider.getModels(settings)[0];
+        const systemTokens = estimateTokens(getSystemPrompt(outputFormat));
+        const promptTokens = systemTokens + estimateTokens(buildGenerationPrompt(requirementText, false, requirements));
+
+        const budget = planDocumentProcessing({
+            promptTokens,
+            contextWindow: getContextWindow(model, settings),
+            maxTokens: getMaxOutputTokens(model, settings),
+            chunking: settings.chunking
+        });
+        const digestTokens = budget.inputBudget - systemTokens - estimateTokens(buildGenerationPrompt('', true, requirements));
+        return { ...budget, model, chunkTokens: getChunkTokenLimit(budget.inputBudget), digestTokens };
+    }
+
+    // Re-estimate once typing pauses: every estimate re-reads the requirement IDs and rebuilds the whole prompt
+    function updateTokenEstimate() {
+        clearTimeout(tokenEstimateTimer);
+        tokenEstimateTimer = setTimeout(refreshTokenEstimate, TOKEN_ESTIMATE_DELAY);
+    }
+
+    // Show the estimated prompt size and the processing mode under the Generate button
+    async function refreshTokenEstimate() {
+        if (documents.length === 0) {
+            tokenEstimate.classList.add('hidden');
+            return;
+        }
+
+        const snapshot = [...documents];
+        let docs;
+        try {
+            docs = await getDocumentSet();
+        } catch (error) {
+            tokenEstimate.textContent = `⚠️ ${error.message}. Remove it to generate a plan.`;
+            tokenEstimate.className = 'text-xs text-red-400 mt-3 text-center';
+            return;
+        }
+        // Documents were added or removed meanwhile; that change triggers its own estimate
+        if (snapshot.length !== documents.length || snapshot.some((doc, i) => doc !== documents[i])) return;
+
+        const requirements = extractRequirements(docs);
+        const budget = getDocumentBudget(formatDocumentsForPrompt(docs), requirements);
+        const modelName = budget.model.label || budget.model.name || 'the model';
+        const size = `≈ ${formatTokenCount(budget.promptTokens)} tokens`;
+        const traced = requirements.length > 0 ? ` · ${requirements.length} requirement ID(s) found for the traceability matrix` : '';
+        const contextText = `${modelName}'s ${formatTokenCount(budget.contextWindow)} context window`;
+
+        if (budget.mode === 'chunked' && !budget.chunkTokens) {
+            tokenEstimate.textContent = `${size} · ${contextText} is too small to summarise the documents in chunks - choose a model with a larger context window.`;
+            tokenEstimate.className = 'text-xs text-red-400 mt-3 text-center';
+        } else if (budget.mode === 'chunked') {
+            const chunks = splitDocuments(docs, budget.chunkTokens).length;
+            const reason = budget.fits ? 'Large Documents is set to always summarise' : `too long for ${contextText}`;
+            tokenEstimate.textContent = `${size} · ${reason} · the documents will be summarised in ${chunks} chunk(s) first, then the plan is generated from the digest${traced}`;
+            tokenEstimate.className = 'text-xs text-yellow-300 mt-3 text-center';
+        } else if (budget.fits) {
+            tokenEstimate.textContent = `${size} · fits ${contextText} · ${docs.length > 1 ? `all ${docs.length} documents are` : 'the whole document is'} sent in one request${traced}`;
+            tokenEstimate.className = 'text-xs text-white/60 mt-3 text-center';
+        } else {
+            tokenEstimate.textContent = `${size} · too long for ${contextText} and chunking is off - the request will probably fail. Enable chunking under Advanced → Large Documents.`;
+            tokenEstimate.className = 'text-xs text-red-400 mt-3 text-center';
+        }
+    }
+
+    // Abort the in-flight request; the generate handler finishes the renderer with the partial output
+    function stopGeneration() {
+        if (activeGeneration) {
+            activeGeneration.abort();
+        }
+    }
+
+    stopBtn.addEventListener('click', stopGeneration);
+    // The overlay's Cancel also stops OCR of scanned documents that are still being read
+    stopOverlayBtn.addEventListener('click', () => {
+        documents.filter(doc => doc.ocr).forEach(doc => doc.controller.abort());
+        stopGeneration();
+    });
+
+    // Generate Test Plan
+    generateBtn.addEventListener('click', async () => {
+        if (!hasProviderCredentials() || documents.length === 0 || testers.length === 0) {
+            alert('Please fill in all required fields: API Key (or endpoint settings), at least one Requirements Document, and at least one Tester');
+            return;
+        }
+
+        loadingOverlay.classList.remove('hidden');
+        output.innerHTML = ''; // Clear previous output
+
+        // Disable button during generation
+        generateBtn.disabled = true;
+        generateBtn.textContent = 'Generating...';
+        setFormDisabled(true);
 
-Format the output as professional, well-structured Markdown with emphasis on tables for better readability.`;
+        const controller = new AbortController();
+        activeGeneration = controller;
+        stopBtn.classList.remove('hidden');
 
-            // Append custom instructions if present
-            if (customInstructions) {
-                prompt += `\n\n----------------\nIMPORTANT CUSTOM INSTRUCTIONS FROM USER:\nThe user has provided specific instructions that MUST override or supplement the above requirements:\n\n${customInstructions}\n\nPlease ensure these custom instructions are fully incorporated into the Test Plan.\n----------------`;
+        try {
+            // Documents are extracted when added, so this usually resolves immediately
+            const sourceDocuments = await getDocumentSet();
+            const requirementText = formatDocumentsForPrompt(sourceDocuments);
+            const requirements = extractRequirements(sourceDocuments);
+
+            // Stopped while the document was being read - nothing was sent yet
+            if (controller.signal.aborted) {
+                output.innerHTML = '<div class="text-white/50 font-medium p-4">⏹ Generation cancelled.</div>';
+                return;
             }
 
             // Call AI API based on selected provider
-            const provider = providers[apiProvider];
+            const provider = getProvider(apiProvider);
+            planMetadata = null;
+            currentPlan = null;
+            planMarkdown = '';
+            planRequirements = requirements;
+            featureFiles = [];
+            downloadFeaturesBtn.classList.add('hidden');
+            exportMenu.classList.add('hidden');
+            planTemplate = generationMode === 'plan' && outputFormat === 'markdown' ? getPlanTemplate() : null;
+            planDocumentDetails = hasDocumentDetails(documentDetails) ? normalizeDocumentDetails(documentDetails) : null;
+            planDocumentControl = '';
+            outputTitle.textContent = GENERATION_MODES[generationMode].title;
+            planMeta.classList.add('hidden');
+            generationStatus.classList.add('hidden');
+            const settings = resolveProviderSettings(apiProvider, getProviderSettings(apiProvider));
+
+            /**
+             * Sends a single prompt and collects the answer without rendering it,
+             * trying the provider's models in order.
+             * @param {string} completionPrompt - Prompt to send
+             * @returns {Promise<string>} Model answer
+             */
+            const requestCompletion = async (completionPrompt) => {
+                let failure = null;
+
+                for (const model of provider.getModels(settings)) {
+                    try {
+                        return await withRetries(async () => {
+                            let text = '';
+                            const request = provider.buildRequest({ prompt: completionPrompt, apiKey, model, settings, responseFormat: 'digest' });
+                            const response = await fetchProvider(provider, model, request, controller.signal);
+                            await provider.parseStream(response, (chunk) => { text += chunk; });
+                            return text;
+                        }, { maxRetries: settings.maxRetries, signal: controller.signal });
+                    } catch (err) {
+                        if (controller.signal.aborted) throw err;
+                        failure = toProviderError(err);
+                        if (failure.type === ERROR_TYPES.INVALID_KEY) break;
+                    }
+                }
 
-            // Optimized Markdown Parser for StreamRenderer
-            const parseMarkdown = (text) => {
-                try {
-                    // Basic Markdown to HTML
-                    let html = marked.parse(text, { gfm: true });
+                throw failure;
+            };
 
-                    // Wrap tables for scrolling
-                    html = html.replace(/<table([^>]*)>([\s\S]*?)<\/table>/gi, (match, attrs, content) => {
-                        return `<div class="table-wrapper"><table${attrs}>${content}</table></div>`;
-                    });
+            // Documents that don't fit the context window are condensed into a requirements digest first (map-reduce)
+            const budget = getDocumentBudget(requirementText, requirements);
+            let documentDigest = null;
 
-                    return html;
-                } catch (e) {
-                    console.warn('Rendering incomplete markdown:', e);
-                    return `<pre class="whitespace-pre-wrap font-mono text-sm text-slate-300">${text}</pre>`;
+            if (budget.mode === 'chunked') {
+                loadingOverlay.classList.add('hidden');
+                try {
+                    documentDigest = await summarizeDocuments(sourceDocuments, {
+                        chunkTokens: budget.chunkTokens,
+                        digestTokens: budget.digestTokens,
+                        summarize: requestCompletion,
+                        onProgress: ({ phase, index, total, round, documentName }) => {
+                            const step = phase === 'map'
+                                ? `Summarising part ${index} of ${total} (${escapeHtml(documentName)})`
+                                : `Merging requirement digests (round ${round}, ${index} of ${total})`;
+                            output.innerHTML = `<div class="animate-pulse text-violet-300 font-medium p-4">📚 ${step}...</div>`;
+                        }
+                    });
+                } catch (err) {
+                    if (controller.signal.aborted) {
+                        output.innerHTML = '<div class="text-white/50 font-medium p-4">⏹ Generation cancelled.</div>';
+                        return;
+                    }
+                    throw err;
                 }
-            };
+            }
+
+            const prompt = documentDigest
+                ? buildGenerationPrompt(documentDigest.digest, true, requirements)
+                : buildGenerationPrompt(requirementText, false, requirements);
+
+            // The digest replaced the documents to make the prompt fit - never send one that still overflows
+            const finalPromptTokens = estimateTokens(getSystemPrompt(outputFormat)) + estimateTokens(prompt);
+            if (documentDigest && finalPromptTokens > budget.inputBudget) {
+                throw new Error(`The plan prompt is still ≈${formatTokenCount(finalPromptTokens)} tokens with the requirements digest, more than the ≈${formatTokenCount(budget.inputBudget)} input tokens ${budget.model.label || budget.model.name}'s context window allows. Choose a model with a larger context window or remove documents.`);
+            }
+
+            // Structured mode streams raw JSON, which is only rendered once complete
+            const isStructured = outputFormat === 'json';
 
             // Initialize StreamRenderer
             const streamRenderer = new StreamRenderer(output, {
                 useTextNode: false,
-                markdownParser: parseMarkdown,
-                onComplete: () => {
-                    // Trigger Mermaid Diagram rendering when stream is finished
-                    const mermaidBlocks = output.querySelectorAll('pre code.language-mermaid, pre.mermaid');
-                    mermaidBlocks.forEach(block => {
-                        const code = block.textContent;
-                        const container = document.createElement('div');
-                        container.className = 'mermaid';
-                        container.textContent = code;
-                        block.parentNode.replaceWith(container);
-                    });
-                    if (window.mermaid) { window.mermaid.run?.(); }
-
-                    // Show download button and disclaimer
-                    downloadPdfBtn.classList.remove('hidden');
-                    document.getElementById('aiDisclaimer').classList.remove('hidden');
+                markdownParser: isStructured
+                    ? (text) => `<pre class="whitespace-pre-wrap font-mono text-xs text-slate-300">${escapeHtml(text)}</pre>`
+                    : parseMarkdown,
+                onComplete: (finalText) => {
+                    if (isStructured) {
+                        renderStructuredPlan(finalText);
+                    } else {
+                        planMarkdown = finalText;
+                        if (generationMode === 'gherkin') output.innerHTML = renderOutputHtml(finalText);
+                        finalizePlanOutput();
+                    }
                 }
             });
 
@@ -516,491 +1958,659 @@ Format the output as professional, well-structured Markdown with emphasis on tab
             loadingOverlay.classList.add('hidden');
             output.innerHTML = '<div class="animate-pulse text-violet-300 font-medium p-4">� Starting generation...</div>';
 
-            if (apiProvider === 'openai') {
-                // OpenAI API call with Streaming
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${apiKey}`
+            output.innerHTML = `<div class="animate-pulse text-violet-300 font-medium p-4">🚀 Connecting to ${provider.name}...</div>`;
+
+            let streamSuccess = false;
+            let lastError = null;
+            const failedModels = []; // { model, error } for every model that was given up on
+
+            // Record which model actually produced the plan
+            const recordPlanMetadata = (model, partial, continuation = { rounds: 0, truncated: false }) => {
+                planMetadata = {
+                    providerId: apiProvider,
+                    providerName: provider.name,
+                    model: model.name,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    outputFormat,
+                    mode: generationMode,
+                    template: planTemplate?.name || null,
+                    partial,
+                    continuations: continuation.rounds,
+                    truncated: continuation.truncated,
+                    continuationError: continuation.error || null,
+                    failedModels: [...failedModels],
+                    sourceDocuments: documents.map(doc => ({ name: doc.file.name, size: doc.file.size, pageCount: doc.pageCount })),
+                    timeline: { startDate: startDateInput.value || null, endDate: endDateInput.value || null },
+                    testers: testers.map((tester, idx) => ({
+                        name: `${tester.specialization} Tester ${idx + 1}`,
+                        specialization: tester.specialization,
+                        experience: tester.experience
+                    })),
+                    customInstructions: document.getElementById('customInstructions').value.trim(),
+                    promptTokens: estimateTokens(prompt),
+                    documentChunks: documentDigest ? documentDigest.chunks : 0,
+                    requirementCount: requirements.length,
+                    document: planDocumentDetails && {
+                        projectName: planDocumentDetails.projectName,
+                        release: planDocumentDetails.release,
+                        documentId: planDocumentDetails.documentId,
+                        author: planDocumentDetails.author
                     },
-                    body: JSON.stringify({
-                        model: 'gpt-4',
-                        messages: [
-                            {
-                                role: 'system',
-                                content: 'You are an expert QA Lead. Always respond in Markdown format. Use Markdown tables for structured data.'
-                            },
-                            {
-                                role: 'user',
-                                content: prompt
-                            }
-                        ],
-                        temperature: 0.7,
-                        max_tokens: 16384,
-                        stream: true // Enable Streaming
-                    })
-                });
+                    generatedAt: new Date().toISOString()
+                };
+
+                let metaText = `Generated with ${provider.name} · ${model.name}`;
+                if (planTemplate) metaText += ` · ${planTemplate.name}`;
+                if (failedModels.length > 0) metaText += ` · after ${failedModels.length} failed model(s)`;
+                if (documentDigest) metaText += ` · document summarised from ${documentDigest.chunks} chunk(s)`;
+                if (continuation.rounds > 0) metaText += ` · continued ${continuation.rounds}×`;
+                if (partial) metaText += ' · partial (stopped)';
+                planMeta.textContent = metaText;
+                planMeta.classList.remove('hidden');
+            };
 
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(errorData.error?.message || 'OpenAI API Error');
-                }
+            let continuationRounds = 0;
 
-                // Stream Reader
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder("utf-8");
-                output.innerHTML = ''; // Clear "Starting..." message
+            /**
+             * Keeps requesting continuations while the model stops at its output token limit,
+             * stitching each one onto the text already in the renderer.
+             * @returns {Promise<{rounds: number, truncated: boolean, error?: string}>}
+             */
+            const continueTruncatedPlan = async (result, model) => {
+                continuationRounds = 0;
 
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
+                while (result.truncated && continuationRounds < settings.maxContinuations) {
+                    continuationRounds++;
+                    generationStatus.textContent = `↪ Output hit the token limit - continuing (round ${continuationRounds} of ${settings.maxContinuations})...`;
+                    generationStatus.classList.remove('hidden');
 
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n');
+                    // Drop the cut-off line; the model regenerates it in full
+                    const previousText = trimToLastCompleteLine(streamRenderer.getCurrentText());
+                    streamRenderer.setText(previousText);
 
-                    for (const line of lines) {
-                        if (line.startsWith('data: ') && line !== 'data: [DONE]') {
+                    try {
+                        result = await withRetries(async () => {
+                            // A retried continuation starts again from the same text
+                            streamRenderer.setText(previousText);
+                            const request = provider.buildRequest({
+                                prompt, apiKey, model, settings, responseFormat: outputFormat, continuation: previousText
+                            });
+                            const response = await fetchProvider(provider, model, request, controller.signal);
+
+                            const stitcher = createContinuationStitcher(previousText, (text) => streamRenderer.appendChunk(text));
                             try {
-                                const data = JSON.parse(line.slice(6));
-                                const content = data.choices[0].delta.content;
-                                if (content) {
-                                    streamRenderer.appendChunk(content);
-                                }
-                            } catch (e) {
-                                console.warn('Error parsing stream chunk', e);
+                                return await provider.parseStream(response, stitcher.push);
+                            } finally {
+                                // Text held back for the overlap check is kept when the stream is stopped or fails
+                                stitcher.flush();
                             }
-                        }
+                        }, {
+                            maxRetries: settings.maxRetries,
+                            signal: controller.signal,
+                            onRetry: ({ error, retry, delay }) => {
+                                generationStatus.textContent = `⏳ Continuation failed (${error.message}) - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${retry} of ${settings.maxRetries})...`;
+                            }
+                        });
+                    } catch (err) {
+                        if (controller.signal.aborted) throw err;
+                        // Keep what we have rather than discarding the plan
+                        return { rounds: continuationRounds, truncated: true, error: err.message };
                     }
                 }
-                streamRenderer.finish();
-
-            } else if (apiProvider === 'gemini') {
-                // Google Gemini API call with Streaming
 
-                const geminiModels = [
-                    { name: 'gemini-2.5-pro-latest', version: 'v1beta' },
-                    { name: 'gemini-2.5-flash', version: 'v1beta' },
-                    { name: 'gemini-pro', version: 'v1' },
-                    { name: 'gemini-1.5-flash', version: 'v1beta' }
-                ];
-
-                output.innerHTML = '<div class="animate-pulse text-violet-300 font-medium p-4">🚀 Connecting to Gemini...</div>';
+                if (continuationRounds > 0) {
+                    generationStatus.textContent = `↪ Plan hit the token limit and was continued ${continuationRounds} time(s)`;
+                }
 
-                let streamSuccess = false;
-                let lastError = null;
+                return { rounds: continuationRounds, truncated: result.truncated };
+            };
 
-                for (const model of geminiModels) {
-                    try {
-                        // Configuration for production-ready streaming
-                        const requestBody = {
-                            contents: [{ parts: [{ text: `You are an expert QA Lead. always respond in Markdown.\n\n${prompt}` }] }],
-                            generationConfig: {
-                                temperature: 0.7,
-                                maxOutputTokens: 8192, // Explicitly set to max allowed for most models
-                                stopSequences: ["\n\n----", "\n\n====="] // Prevent infinite separators
-                            },
-                            safetySettings: [
-                                { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_ONLY_HIGH" },
-                                { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_ONLY_HIGH" },
-                                { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_ONLY_HIGH" },
-                                { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_ONLY_HIGH" }
-                            ]
-                        };
-
-                        const response = await fetch(`https://generativelanguage.googleapis.com/${model.version}/models/${model.name}:streamGenerateContent?key=${apiKey}`, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify(requestBody)
-                        });
+            // Try each of the provider's models in order until one streams successfully
+            const models = provider.getModels(settings);
+            for (let index = 0; index < models.length && !streamSuccess; index++) {
+                const model = models[index];
 
-                        if (!response.ok) {
-                            const errorData = await response.json();
-                            throw new Error(errorData.error?.message || `Error with ${model.name}`);
-                        }
+                try {
+                    const streamResult = await withRetries(async () => {
+                        const request = provider.buildRequest({ prompt, apiKey, model, settings, responseFormat: outputFormat });
+                        const response = await fetchProvider(provider, model, request, controller.signal);
 
-                        // Stream Reader
-                        const reader = response.body.getReader();
-                        const decoder = new TextDecoder("utf-8");
                         output.innerHTML = ''; // Clear loading text
-
-                        let buffer = '';
-
-                        while (true) {
-                            const { done, value } = await reader.read();
-                            if (done) break;
-
-                            const chunk = decoder.decode(value, { stream: true });
-                            buffer += chunk;
-
-                            // Parse stream: look for "text" fields in the JSON chunks
-                            let openBraces = 0;
-                            let objectStart = -1;
-
-                            for (let i = 0; i < buffer.length; i++) {
-                                if (buffer[i] === '{') {
-                                    if (openBraces === 0) objectStart = i;
-                                    openBraces++;
-                                } else if (buffer[i] === '}') {
-                                    openBraces--;
-                                    if (openBraces === 0 && objectStart !== -1) {
-                                        const jsonStr = buffer.substring(objectStart, i + 1);
-                                        try {
-                                            const jsonObj = JSON.parse(jsonStr);
-                                            if (jsonObj.candidates && jsonObj.candidates[0] && jsonObj.candidates[0].content) {
-                                                const newText = jsonObj.candidates[0].content.parts[0].text;
-                                                if (newText) {
-                                                    streamRenderer.appendChunk(newText);
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore parsing errors for partial objects
-                                        }
-                                        buffer = buffer.substring(i + 1);
-                                        i = -1;
-                                        objectStart = -1;
-                                    }
-                                }
-                            }
+                        return provider.parseStream(response, (text) => streamRenderer.appendChunk(text));
+                    }, {
+                        maxRetries: settings.maxRetries,
+                        signal: controller.signal,
+                        onRetry: ({ error, retry, delay }) => {
+                            // Discard anything the failed attempt streamed so the retry starts clean
+                            streamRenderer.reset();
+                            const source = error.retryAfter !== null ? ' as requested by the provider' : '';
+                            output.innerHTML = `<div class="animate-pulse text-yellow-300 font-medium p-4">⏳ ${escapeHtml(model.name)}: ${escapeHtml(error.message)}<br>Retrying in ${(delay / 1000).toFixed(1)}s${source} (attempt ${retry} of ${settings.maxRetries})...</div>`;
                         }
+                    });
+                    const continuation = await continueTruncatedPlan(streamResult, model);
 
-                        streamRenderer.finish();
+                    recordPlanMetadata(model, false, continuation);
+                    streamRenderer.finish();
+                    streamSuccess = true;
 
+                } catch (err) {
+                    // Stopped by the user: keep what was produced, don't fall back to the next model
+                    if (controller.signal.aborted) {
+                        recordPlanMetadata(model, true, { rounds: continuationRounds, truncated: false });
+                        streamRenderer.finish();
                         streamSuccess = true;
                         break;
-
-                    } catch (err) {
-                        lastError = err;
-                        continue;
                     }
-                }
 
-                if (!streamSuccess) throw new Error(lastError?.message || 'Gemini Streaming Failed');
+                    // Discard anything the failed attempt streamed so the next one starts clean
+                    streamRenderer.reset();
 
-            }
+                    lastError = toProviderError(err);
+                    failedModels.push({ model: model.name, error: lastError.message, type: lastError.type });
 
+                    // A rejected key fails the same way for every model of the provider
+                    if (lastError.type === ERROR_TYPES.INVALID_KEY) break;
 
+                    const next = models[index + 1];
+                    output.innerHTML = `<div class="animate-pulse text-yellow-300 font-medium p-4">⚠️ ${escapeHtml(model.name)} failed: ${escapeHtml(lastError.message)}${next ? `<br>Switching to ${escapeHtml(next.name)}...` : ''}</div>`;
+                }
+            }
+
+            if (!streamSuccess) {
+                streamRenderer.destroy();
+                if (failedModels.length > 1) {
+                    // Advise on the shared cause when every model failed the same way
+                    const sameType = failedModels.every(f => f.type === lastError.type);
+                    throw new ProviderError(
+                        `All models failed:\n${failedModels.map(f => `• ${f.model}: ${f.error}`).join('\n')}`,
+                        { type: sameType ? lastError.type : ERROR_TYPES.UNKNOWN }
+                    );
+                }
+                throw lastError || new ProviderError(`${provider.name} Streaming Failed`);
+            }
 
         } catch (error) {
             console.error(error);
-            const errorText = error.message.replace(/\n/g, '<br>');
-            output.innerHTML += `
-                <div class="mt-4 bg-red-50 border border-red-100 rounded-xl p-6 shadow-sm">
-                    <h3 class="text-red-900 font-bold mb-2">Generation Error</h3>
-                    <p class="text-red-700 text-sm">${errorText}</p>
-                </div>
-            `;
+            if (error instanceof ProviderError) {
+                const { title, message } = describeProviderError(error, getProvider(apiProvider).name);
+                showGenerationError(message, title);
+            } else {
+                showGenerationError(error.message);
+            }
         } finally {
+            activeGeneration = null;
+            stopBtn.classList.add('hidden');
+            setFormDisabled(false);
             loadingOverlay.classList.add('hidden');
             generateBtn.disabled = false;
-            generateBtn.textContent = 'Generate Test Plan';
+            generateBtn.textContent = GENERATION_MODES[generationMode].button;
             checkGenerateButtonState();
         }
     });
 
 
-    // --- PDF Printing Logic ---
+    // Feature files of a BDD generation, zipped with a folder per module
+    downloadFeaturesBtn.addEventListener('click', async () => {
+        try {
+            const zip = await buildFeatureZip(featureFiles);
+            downloadBlob(zip, getExportFilename('Feature Files', 'zip'));
+        } catch (error) {
+            console.error('Feature file export failed:', error);
+            alert(`Failed to create the zip file: ${error.message}`);
+        }
+    });
 
-    // Download PDF Button Handler - Using iframe print approach
-    downloadPdfBtn.addEventListener('click', async () => {
-        const element = output; // The content we want to print
-        const originalTitle = document.title;
-        const filename = "AI_Test_Plan_" + new Date().toISOString().slice(0, 10) + ".pdf";
+    // Markdown exactly as generated (Mermaid blocks intact) - the format plans are kept in git as
+    document.getElementById('downloadMarkdown').addEventListener('click', () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        const title = GENERATION_MODES[planMetadata?.mode || 'plan'].title;
+        downloadBlob(new Blob([buildMarkdownExport(planMarkdown)], { type: 'text/markdown' }), getExportFilename(title, 'md'));
+    });
 
-        // Set document title for PDF
-        document.title = filename.replace('.pdf', '');
+    // Markdown plus everything the plan was generated from
+    document.getElementById('downloadJson').addEventListener('click', () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        const title = GENERATION_MODES[planMetadata?.mode || 'plan'].title;
+        const bundle = buildPlanBundle({
+            title,
+            markdown: planMarkdown,
+            structured: currentPlan,
+            metadata: planMetadata,
+            requirements: planRequirements
+        });
+        downloadBlob(new Blob([bundle], { type: 'application/json' }), getExportFilename(title, 'json'));
+    });
 
-        // Get team info for cover page
-        const projectTeam = testers.length > 0
-            ? testers.map((t, i) => `${t.specialization} Tester ${i + 1} (${t.experience}y)`).join(', ')
-            : "Not specified";
+    // Native Word document for editing and track changes, with the PDF cover as title page
+    document.getElementById('downloadDocx').addEventListener('click', async () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        try {
+            const cover = getCoverInfo();
+            const file = await buildPlanDocx(output, cover);
+            downloadBlob(file, getExportFilename(cover.title, 'docx'));
+        } catch (error) {
+            console.error('Word export failed:', error);
+            alert(`Failed to create the Word document: ${error.message}`);
+        }
+    });
 
-        // Create a hidden iframe for printing
-        const printFrame = document.createElement("iframe");
-        printFrame.style.position = "fixed";
-        printFrame.style.right = "0";
-        printFrame.style.bottom = "0";
-        printFrame.style.width = "0";
-        printFrame.style.height = "0";
-        printFrame.style.border = "0";
-        printFrame.id = "printFrame";
-        document.body.appendChild(printFrame);
-
-        // Get clean content clone
-        const contentClone = element.cloneNode(true);
-        const cleanContent = contentClone.innerHTML;
-
-        // Get CSS styles using util function
-        const cssRules = extractCSSRules();
-
-        // Write content to the iframe
-        const frameDoc = printFrame.contentDocument || printFrame.contentWindow.document;
-        frameDoc.open();
-        frameDoc.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>${filename.replace('.pdf', '')}</title>
-                <link rel="preconnect" href="https://fonts.googleapis.com">
-                <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-                <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-                <style>
-                    /* Inlined CSS rules */
-                    ${cssRules}
-
-                    /* Print-specific styles */
-                    @media print {
-                        body {
-                            -webkit-print-color-adjust: exact !important;
-                            print-color-adjust: exact !important;
-                            margin: 0;
-                            padding: 0;
-                        }
+    /**
+     * Typed tables of the output for the spreadsheet exports; tells the user when there are none.
+     * @returns {Array<object>} Tables from extractSpreadsheetTables()
+     */
+    function getSpreadsheetTables() {
+        // A template only names its own tables, so the Document Control tables are added separately
+        const tables = planTemplate && planDocumentControl
+            ? [...extractSpreadsheetTables(planDocumentControl, null), ...extractSpreadsheetTables(planMarkdown, planTemplate)]
+            : extractSpreadsheetTables(planMarkdown, planTemplate);
+        if (tables.length === 0) alert('The output has no tables to export.');
+        return tables;
+    }
 
-                        * {
-                            -webkit-print-color-adjust: exact !important;
-                            print-color-adjust: exact !important;
-                        }
+    // One CSV per table (task, resource, schedule, risk ...) for spreadsheet imports
+    document.getElementById('downloadCsv').addEventListener('click', async () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        const tables = getSpreadsheetTables();
+        if (tables.length === 0) return;
+        try {
+            const zip = await buildTablesCsvZip(tables);
+            downloadBlob(zip, getExportFilename(`${getCoverInfo().title} Tables`, 'zip'));
+        } catch (error) {
+            console.error('CSV export failed:', error);
+            alert(`Failed to create the CSV files: ${error.message}`);
+        }
+    });
 
-                        @page {
-                            size: A4;
-                            margin: 15mm;
-                        }
+    // Workbook with a sheet per table and the plan metadata on a summary sheet
+    document.getElementById('downloadXlsx').addEventListener('click', async () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        const tables = getSpreadsheetTables();
+        if (tables.length === 0) return;
+        try {
+            const title = getCoverInfo().title;
+            const workbook = await buildPlanWorkbook(tables, buildSummaryRows(title, planMetadata, tables));
+            downloadBlob(workbook, getExportFilename(title, 'xlsx'));
+        } catch (error) {
+            console.error('Excel export failed:', error);
+            alert(`Failed to create the workbook: ${error.message}`);
+        }
+    });
 
-                        .page-break {
-                            page-break-after: always;
-                        }
+    // --- Jira Export ---
+
+    const jiraDialog = document.getElementById('jiraDialog');
+    const jiraErrors = document.getElementById('jiraErrors');
+    const jiraResults = document.getElementById('jiraResults');
+    const jiraPreview = document.getElementById('jiraPreview');
+    const jiraCreateBtn = document.getElementById('jiraCreateBtn');
+    let jiraTasks = []; // Tasks of the plan the dialog was opened for
+
+    // Dialog inputs of the Jira settings
+    const JIRA_FORM_FIELDS = {
+        projectKey: 'jiraProjectKey',
+        issueType: 'jiraIssueType',
+        priorityMapping: 'jiraPriorityMapping',
+        testerMapping: 'jiraTesterMapping',
+        testerField: 'jiraTesterField',
+        estimateMapping: 'jiraEstimateMapping',
+        linkType: 'jiraLinkType',
+        baseUrl: 'jiraBaseUrl',
+        email: 'jiraEmail'
+    };
 
-                        /* Avoid breaks inside elements */
-                        h1, h2, h3, h4, h5, h6 {
-                            page-break-after: avoid;
-                            page-break-inside: avoid;
-                        }
+    // Settings are kept for the session; the API token is stored separately, like the provider keys
+    function loadJiraSettings() {
+        try {
+            return { ...JIRA_DEFAULT_SETTINGS, ...JSON.parse(sessionStorage.getItem('jira_settings')) };
+        } catch (e) {
+            return { ...JIRA_DEFAULT_SETTINGS };
+        }
+    }
 
-                        table, figure, img {
-                            page-break-inside: avoid;
-                        }
+    function readJiraForm() {
+        const settings = Object.fromEntries(Object.entries(JIRA_FORM_FIELDS)
+            .map(([key, id]) => [key, document.getElementById(id).value.trim()]));
+        settings.projectKey = settings.projectKey.toUpperCase();
+        sessionStorage.setItem('jira_settings', JSON.stringify(settings));
+        sessionStorage.setItem('jira_api_token', document.getElementById('jiraApiToken').value.trim());
+        return settings;
+    }
 
-                        ul, ol {
-                            page-break-inside: avoid;
-                        }
-                    }
+    /**
+     * Lists problems with the Jira settings in the dialog.
+     * @param {Array<string>} problems - Problems to show (none hides the list)
+     * @returns {boolean} True if there were problems
+     */
+    function showJiraErrors(problems) {
+        jiraErrors.innerHTML = problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('');
+        jiraErrors.classList.toggle('hidden', problems.length === 0);
+        return problems.length > 0;
+    }
 
-                    /* General body styles */
-                    body {
-                        font-family: 'Inter', sans-serif;
-                        margin: 0;
-                        padding: 0;
-                        background: white;
-                        color: #1e293b;
-                        font-size: 11pt;
-                        line-height: 1.6;
-                    }
+    function closeJiraDialog() {
+        jiraDialog.classList.add('hidden');
+    }
 
-                    /* Cover page styles */
-                    .cover-page {
-                        height: 100vh;
-                        display: flex;
-                        flexDirection: column;
-                        justify-content: flex-start;
-                        align-items: center;
-                        text-align: center;
-                        padding: 60px 40px;
-                        box-sizing: border-box;
-                        page-break-after: always;
-                    }
+    document.getElementById('openJiraBtn').addEventListener('click', () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        jiraTasks = extractJiraTasks(planMarkdown);
+        if (jiraTasks.length === 0) {
+            alert('The output has no Task Allocation table with Task IDs to create issues from.');
+            return;
+        }
 
-                    .cover-content {
-                        margin-top: 80px;
-                    }
+        const settings = loadJiraSettings();
+        Object.entries(JIRA_FORM_FIELDS).forEach(([key, id]) => { document.getElementById(id).value = settings[key]; });
+        document.getElementById('jiraApiToken').value = sessionStorage.getItem('jira_api_token') || '';
+        document.getElementById('jiraTesterField').classList.toggle('hidden', settings.testerMapping !== 'field');
 
-                    .cover-title {
-                        font-size: 2.5rem;
-                        color: #4f46e5;
-                        margin-bottom: 1rem;
-                        font-weight: 700;
-                    }
+        const linked = jiraTasks.filter(task => task.dependencies.length > 0).length;
+        document.getElementById('jiraTaskCount').textContent = `${jiraTasks.length} task(s) from the Task Allocation table, ${linked} with dependencies`;
+        [jiraErrors, jiraResults, jiraPreview].forEach(element => element.classList.add('hidden'));
+        jiraDialog.classList.remove('hidden');
+    });
 
-                    .cover-subtitle {
-                        font-size: 1.2rem;
-                        color: #64748b;
-                        margin-bottom: 3rem;
-                        font-weight: 400;
-                    }
+    document.getElementById('closeJiraBtn').addEventListener('click', closeJiraDialog);
+    jiraDialog.addEventListener('click', (e) => {
+        if (e.target === jiraDialog) closeJiraDialog();
+    });
 
-                    .cover-info {
-                        text-align: left;
-                        max-width: 500px;
-                        margin: 0 auto;
-                        padding: 2rem;
-                        border: 2px solid #e2e8f0;
-                        border-radius: 12px;
-                        background: #f8fafc;
-                    }
+    document.getElementById('jiraTesterMapping').addEventListener('change', (e) => {
+        document.getElementById('jiraTesterField').classList.toggle('hidden', e.target.value !== 'field');
+    });
 
-                    .cover-info p {
-                        margin: 12px 0;
-                        font-size: 0.95rem;
-                        color: #334155;
-                    }
+    // Dry run: the requests "Create Issues" would send, with "<T-1>" for the keys Jira assigns
+    document.getElementById('jiraPreviewBtn').addEventListener('click', () => {
+        const settings = readJiraForm();
+        if (showJiraErrors(validateJiraSettings(settings))) return;
+
+        const site = settings.baseUrl.replace(/\/+$/, '') || 'https://<site>';
+        jiraPreview.textContent = buildJiraDryRun(jiraTasks, settings)
+            .map(request => `${request.method} ${site}${request.path}\n${JSON.stringify(request.body, null, 2)}`)
+            .join('\n\n');
+        jiraResults.classList.add('hidden');
+        jiraPreview.classList.remove('hidden');
+    });
 
-                    .cover-info strong {
-                        color: #1e293b;
-                    }
+    // Same issues as a file for Jira's CSV import, for sites the browser cannot call
+    document.getElementById('jiraCsvBtn').addEventListener('click', () => {
+        const settings = readJiraForm();
+        if (showJiraErrors(validateJiraSettings(settings))) return;
+        downloadBlob(new Blob([buildJiraCsv(jiraTasks, settings)], { type: 'text/csv' }), getExportFilename('Jira Issues', 'csv'));
+    });
 
-                    /* Main content styles */
-                    .main-content {
-                        padding: 20px;
-                        max-width: 100%;
-                        box-sizing: border-box;
-                    }
+    jiraCreateBtn.addEventListener('click', async () => {
+        const settings = readJiraForm();
+        const apiToken = document.getElementById('jiraApiToken').value;
+        if (showJiraErrors(validateJiraSettings(settings, { api: true, apiToken }))) return;
+        if (!confirm(`Create ${jiraTasks.length} issue(s) in Jira project ${settings.projectKey}?`)) return;
 
-                    .main-content * {
-                        word-wrap: break-word;
-                        overflow-wrap: break-word;
-                    }
+        jiraCreateBtn.disabled = true;
+        jiraPreview.classList.add('hidden');
+        try {
+            const result = await createJiraIssues(jiraTasks, settings, apiToken, (done, total) => {
+                jiraCreateBtn.textContent = `Creating ${done}/${total}...`;
+            });
+            const site = settings.baseUrl.replace(/\/+$/, '');
+            const created = result.created
+                .map(({ taskId, key }) => `<a href="${escapeHtml(`${site}/browse/${key}`)}" target="_blank" rel="noopener noreferrer" class="text-violet-300 hover:underline">${escapeHtml(key)}</a> (${escapeHtml(taskId)})`)
+                .join(', ');
+            const problems = [
+                ...result.failed.map(({ taskId, error }) => `${taskId}: ${error}`),
+                ...(result.skipped > 0 ? [`${result.skipped} task(s) not attempted`] : []),
+                ...result.linkErrors
+            ];
+            jiraResults.innerHTML = `
+                <p class="mb-1"><strong class="text-white">${result.created.length} of ${jiraTasks.length} issue(s) created</strong>${result.links > 0 ? `, ${result.links} dependency link(s)` : ''}${created ? `: ${created}` : ''}</p>
+                ${problems.length > 0 ? `<ul class="list-disc pl-5 text-xs text-red-300">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : ''}
+            `;
+            jiraResults.classList.remove('hidden');
+        } catch (error) {
+            console.error('Jira export failed:', error);
+            showJiraErrors([error.message]);
+        } finally {
+            jiraCreateBtn.disabled = false;
+            jiraCreateBtn.textContent = 'Create Issues';
+        }
+    });
 
-                    .main-content h1 {
-                        font-size: 1.8rem;
-                        font-weight: 700;
-                        color: #1e293b;
-                        margin-top: 24px;
-                        margin-bottom: 12px;
-                        border-bottom: 2px solid #4f46e5;
-                        padding-bottom: 8px;
-                    }
+    // --- TestRail / Xray Export ---
+
+    const testExportDialog = document.getElementById('testExportDialog');
+    const testExportTarget = document.getElementById('testExportTarget');
+    const testExportFormat = document.getElementById('testExportFormat');
+    const testExportName = document.getElementById('testExportName');
+    const testExportMapping = document.getElementById('testExportMapping');
+    const testExportErrors = document.getElementById('testExportErrors');
+    let exportTestCases = []; // Test cases of the output the dialog was opened for
+
+    // Tool, format, names and a field mapping per tool are kept for the session
+    function loadTestExportSettings() {
+        const defaults = {
+            target: 'testrail',
+            formats: { testrail: 'xml', xray: 'csv' },
+            names: { testrail: '', xray: '' },
+            mappings: Object.fromEntries(Object.keys(TEST_MANAGEMENT_TARGETS).map(id => [id, getDefaultFieldMapping(id)]))
+        };
+        try {
+            const saved = JSON.parse(sessionStorage.getItem('test_export_settings')) || {};
+            return {
+                target: TEST_MANAGEMENT_TARGETS[saved.target] ? saved.target : defaults.target,
+                formats: { ...defaults.formats, ...saved.formats },
+                names: { ...defaults.names, ...saved.names },
+                mappings: Object.fromEntries(Object.entries(defaults.mappings)
+                    .map(([id, mapping]) => [id, { ...mapping, ...saved.mappings?.[id] }]))
+            };
+        } catch (e) {
+            return defaults;
+        }
+    }
 
-                    .main-content h2 {
-                        font-size: 1.4rem;
-                        font-weight: 600;
-                        color: #1e293b;
-                        margin-top: 20px;
-                        margin-bottom: 10px;
-                        border-bottom: 1px solid #e2e8f0;
-                        padding-bottom: 6px;
-                    }
+    let testExportSettings = loadTestExportSettings();
 
-                    .main-content h3 {
-                        font-size: 1.1rem;
-                        font-weight: 600;
-                        color: #1e293b;
-                        margin-top: 16px;
-                        margin-bottom: 8px;
-                    }
+    function saveTestExportSettings() {
+        sessionStorage.setItem('test_export_settings', JSON.stringify(testExportSettings));
+    }
 
-                    .main-content p {
-                        color: #334155;
-                        margin-bottom: 10px;
-                        line-height: 1.6;
-                    }
+    // Format options, name field and mapping selects of the chosen tool
+    function renderTestExportForm() {
+        const targetId = testExportSettings.target;
+        const target = TEST_MANAGEMENT_TARGETS[targetId];
+        const mapping = testExportSettings.mappings[targetId];
+        const sourceOptions = [['', "Don't map"], ...Object.entries(TEST_CASE_SOURCE_FIELDS)];
 
-                    .main-content ul,
-                    .main-content ol {
-                        margin-bottom: 12px;
-                        padding-left: 20px;
-                    }
+        testExportTarget.value = targetId;
+        testExportFormat.innerHTML = Object.entries(target.formats)
+            .map(([id, label]) => `<option value="${id}">${escapeHtml(label)}</option>`)
+            .join('');
+        testExportFormat.value = testExportSettings.formats[targetId];
 
-                    .main-content li {
-                        color: #334155;
-                        margin-bottom: 6px;
-                    }
+        document.getElementById('testExportNameLabel').textContent = targetId === 'xray' ? 'Jira Project Key' : 'Suite Name';
+        testExportName.placeholder = targetId === 'xray' ? 'e.g. QA (JSON only)' : GENERATION_MODES.testcases.title;
+        testExportName.value = testExportSettings.names[targetId];
 
-                    .main-content table {
-                        width: 100%;
-                        border-collapse: collapse;
-                        margin: 15px 0;
-                        font-size: 9pt;
-                        table-layout: fixed;
-                    }
+        testExportMapping.innerHTML = target.fields.map(field => `
+            <div>
+                <label for="testExportField-${field.key}" class="block text-xs font-semibold text-white/70 uppercase tracking-wide mb-2">${escapeHtml(field.label)}${field.required ? ' <span class="text-red-300">*</span>' : ''}</label>
+                <select id="testExportField-${field.key}" data-field="${field.key}"
+                    class="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm text-white focus:border-violet-400 focus:ring-2 focus:ring-violet-500/20 outline-none transition-all cursor-pointer">
+                    ${sourceOptions.map(([id, label]) => `<option value="${id}"${mapping[field.key] === id ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
 
-                    .main-content th,
-                    .main-content td {
-                        border: 1px solid #cbd5e1;
-                        padding: 8px 6px;
-                        color: #334155;
-                        word-wrap: break-word;
-                        overflow-wrap: break-word;
-                        hyphens: auto;
-                        font-size: 9pt;
-                        line-height: 1.4;
-                    }
+        showTestExportProblems();
+    }
 
-                    .main-content th {
-                        background: #f1f5f9;
-                        font-weight: 600;
-                        color: #1e293b;
-                    }
+    /**
+     * Lists the test cases that lack required fields under the current mapping.
+     * @returns {Array<{id: string, missing: Array<string>}>} Flagged test cases
+     */
+    function showTestExportProblems() {
+        const targetId = testExportSettings.target;
+        const flagged = validateMappedTestCases(exportTestCases, targetId, testExportSettings.mappings[targetId]);
+        testExportErrors.innerHTML = flagged
+            .map(({ id, missing }) => `<li>${escapeHtml(id)}: missing ${escapeHtml(missing.join(', '))}</li>`)
+            .join('');
+        testExportErrors.classList.toggle('hidden', flagged.length === 0);
+        return flagged;
+    }
 
-                    .main-content pre,
-                    .main-content code {
-                        background: #f8fafc;
-                        color: #1e293b;
-                        padding: 8px;
-                        border-radius: 4px;
-                        font-size: 9pt;
-                        white-space: pre-wrap;
-                        word-wrap: break-word;
-                    }
+    function closeTestExportDialog() {
+        testExportDialog.classList.add('hidden');
+    }
 
-                    .main-content .mermaid {
-                        page-break-inside: avoid;
-                        margin: 15px 0;
-                    }
+    document.getElementById('openTestExportBtn').addEventListener('click', () => {
+        exportMenu.open = false;
+        if (!planMarkdown) return;
+        exportTestCases = extractTestCases(planMarkdown, currentPlan);
+        if (exportTestCases.length === 0) {
+            alert('The output has no test cases. Generate with the "Test Cases" mode to export them to TestRail or Xray.');
+            return;
+        }
 
-                    /* Hide elements that shouldn't be printed */
-                    button, .no-print {
-                        display: none !important;
-                    }
-                </style>
-            </head>
-            <body>
-                <!-- Cover Page -->
-                <div class="cover-page">
-                    <div class="cover-content">
-                        <h1 class="cover-title">Test Plan</h1>
-                        <div class="cover-subtitle">Generated by AI Test Plan Generator</div>
-                        <div class="cover-info">
-                            <p><strong>📅 Date:</strong> ${new Date().toLocaleDateString()}</p>
-                            <p><strong>🤖 AI Model:</strong> ${apiProvider.toUpperCase()}</p>
-                            <p><strong>👥 Team Composition:</strong> ${projectTeam}</p>
-                        </div>
-                    </div>
-                </div>
+        const sections = new Set(exportTestCases.map(testCase => testCase.section)).size;
+        document.getElementById('testExportCount').textContent = `${exportTestCases.length} test case(s) in ${sections} section(s)`;
+        renderTestExportForm();
+        testExportDialog.classList.remove('hidden');
+    });
 
-                <!-- Main Content -->
-                <div class="main-content">
-                    ${cleanContent}
-                </div>
-            </body>
-            </html>
-        `);
-        frameDoc.close();
-
-        // Wait for content to load before printing
-        printFrame.onload = () => {
-            try {
-                setTimeout(() => {
-                    // Trigger print dialog
-                    printFrame.contentWindow.focus();
-                    printFrame.contentWindow.print();
-
-                    // Clean up after printing
-                    setTimeout(() => {
-                        if (document.body.contains(printFrame)) {
-                            document.body.removeChild(printFrame);
-                        }
-                        document.title = originalTitle;
-                    }, 500);
-                }, 1000); // Delay to ensure styles are applied
-            } catch (err) {
-                console.error("Print failed:", err);
-                if (document.body.contains(printFrame)) {
-                    document.body.removeChild(printFrame);
-                }
-                document.title = originalTitle;
-                alert('Failed to generate PDF. Please try again.');
-            }
+    document.getElementById('closeTestExportBtn').addEventListener('click', closeTestExportDialog);
+    testExportDialog.addEventListener('click', (e) => {
+        if (e.target === testExportDialog) closeTestExportDialog();
+    });
+
+    testExportTarget.addEventListener('change', () => {
+        testExportSettings.target = testExportTarget.value;
+        saveTestExportSettings();
+        renderTestExportForm();
+    });
+
+    testExportFormat.addEventListener('change', () => {
+        testExportSettings.formats[testExportSettings.target] = testExportFormat.value;
+        saveTestExportSettings();
+    });
+
+    testExportName.addEventListener('input', () => {
+        testExportSettings.names[testExportSettings.target] = testExportName.value.trim();
+        saveTestExportSettings();
+    });
+
+    testExportMapping.addEventListener('change', (e) => {
+        if (!e.target.dataset.field) return;
+        testExportSettings.mappings[testExportSettings.target][e.target.dataset.field] = e.target.value;
+        saveTestExportSettings();
+        showTestExportProblems();
+    });
+
+    document.getElementById('testExportResetBtn').addEventListener('click', () => {
+        testExportSettings.mappings[testExportSettings.target] = getDefaultFieldMapping(testExportSettings.target);
+        saveTestExportSettings();
+        renderTestExportForm();
+    });
+
+    // Cases missing required fields would be rejected by the import, so they are left out after confirmation
+    document.getElementById('testExportDownloadBtn').addEventListener('click', () => {
+        const targetId = testExportSettings.target;
+        const format = testExportSettings.formats[targetId];
+        const name = testExportSettings.names[targetId];
+        const projectKey = name.toUpperCase();
+        if (targetId === 'xray' && format === 'json' && !JIRA_PROJECT_KEY.test(projectKey)) {
+            alert('Xray JSON needs the Jira project key of the tests (upper-case letters and digits starting with a letter, e.g. QA).');
+            testExportName.focus();
+            return;
+        }
+
+        // By position: IDs need not be unique across modules
+        const flaggedIndexes = new Set(showTestExportProblems().map(({ index }) => index));
+        const valid = exportTestCases.filter((testCase, i) => !flaggedIndexes.has(i));
+        if (valid.length === 0) {
+            alert('No test case has all required fields. Adjust the field mapping.');
+            return;
+        }
+        if (flaggedIndexes.size > 0 && !confirm(`${flaggedIndexes.size} test case(s) miss required fields and will be left out. Download the other ${valid.length}?`)) {
+            return;
+        }
+
+        try {
+            const file = buildTestManagementExport(targetId, format, valid, testExportSettings.mappings[targetId], {
+                suiteName: name || GENERATION_MODES.testcases.title,
+                projectKey
+            });
+            const title = `${TEST_MANAGEMENT_TARGETS[targetId].name} ${GENERATION_MODES.testcases.title}`;
+            downloadBlob(new Blob([file.content], { type: file.type }), getExportFilename(title, file.extension));
+        } catch (error) {
+            console.error('Test case export failed:', error);
+            alert(`Failed to create the import file: ${error.message}`);
+        }
+    });
+
+    /**
+     * Cover page information shared by the PDF and Word exports.
+     * @returns {{title: string, project: string, date: string, generated: string, aiModel: string, team: string}}
+     */
+    function getCoverInfo() {
+        // Team the plan was generated for; testers edited since then are not part of it
+        const planTesters = planMetadata
+            ? planMetadata.testers
+            : testers.map((t, i) => ({ name: `${t.specialization} Tester ${i + 1}`, experience: t.experience }));
+        const team = planTesters.length > 0
+            ? planTesters.map(t => `${t.name} (${t.experience}y)`).join(', ')
+            : "Not specified";
+
+        // Model that produced the plan (falls back to the selected provider for older output)
+        const aiModel = planMetadata
+            ? `${planMetadata.providerName} (${planMetadata.model})`
+            : getProvider(apiProvider).name;
+
+        // The project name from the document details, else the document's own title ("Test Plan: Checkout Service")
+        const title = GENERATION_MODES[planMetadata?.mode || 'plan'].title;
+        const details = planDocumentDetails || createDocumentDetails();
+        const project = details.projectName.trim() || output.querySelector('h1')?.textContent.trim() || title;
+
+        return {
+            title,
+            project,
+            date: new Date().toLocaleDateString(),
+            generated: new Date(planMetadata?.generatedAt || Date.now()).toLocaleDateString(),
+            aiModel,
+            team,
+            // Entered document details, shown on the cover page
+            documentFields: [
+                ['Project', details.projectName],
+                ['Release / Version', details.release],
+                ['Document ID', details.documentId],
+                ['Author', details.author]
+            ].map(([label, value]) => [label, value.trim()]).filter(([, value]) => value),
+            documentId: details.documentId.trim(),
+            logo: details.logo
         };
+    }
+
+    // --- PDF Export ---
+
+    downloadPdfBtn.addEventListener('click', async () => {
+        if (!planMarkdown) return;
+        const cover = getCoverInfo();
+        downloadPdfBtn.disabled = true;
+        downloadPdfBtn.classList.add('opacity-60', 'cursor-wait');
+        try {
+            const file = await buildPlanPdf(output, cover);
+            downloadBlob(file, getExportFilename(cover.title, 'pdf'));
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            alert(`Failed to create the PDF: ${error.message}`);
+        } finally {
+            downloadPdfBtn.disabled = false;
+            downloadPdfBtn.classList.remove('opacity-60', 'cursor-wait');
+        }
     });
 
     // Initial state check
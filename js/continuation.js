@@ -0,0 +1,110 @@
+/**
+ * Continuation of truncated generations
+ *
+ * When a model stops because it hit its output token limit, the generator
+ * sends a follow-up request containing the text produced so far and asks the
+ * model to carry on. These helpers prepare the text for that request and
+ * stitch the continuation back onto it without duplicating content.
+ */
+
+const CONTINUATION_PROMPT = `Your previous response was cut off because it reached the output length limit.
+Continue EXACTLY where you left off. Start with the line that comes right after the last complete line of your previous response (if it is a single line, such as minified JSON, continue right after its last character).
+Do NOT repeat any content you have already written, do NOT restart the document and do NOT add any introduction or commentary.
+Keep the same formatting (e.g. if you were in the middle of a table, continue with the next table row).`;
+
+// Characters after which a single-line response (e.g. minified JSON) can be cut: whitespace and JSON punctuation
+const TOKEN_BOUNDARY = /[\s,:{}[\]]/;
+
+// Number of trailing lines compared when removing repeated content from a continuation
+const OVERLAP_LINES = 5;
+
+// Characters buffered from a continuation before it is checked for repeated content
+const OVERLAP_BUFFER_CHARS = 1000;
+
+/**
+ * Drops the trailing partial line of a truncated response. The model is asked
+ * to continue from the next line, so the cut-off line is regenerated in full
+ * instead of being glued onto a half line. A response without any newline is
+ * cut after its last token or JSON boundary instead, so it is continued rather
+ * than started again.
+ * @param {string} text - Text produced so far
+ * @returns {string} Text up to and including the last newline (or boundary)
+ */
+function trimToLastCompleteLine(text) {
+    const lastNewline = text.lastIndexOf('\n');
+    if (lastNewline !== -1) return text.substring(0, lastNewline + 1);
+
+    for (let i = text.length - 1; i >= 0; i--) {
+        if (TOKEN_BOUNDARY.test(text[i])) return text.substring(0, i + 1);
+    }
+    return text;
+}
+
+/**
+ * Removes lines at the start of a continuation that repeat the end of the existing text.
+ * @param {string} existing - Text produced before the continuation
+ * @param {string} continuation - Beginning of the continuation
+ * @returns {string} Continuation without the repeated lines
+ */
+function stripContinuationOverlap(existing, continuation) {
+    const existingLines = existing.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const continuationLines = continuation.split('\n');
+
+    for (let count = Math.min(OVERLAP_LINES, existingLines.length); count > 0; count--) {
+        const tail = existingLines.slice(-count);
+        const head = continuationLines.slice(0, count).map(line => line.trim());
+
+        if (head.length === count && head.every((line, i) => line === tail[i])) {
+            return continuationLines.slice(count).join('\n');
+        }
+    }
+
+    return continuation;
+}
+
+/**
+ * Creates a chunk handler for a continuation stream. The first chunks are
+ * held back until enough text has arrived to detect repeated lines, after
+ * which chunks are passed straight through.
+ * @param {string} existing - Text produced before the continuation
+ * @param {function(string): void} onText - Receives the de-duplicated continuation text
+ * @returns {{push: function(string): void, flush: function(): void}} Stitcher
+ */
+function createContinuationStitcher(existing, onText) {
+    let pending = '';
+    let passthrough = false;
+
+    const release = () => {
+        passthrough = true;
+        const text = stripContinuationOverlap(existing, pending);
+        pending = '';
+        if (text) {
+            onText(text);
+        }
+    };
+
+    return {
+        push(chunk) {
+            if (passthrough) {
+                onText(chunk);
+                return;
+            }
+
+            pending += chunk;
+            if (pending.length >= OVERLAP_BUFFER_CHARS || pending.split('\n').length > OVERLAP_LINES) {
+                release();
+            }
+        },
+
+        flush() {
+            if (!passthrough) {
+                release();
+            }
+        }
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONTINUATION_PROMPT, trimToLastCompleteLine, stripContinuationOverlap, createContinuationStitcher };
+}
@@ -0,0 +1,192 @@
+/**
+ * Document control
+ *
+ * The details a QA process asks of every deliverable - project, release,
+ * document ID, author, company logo, reviewers and approvers, revision
+ * history. They are entered once (kept in localStorage), named in the
+ * generation prompt, shown on the cover page and added to the output as a
+ * Document Control section, so every export carries them.
+ */
+
+const SIGNATORY_ROLES = ['Reviewer', 'Approver'];
+
+// Blank line to sign and date on
+const SIGN_OFF_LINE = '____________________';
+
+// The logo is kept in localStorage as a data URL, so it has to stay small
+const MAX_LOGO_BYTES = 512 * 1024;
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Empty document details.
+ * @returns {object} { projectName, release, documentId, author, logo, signatories, revisions }
+ */
+function createDocumentDetails() {
+    return {
+        projectName: '',
+        release: '',
+        documentId: '',
+        author: '',
+        logo: null, // { dataUrl, width, height }
+        signatories: [], // { name, role }
+        revisions: [] // { version, date, author, description }
+    };
+}
+
+/**
+ * Document details with every field present and of the right type, e.g. from localStorage.
+ * @param {object} raw - Stored or entered details
+ * @returns {object} Document details
+ */
+function normalizeDocumentDetails(raw) {
+    const text = value => (typeof value === 'string' ? value : '');
+    const details = createDocumentDetails();
+    if (!raw || typeof raw !== 'object') return details;
+
+    ['projectName', 'release', 'documentId', 'author'].forEach(key => { details[key] = text(raw[key]); });
+    if (raw.logo && typeof raw.logo.dataUrl === 'string' && raw.logo.width > 0 && raw.logo.height > 0) {
+        details.logo = { dataUrl: raw.logo.dataUrl, width: raw.logo.width, height: raw.logo.height };
+    }
+    details.signatories = (Array.isArray(raw.signatories) ? raw.signatories : []).map(signatory => ({
+        name: text(signatory?.name),
+        role: SIGNATORY_ROLES.includes(signatory?.role) ? signatory.role : SIGNATORY_ROLES[0]
+    }));
+    details.revisions = (Array.isArray(raw.revisions) ? raw.revisions : []).map(revision => ({
+        version: text(revision?.version),
+        date: text(revision?.date),
+        author: text(revision?.author),
+        description: text(revision?.description)
+    }));
+    return details;
+}
+
+/**
+ * Whether any detail was entered; without any, documents have no Document Control section.
+ * @param {object} details - Document details
+ * @returns {boolean} True if there is something to show
+ */
+function hasDocumentDetails(details) {
+    return ['projectName', 'release', 'documentId', 'author'].some(key => details[key].trim())
+        || Boolean(details.logo)
+        || details.signatories.some(signatory => signatory.name.trim())
+        || details.revisions.some(revision => Object.values(revision).some(value => value.trim()));
+}
+
+/**
+ * Prompt section naming the project, so the model uses its real name instead of inventing one.
+ * @param {object} details - Document details
+ * @returns {string} Prompt section, or '' if there are no details
+ */
+function formatDocumentDetailsForPrompt(details) {
+    if (!hasDocumentDetails(details)) return '';
+
+    const lines = [
+        ['Project', details.projectName],
+        ['Release / Version', details.release],
+        ['Document ID', details.documentId],
+        ['Author', details.author]
+    ].filter(([, value]) => value.trim()).map(([label, value]) => `${label}: ${value.trim()}`);
+
+    return `DOCUMENT DETAILS:
+${lines.join('\n')}
+${details.projectName.trim() ? `Refer to the project as "${details.projectName.trim()}" in the title and throughout - do not invent another project name.\n` : ''}A Document Control section (document details, reviewers and approvers, revision history) is added automatically - do not write one.`;
+}
+
+/**
+ * Document Control section: document details, reviewers and approvers with sign-off lines, and
+ * the revision history. Without revisions, the generated document is listed as the first one.
+ * @param {object} details - Document details
+ * @param {object} info - { title (e.g. "Test Plan"), date (generation date, YYYY-MM-DD) }
+ * @returns {string} Markdown section
+ */
+function buildDocumentControlMarkdown(details, { title, date }) {
+    const fields = [
+        ['Project', details.projectName],
+        ['Document', title],
+        ['Document ID', details.documentId],
+        ['Release / Version', details.release],
+        ['Author', details.author],
+        ['Date', date]
+    ].filter(([, value]) => value.trim());
+
+    const signatories = details.signatories.filter(signatory => signatory.name.trim());
+    const revisions = details.revisions.filter(revision => Object.values(revision).some(value => value.trim()));
+    const history = revisions.length > 0
+        ? revisions.map(revision => [revision.version, revision.date, revision.author, revision.description])
+        : [[details.release, date, details.author, 'Initial version']];
+
+    const sections = [`## Document Control\n\n${markdownTable(['Field', 'Value'], fields)}`];
+    if (signatories.length > 0) {
+        sections.push(`### Reviewers and Approvers\n\n${markdownTable(
+            ['Name', 'Role', 'Signature', 'Date'],
+            signatories.map(signatory => [signatory.name, signatory.role, SIGN_OFF_LINE, SIGN_OFF_LINE])
+        )}`);
+    }
+    sections.push(`### Revision History\n\n${markdownTable(['Version', 'Date', 'Author', 'Description'], history)}`);
+    return sections.join('\n\n');
+}
+
+/**
+ * Adds the Document Control section below the document's title (its first line, if that is a level 1 heading).
+ * @param {string} markdown - Generated Markdown
+ * @param {string} section - From buildDocumentControlMarkdown()
+ * @returns {string} Markdown with the section
+ */
+function insertDocumentControl(markdown, section) {
+    const title = markdown.match(/^# .*\n/);
+    return title
+        ? `${title[0]}\n${section}\n\n${markdown.slice(title[0].length).replace(/^\n+/, '')}`
+        : `${section}\n\n${markdown}`;
+}
+
+/**
+ * Reads a logo image for the cover page.
+ * @param {File} file - PNG or JPEG file
+ * @returns {Promise<{dataUrl: string, width: number, height: number}>} Logo
+ * @throws {Error} If the file is not a PNG or JPEG image or is too large
+ */
+async function readLogoFile(file) {
+    if (!LOGO_TYPES.includes(file.type)) throw new Error('The logo must be a PNG or JPEG image');
+    if (file.size > MAX_LOGO_BYTES) throw new Error(`The logo must be smaller than ${formatFileSize(MAX_LOGO_BYTES)}`);
+
+    const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('The logo could not be read'));
+        reader.readAsDataURL(file);
+    });
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('The logo is not a valid image'));
+        image.src = dataUrl;
+    });
+    return { dataUrl, width: image.naturalWidth, height: image.naturalHeight };
+}
+
+/**
+ * Size of the logo on a cover page, within a bounding box and never enlarged.
+ * @param {object} logo - { width, height }
+ * @param {number} maxWidth - Box width
+ * @param {number} maxHeight - Box height
+ * @returns {{width: number, height: number}} Size
+ */
+function fitLogo(logo, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / logo.width, maxHeight / logo.height);
+    return { width: Math.round(logo.width * scale), height: Math.round(logo.height * scale) };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SIGNATORY_ROLES,
+        createDocumentDetails,
+        normalizeDocumentDetails,
+        hasDocumentDetails,
+        formatDocumentDetailsForPrompt,
+        buildDocumentControlMarkdown,
+        insertDocumentControl,
+        readLogoFile,
+        fitLogo
+    };
+}
@@ -0,0 +1,438 @@
+/**
+ * Structure-preserving extractors for requirement documents
+ *
+ * Word, Markdown and HTML documents are turned into Markdown so the model
+ * sees the document's organisation (headings, lists, tables) instead of a
+ * flat run of text:
+ * - .docx is converted to HTML by mammoth.js, then to Markdown
+ * - .html / .htm (e.g. Confluence exports) is converted to Markdown
+ * - .md / .markdown is passed through
+ *
+ * PDFs are read with pdf.js and their layout is rebuilt as Markdown (see
+ * pdfLayout.js); pages without a text layer (scans) are rendered to a
+ * canvas and read with Tesseract.js OCR.
+ */
+
+// Elements that start a new block in the Markdown output
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// Elements whose content is never part of the document text
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg', 'iframe', 'button', 'select', 'nav']);
+
+// Placeholder for <br> so it survives whitespace collapsing
+const LINE_BREAK = '\uE000';
+
+// Pages with fewer non-space characters than this have no usable text layer
+const MIN_PAGE_TEXT_CHARS = 20;
+
+// pdf.js renders at 72 dpi for scale 1; OCR needs roughly 150-300 dpi
+const OCR_RENDER_SCALE = 2.5;
+
+const OCR_LANGUAGE = 'eng';
+
+// Word styles that mammoth.js does not map to headings by default
+const DOCX_STYLE_MAP = [
+    "p[style-name='Title'] => h1:fresh",
+    "p[style-name='Subtitle'] => h2:fresh"
+];
+
+/**
+ * Collapses whitespace the way a browser renders it, keeping explicit line breaks.
+ * @param {string} text - Inline text
+ * @param {string} lineBreak - What a <br> becomes
+ * @returns {string} Collapsed text
+ */
+function collapseWhitespace(text, lineBreak = '\n') {
+    return text
+        .replace(/[ \t\r\n\f\v\u00a0]+/g, ' ')
+        .split(LINE_BREAK).map(line => line.trim()).join(lineBreak)
+        .trim();
+}
+
+/**
+ * Wraps inline text in a Markdown marker, keeping surrounding spaces outside the marker.
+ * @param {string} text - Inline Markdown
+ * @param {string} marker - e.g. "**" or "`"
+ * @returns {string} Emphasised text
+ */
+function wrapInline(text, marker) {
+    if (!text.trim()) return text;
+    const leading = text.match(/^\s*/)[0];
+    const trailing = text.match(/\s*$/)[0];
+    return `${leading}${marker}${text.trim()}${marker}${trailing}`;
+}
+
+/**
+ * Converts the children of an element to inline Markdown.
+ * @param {Node} node - Parent node
+ * @returns {string} Inline Markdown (whitespace not yet collapsed)
+ */
+function inlineChildrenToMarkdown(node) {
+    return Array.from(node.childNodes).map(inlineToMarkdown).join('');
+}
+
+/**
+ * Converts a node to inline Markdown.
+ * @param {Node} node - Text or element node
+ * @returns {string} Inline Markdown (whitespace not yet collapsed)
+ */
+function inlineToMarkdown(node) {
+    if (node.nodeType === 3) { // Text
+        return node.textContent;
+    }
+    if (node.nodeType !== 1) { // Comments, processing instructions
+        return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) return '';
+
+    switch (tag) {
+        case 'br':
+            return LINE_BREAK;
+        case 'strong':
+        case 'b':
+            return wrapInline(inlineChildrenToMarkdown(node), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(inlineChildrenToMarkdown(node), '*');
+        case 'code':
+            return wrapInline(node.textContent, '`');
+        case 'a': {
+            const text = inlineChildrenToMarkdown(node);
+            const href = node.getAttribute('href') || '';
+            // In-page anchors (e.g. mammoth's footnote and TOC links) carry no information
+            return /^(https?:|mailto:)/i.test(href) && text.trim() ? `[${text.trim()}](${href})` : text;
+        }
+        case 'img': {
+            const alt = node.getAttribute('alt');
+            return alt ? `[Image: ${alt}]` : '';
+        }
+        default:
+            return inlineChildrenToMarkdown(node);
+    }
+}
+
+/**
+ * Converts the children of an element to Markdown blocks separated by blank lines.
+ * Loose inline content between blocks becomes its own paragraph.
+ * @param {Node} parent - Parent node
+ * @param {object} options - { skipLists: true to leave out nested lists (rendered by the list item) }
+ * @returns {string} Markdown
+ */
+function blocksToMarkdown(parent, { skipLists = false } = {}) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        const text = collapseWhitespace(inline);
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    parent.childNodes.forEach(node => {
+        const tag = node.nodeType === 1 ? node.tagName.toLowerCase() : null;
+
+        if (!tag || !BLOCK_TAGS.has(tag)) {
+            inline += inlineToMarkdown(node);
+            return;
+        }
+        if (skipLists && (tag === 'ul' || tag === 'ol')) {
+            return;
+        }
+
+        flush();
+        const markdown = blockToMarkdown(node, tag);
+        if (markdown) blocks.push(markdown);
+    });
+    flush();
+
+    return blocks.join('\n\n');
+}
+
+/**
+ * Converts a block element to Markdown.
+ * @param {Element} node - Block element
+ * @param {string} tag - Lower-case tag name
+ * @returns {string} Markdown
+ */
+function blockToMarkdown(node, tag) {
+    switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+            const text = collapseWhitespace(inlineChildrenToMarkdown(node), ' ');
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        }
+        case 'ul':
+        case 'ol':
+            return listToMarkdown(node, '');
+        case 'table':
+            return tableToMarkdown(node);
+        case 'pre':
+            return `\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\``;
+        case 'blockquote':
+            return blocksToMarkdown(node).split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+        case 'hr':
+            return '---';
+        case 'dt':
+            return wrapInline(collapseWhitespace(inlineChildrenToMarkdown(node), ' '), '**');
+        case 'li':
+            return `- ${blocksToMarkdown(node)}`; // Stray item outside a list
+        default:
+            return blocksToMarkdown(node);
+    }
+}
+
+/**
+ * Converts a <ul>/<ol> to a (nested) Markdown list.
+ * @param {Element} list - List element
+ * @param {string} indent - Indentation of this nesting level
+ * @returns {string} Markdown list
+ */
+function listToMarkdown(list, indent) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = parseInt(list.getAttribute('start')) || 1;
+    const lines = [];
+
+    Array.from(list.children).forEach(item => {
+        if (item.tagName.toLowerCase() !== 'li') return;
+
+        const marker = ordered ? `${number++}.` : '-';
+        const childIndent = indent + ' '.repeat(marker.length + 1);
+        const content = blocksToMarkdown(item, { skipLists: true })
+            .split('\n').filter(line => line.trim())
+            .join(`\n${childIndent}`);
+        lines.push(`${indent}${marker} ${content}`);
+
+        Array.from(item.children)
+            .filter(child => ['ul', 'ol'].includes(child.tagName.toLowerCase()))
+            .forEach(nested => lines.push(listToMarkdown(nested, childIndent)));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Converts a <table> to a Markdown table. The first row becomes the header;
+ * merged cells (colspan and rowspan) are expanded into empty cells, so every
+ * value stays in its column.
+ * @param {Element} table - Table element
+ * @returns {string} Markdown table
+ */
+function tableToMarkdown(table) {
+    const covered = []; // Per column: rows still covered by a rowspan cell above
+    const rows = Array.from(table.rows)
+        .map(row => {
+            const cells = [];
+            // Columns taken by a cell from a row above (all: also those after the row's last cell)
+            const skipCovered = (all = false) => {
+                while (cells.length < covered.length && (all || covered[cells.length] > 0)) {
+                    if (covered[cells.length] > 0) covered[cells.length]--;
+                    cells.push('');
+                }
+            };
+
+            Array.from(row.cells).forEach(cell => {
+                skipCovered();
+                const text = blocksToMarkdown(cell)
+                    .replace(/\|/g, '\\|')
+                    .replace(/\n+/g, '<br>');
+                // rowspan="0" spans the rest of the table
+                const rowSpan = cell.rowSpan === 0 ? table.rows.length : cell.rowSpan || 1;
+                for (let span = 0; span < (cell.colSpan || 1); span++) {
+                    covered[cells.length] = rowSpan - 1;
+                    cells.push(span === 0 ? text : '');
+                }
+            });
+            skipCovered(true);
+            return cells;
+        })
+        .filter(cells => cells.some(cell => cell.trim()));
+
+    if (rows.length === 0) return '';
+
+    // Single-cell tables are layout boxes (e.g. Confluence panels), not data
+    const columns = Math.max(...rows.map(cells => cells.length));
+    if (columns === 1 && rows.length === 1) {
+        return blocksToMarkdown(table.rows[0].cells[0]);
+    }
+
+    const toLine = (cells) => `| ${[...cells, ...Array(columns - cells.length).fill('')].join(' | ')} |`;
+    return [
+        toLine(rows[0]),
+        `|${' --- |'.repeat(columns)}`,
+        ...rows.slice(1).map(toLine)
+    ].join('\n');
+}
+
+/**
+ * Converts an HTML document or fragment to Markdown.
+ * @param {string} html - HTML source
+ * @returns {string} Markdown
+ */
+function htmlToMarkdown(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return blocksToMarkdown(doc.body).replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Converts a Word document to Markdown.
+ * @param {ArrayBuffer} arrayBuffer - .docx file content
+ * @returns {Promise<string>} Markdown
+ */
+async function extractDocxMarkdown(arrayBuffer) {
+    if (typeof mammoth === 'undefined') {
+        throw new Error('Mammoth.js library not loaded');
+    }
+
+    const result = await mammoth.convertToHtml({ arrayBuffer }, { styleMap: DOCX_STYLE_MAP });
+    result.messages
+        .filter(message => message.type === 'error')
+        .forEach(message => console.warn('DOCX conversion:', message.message));
+
+    return htmlToMarkdown(result.value);
+}
+
+/**
+ * Renders a PDF page to a canvas for OCR.
+ * @param {object} pdf - pdf.js document
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<HTMLCanvasElement>} Rendered page
+ */
+async function renderPdfPage(pdf, pageNumber) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+}
+
+/**
+ * Reads PDF pages with OCR.
+ * @param {object} pdf - pdf.js document
+ * @param {number[]} pageNumbers - Pages to read
+ * @param {object} options - { onProgress({ page, index, total, progress, status }), signal }
+ * @returns {Promise<string[]>} Text per page, in the order of pageNumbers
+ * @throws {Error} 'OCR cancelled' when the signal is aborted
+ */
+async function ocrPdfPages(pdf, pageNumbers, { onProgress, signal }) {
+    if (typeof Tesseract === 'undefined') {
+        throw new Error('Tesseract.js library not loaded - scanned PDF pages cannot be read');
+    }
+
+    let current = { page: pageNumbers[0], index: 1, total: pageNumbers.length };
+    const report = (status, progress) => onProgress({ ...current, status, progress });
+
+    // Rejects as soon as the user cancels, even in the middle of a page
+    let rejectCancelled;
+    const cancelled = new Promise((resolve, reject) => { rejectCancelled = reject; });
+    cancelled.catch(() => { });
+    const onAbort = () => rejectCancelled(new Error('OCR cancelled'));
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    report('loading OCR engine', 0);
+    let worker = null;
+
+    try {
+        const loading = Tesseract.createWorker(OCR_LANGUAGE, 1, {
+            logger: (message) => {
+                if (message.status === 'recognizing text') {
+                    report(message.status, message.progress);
+                }
+            }
+        });
+        // A worker that finishes loading after a cancel is no longer awaited - shut it down here
+        loading.then(created => { if (signal?.aborted) created.terminate(); }, () => { });
+        worker = await Promise.race([loading, cancelled]);
+
+        const texts = [];
+        for (let i = 0; i < pageNumbers.length; i++) {
+            current = { page: pageNumbers[i], index: i + 1, total: pageNumbers.length };
+            report('rendering page', 0);
+
+            const canvas = await Promise.race([renderPdfPage(pdf, pageNumbers[i]), cancelled]);
+            const { data } = await Promise.race([worker.recognize(canvas), cancelled]);
+            texts.push(data.text);
+        }
+        return texts;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        worker?.terminate();
+    }
+}
+
+/**
+ * Extracts the text of a PDF as Markdown, reading pages without a text layer with OCR.
+ * @param {ArrayBuffer} arrayBuffer - .pdf file content
+ * @param {object} options - { onProgress, signal } for the OCR step (see ocrPdfPages)
+ * @returns {Promise<{text: string, pageCount: number, ocrPages: number, ocrFailure: ({pages: number[], message: string}|null)}>}
+ *          Markdown (pages separated by blank lines), page count, number of pages read with OCR, and the
+ *          pages that could not be read if OCR failed
+ * @throws {Error} 'OCR cancelled' when the signal is aborted
+ */
+async function extractPdfText(arrayBuffer, { onProgress = () => { }, signal } = {}) {
+    if (typeof pdfjsLib === 'undefined') {
+        throw new Error('PDF.js library not loaded');
+    }
+
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    const pageItems = [];
+    const scannedPages = [];
+
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        pageItems.push(textContent.items);
+
+        if (textContent.items.map(item => item.str).join('').replace(/\s/g, '').length < MIN_PAGE_TEXT_CHARS) {
+            scannedPages.push(i);
+        }
+    }
+
+    // Headers/footers and heading sizes are detected across all pages, so lay them out together
+    const pages = layoutPdfPages(pageItems);
+
+    let ocrPages = 0;
+    let ocrFailure = null;
+    if (scannedPages.length > 0) {
+        try {
+            const ocrTexts = await ocrPdfPages(pdf, scannedPages, { onProgress, signal });
+            scannedPages.forEach((pageNumber, i) => {
+                if (ocrTexts[i].trim()) {
+                    pages[pageNumber - 1] = ocrTexts[i].trim();
+                }
+            });
+            ocrPages = scannedPages.length;
+        } catch (error) {
+            // Blank or diagram-only pages also count as scanned: without OCR (e.g. offline), keep the text layer
+            if (signal?.aborted) throw error;
+            ocrFailure = { pages: scannedPages, message: error.message };
+        }
+    }
+
+    const text = pages.filter(page => page.trim()).join('\n\n');
+    return { text: `${text}\n`, pageCount: pdf.numPages, ocrPages, ocrFailure };
+}
+
+/**
+ * Normalises a Markdown document: line endings and YAML front matter.
+ * @param {string} text - Markdown source
+ * @returns {string} Markdown
+ */
+function normalizeMarkdown(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/^---\n[\s\S]*?\n---\n/, '');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { htmlToMarkdown, extractDocxMarkdown, extractPdfText, normalizeMarkdown };
+}
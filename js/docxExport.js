@@ -0,0 +1,371 @@
+/**
+ * Word (.docx) export
+ *
+ * Converts the rendered plan into a native Word document so stakeholders can
+ * edit it and track changes: headings become Word heading styles (which feed
+ * an auto-generated table of contents), GFM tables become Word tables with
+ * repeating header rows, and rendered Mermaid diagrams are embedded as PNG
+ * images. The cover page of the PDF export is reproduced as a title page.
+ *
+ * Requires the docx library (global `docx`), renderDiagramCanvas() from utils.js
+ * and fitLogo() from documentControl.js.
+ */
+
+const DOCX_FONT = 'Calibri';
+const DOCX_CODE_FONT = 'Consolas';
+
+// Widest a diagram may be, in pixels (about the text width of an A4 page)
+const DOCX_MAX_IMAGE_WIDTH = 600;
+
+// Text width of an A4 page with the default 1 inch margins, in twentieths of a point
+const DOCX_TEXT_WIDTH = 9026;
+
+// Largest size of the logo on the title page, in pixels
+const DOCX_LOGO_WIDTH = 240;
+const DOCX_LOGO_HEIGHT = 100;
+
+const DOCX_HEADER_SHADING = 'E7E6F7';
+const DOCX_UNMAPPED_SHADING = 'FDE2E2';
+const DOCX_CODE_SHADING = 'F3F4F6';
+
+// Numbering definition shared by all ordered lists; each list restarts at 1 through its own instance
+const ORDERED_LIST_REFERENCE = 'ordered-list';
+const MAX_LIST_LEVEL = 5;
+
+/**
+ * Text runs for the inline content of an element.
+ * @param {Node} node - Element whose children are converted
+ * @param {object} [format] - TextRun options inherited from enclosing elements (bold, italics, ...)
+ * @returns {Array<object>} TextRun and ExternalHyperlink instances
+ */
+function inlineRuns(node, format = {}) {
+    const runs = [];
+
+    node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            let trimmed = child.textContent.replace(/\s+/g, ' ');
+            if (runs.length === 0) trimmed = trimmed.trimStart();
+            if (child === node.lastChild) trimmed = trimmed.trimEnd();
+            if (trimmed) runs.push(new docx.TextRun({ text: trimmed, ...format }));
+            return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+        switch (child.tagName) {
+            case 'BR':
+                runs.push(new docx.TextRun({ text: '', break: 1, ...format }));
+                break;
+            case 'STRONG':
+            case 'B':
+                runs.push(...inlineRuns(child, { ...format, bold: true }));
+                break;
+            case 'EM':
+            case 'I':
+                runs.push(...inlineRuns(child, { ...format, italics: true }));
+                break;
+            case 'DEL':
+            case 'S':
+                runs.push(...inlineRuns(child, { ...format, strike: true }));
+                break;
+            case 'CODE':
+                runs.push(...inlineRuns(child, { ...format, font: DOCX_CODE_FONT }));
+                break;
+            case 'INPUT':
+                // GFM task list checkbox
+                if (child.type === 'checkbox') {
+                    runs.push(new docx.TextRun({ text: child.checked ? '☑ ' : '☐ ', ...format }));
+                }
+                break;
+            case 'A': {
+                const href = child.getAttribute('href') || '';
+                const children = inlineRuns(child, { ...format, style: 'Hyperlink' });
+                runs.push(...(/^(https?:|mailto:)/i.test(href) && children.length > 0
+                    ? [new docx.ExternalHyperlink({ link: href, children })]
+                    : inlineRuns(child, format)));
+                break;
+            }
+            case 'IMG':
+                if (child.alt) runs.push(new docx.TextRun({ text: `[${child.alt}]`, ...format }));
+                break;
+            default:
+                runs.push(...inlineRuns(child, format));
+        }
+    });
+
+    return runs;
+}
+
+/**
+ * Paragraphs for a list, with nested lists one level deeper.
+ * @param {HTMLElement} list - <ul> or <ol>
+ * @param {number} level - Nesting level (0 for a top-level list)
+ * @param {object} context - Conversion state ({ listInstances })
+ * @returns {Array<object>} Paragraphs
+ */
+function listParagraphs(list, level, context) {
+    const ordered = list.tagName === 'OL';
+    const instance = ordered ? ++context.listInstances : 0;
+    const paragraphs = [];
+
+    [...list.children].filter(item => item.tagName === 'LI').forEach(item => {
+        const numbering = ordered
+            ? { numbering: { reference: ORDERED_LIST_REFERENCE, level: Math.min(level, MAX_LIST_LEVEL), instance } }
+            : { bullet: { level: Math.min(level, MAX_LIST_LEVEL) } };
+
+        // Loose lists wrap item text in <p>; nested lists follow the item's own text
+        const content = item.cloneNode(true);
+        content.querySelectorAll(':scope > ul, :scope > ol').forEach(nested => nested.remove());
+        paragraphs.push(new docx.Paragraph({ ...numbering, children: inlineRuns(content) }));
+
+        [...item.children]
+            .filter(child => child.tagName === 'UL' || child.tagName === 'OL')
+            .forEach(nested => paragraphs.push(...listParagraphs(nested, level + 1, context)));
+    });
+
+    return paragraphs;
+}
+
+/**
+ * Word table for an HTML table. Header rows repeat on every page the table spans.
+ * @param {HTMLTableElement} table - Rendered GFM table
+ * @returns {object} docx Table
+ */
+function buildDocxTable(table) {
+    const htmlRows = [...table.rows];
+    const columnCount = Math.max(1, ...htmlRows.map(row => row.cells.length));
+    const columnWidth = Math.floor(DOCX_TEXT_WIDTH / columnCount);
+    const hasHead = htmlRows.some(row => row.parentElement.tagName === 'THEAD');
+
+    const rows = htmlRows.map((row, index) => {
+        const isHeader = hasHead ? row.parentElement.tagName === 'THEAD' : index === 0;
+        const fill = isHeader
+            ? DOCX_HEADER_SHADING
+            : row.classList.contains('unmapped-requirement') ? DOCX_UNMAPPED_SHADING : null;
+
+        const cells = [...row.cells].map(cell => new docx.TableCell({
+            children: [new docx.Paragraph({ children: inlineRuns(cell, isHeader ? { bold: true } : {}) })],
+            columnSpan: cell.colSpan > 1 ? cell.colSpan : undefined,
+            ...(fill && { shading: { fill, type: docx.ShadingType.CLEAR, color: 'auto' } })
+        }));
+        // Word needs every row to fill the grid
+        const spanned = [...row.cells].reduce((sum, cell) => sum + (cell.colSpan || 1), 0);
+        for (let i = spanned; i < columnCount; i++) {
+            cells.push(new docx.TableCell({ children: [new docx.Paragraph({ children: [] })] }));
+        }
+
+        return new docx.TableRow({ children: cells, tableHeader: isHeader });
+    });
+
+    return new docx.Table({
+        rows,
+        width: { size: 100, type: docx.WidthType.PERCENTAGE },
+        columnWidths: Array(columnCount).fill(columnWidth)
+    });
+}
+
+/**
+ * Code block as one monospace paragraph per line.
+ * @param {HTMLElement} pre - <pre> element
+ * @returns {Array<object>} Paragraphs
+ */
+function codeParagraphs(pre) {
+    return pre.textContent.replace(/\n$/, '').split('\n').map(line => new docx.Paragraph({
+        children: [new docx.TextRun({ text: line, font: DOCX_CODE_FONT, size: 18 })],
+        shading: { fill: DOCX_CODE_SHADING, type: docx.ShadingType.CLEAR, color: 'auto' },
+        spacing: { before: 0, after: 0 }
+    }));
+}
+
+/**
+ * Rasterises a rendered Mermaid diagram to PNG.
+ * @param {SVGSVGElement} svg - Diagram rendered by Mermaid
+ * @returns {Promise<{data: ArrayBuffer, width: number, height: number}>} PNG data and size in pixels
+ */
+async function renderDiagramPng(svg) {
+    const { canvas, width, height } = await renderDiagramCanvas(svg);
+    const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Diagram could not be converted to PNG'))), 'image/png');
+    });
+    return { data: await png.arrayBuffer(), width, height };
+}
+
+/**
+ * Paragraph with a Mermaid diagram as an image, or a note if it cannot be embedded.
+ * @param {HTMLElement} container - div.mermaid
+ * @returns {Promise<object>} Paragraph
+ */
+async function diagramParagraph(container) {
+    const svg = container.querySelector('svg');
+    try {
+        if (!svg) throw new Error('Diagram was not rendered');
+        const { data, width, height } = await renderDiagramPng(svg);
+        const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / width);
+        return new docx.Paragraph({
+            alignment: docx.AlignmentType.CENTER,
+            children: [new docx.ImageRun({
+                type: 'png',
+                data,
+                transformation: { width: Math.round(width * scale), height: Math.round(height * scale) }
+            })]
+        });
+    } catch (error) {
+        console.warn('Diagram not embedded in Word export:', error);
+        return new docx.Paragraph({
+            children: [new docx.TextRun({
+                text: DIAGRAM_FALLBACK_TEXT,
+                italics: true,
+                color: '6B7280'
+            })]
+        });
+    }
+}
+
+/**
+ * Word blocks (paragraphs and tables) for the children of an element.
+ * @param {HTMLElement} element - Container to convert
+ * @param {object} context - Conversion state ({ listInstances })
+ * @returns {Promise<Array<object>>} docx Paragraph and Table instances
+ */
+async function convertBlocks(element, context) {
+    const blocks = [];
+
+    for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (node.textContent.trim()) blocks.push(new docx.Paragraph({ children: [new docx.TextRun(node.textContent.trim())] }));
+            continue;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches(EXPORT_SKIPPED_ELEMENTS)) continue;
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            blocks.push(new docx.Paragraph({ heading: docx.HeadingLevel[`HEADING_${tag[1]}`], children: inlineRuns(node) }));
+        } else if (tag === 'P') {
+            blocks.push(new docx.Paragraph({ children: inlineRuns(node) }));
+        } else if (tag === 'UL' || tag === 'OL') {
+            blocks.push(...listParagraphs(node, 0, context));
+        } else if (tag === 'TABLE') {
+            // An empty paragraph keeps consecutive tables from merging into one
+            blocks.push(buildDocxTable(node), new docx.Paragraph({ children: [] }));
+        } else if (tag === 'PRE') {
+            blocks.push(...codeParagraphs(node));
+        } else if (node.classList.contains('mermaid')) {
+            blocks.push(await diagramParagraph(node));
+        } else if (tag === 'BLOCKQUOTE') {
+            const quoted = node.querySelectorAll('p').length > 0 ? [...node.querySelectorAll('p')] : [node];
+            quoted.forEach(paragraph => blocks.push(new docx.Paragraph({
+                indent: { left: 720 },
+                children: inlineRuns(paragraph, { italics: true, color: '4B5563' })
+            })));
+        } else if (tag === 'HR') {
+            blocks.push(new docx.Paragraph({ thematicBreak: true, children: [] }));
+        } else if (['DIV', 'SECTION', 'ARTICLE', 'DETAILS'].includes(tag)) {
+            blocks.push(...await convertBlocks(node, context));
+        } else if (node.textContent.trim()) {
+            blocks.push(new docx.Paragraph({ children: inlineRuns({ childNodes: [node] }) }));
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Centred paragraph with the company logo.
+ * @param {object} logo - { dataUrl (PNG or JPEG), width, height }
+ * @returns {object} Paragraph
+ */
+function logoParagraph(logo) {
+    const [header, base64] = logo.dataUrl.split(',');
+    return new docx.Paragraph({
+        alignment: docx.AlignmentType.CENTER,
+        spacing: { after: 480 },
+        children: [new docx.ImageRun({
+            type: header.includes('image/png') ? 'png' : 'jpg',
+            data: Uint8Array.from(atob(base64), char => char.charCodeAt(0)),
+            transformation: fitLogo(logo, DOCX_LOGO_WIDTH, DOCX_LOGO_HEIGHT)
+        })]
+    });
+}
+
+/**
+ * Title page with the same information as the PDF cover page.
+ * @param {object} cover - { title, date, aiModel, team, documentFields, logo }
+ * @returns {Array<object>} Paragraphs, ending with a page break
+ */
+function titlePageParagraphs({ title, date, aiModel, team, documentFields = [], logo }) {
+    const field = (label, value) => new docx.Paragraph({
+        alignment: docx.AlignmentType.CENTER,
+        spacing: { after: 120 },
+        children: [new docx.TextRun({ text: `${label}: `, bold: true }), new docx.TextRun(value)]
+    });
+
+    return [
+        new docx.Paragraph({ spacing: { before: 3600 }, children: [] }),
+        ...(logo ? [logoParagraph(logo)] : []),
+        new docx.Paragraph({ heading: docx.HeadingLevel.TITLE, alignment: docx.AlignmentType.CENTER, children: [new docx.TextRun(title)] }),
+        new docx.Paragraph({
+            alignment: docx.AlignmentType.CENTER,
+            spacing: { after: 600 },
+            children: [new docx.TextRun({ text: 'Generated by AI Test Plan Generator', color: '6B7280', size: 28 })]
+        }),
+        ...documentFields.map(([label, value]) => field(label, value)),
+        field('Date', date),
+        field('AI Model', aiModel),
+        field('Team Composition', team),
+        new docx.Paragraph({ children: [new docx.PageBreak()] })
+    ];
+}
+
+/**
+ * Builds a Word document from the rendered plan.
+ * @param {HTMLElement} element - Rendered output (headings, tables, rendered Mermaid diagrams)
+ * @param {object} cover - Title page information: { title, date, aiModel, team, documentFields, logo }
+ * @returns {Promise<Blob>} .docx file
+ */
+async function buildPlanDocx(element, cover) {
+    if (typeof docx === 'undefined') {
+        throw new Error('docx library not loaded');
+    }
+
+    const body = await convertBlocks(element, { listInstances: 0 });
+
+    const doc = new docx.Document({
+        title: cover.title,
+        creator: 'AI Test Plan Generator',
+        // Asks Word to fill in the table of contents when the file is opened
+        features: { updateFields: true },
+        styles: {
+            default: { document: { run: { font: DOCX_FONT, size: 22 } } }
+        },
+        numbering: {
+            config: [{
+                reference: ORDERED_LIST_REFERENCE,
+                levels: Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, level) => ({
+                    level,
+                    format: docx.LevelFormat.DECIMAL,
+                    text: `%${level + 1}.`,
+                    alignment: docx.AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+                }))
+            }]
+        },
+        sections: [{
+            children: [
+                ...titlePageParagraphs(cover),
+                new docx.Paragraph({ children: [new docx.TextRun({ text: 'Table of Contents', bold: true, size: 32 })] }),
+                new docx.TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: '1-3' }),
+                new docx.Paragraph({ children: [new docx.PageBreak()] }),
+                ...body
+            ]
+        }]
+    });
+
+    return docx.Packer.toBlob(doc);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOCX_MAX_IMAGE_WIDTH,
+        buildPlanDocx
+    };
+}
@@ -0,0 +1,61 @@
+/**
+ * Plan exports
+ *
+ * Builds the files offered next to "Download PDF": the plan's Markdown as
+ * generated (Mermaid blocks intact, ready to commit next to the code) and a
+ * JSON bundle with the Markdown, the structured plan if there is one and the
+ * generation metadata, so a plan can be traced back to its inputs.
+ */
+
+// Written into the bundle so other tools can recognise (and later migrate) it
+const PLAN_BUNDLE_FORMAT = 'ai-test-plan-bundle';
+const PLAN_BUNDLE_VERSION = 1;
+
+/**
+ * File name for an export, e.g. "AI_Test_Plan_2024-05-01.md".
+ * @param {string} title - Document title ("Test Plan", "Test Cases", ...)
+ * @param {string} extension - File extension without the dot
+ * @param {Date} [date] - Export date
+ * @returns {string} File name
+ */
+function getExportFilename(title, extension, date = new Date()) {
+    return `AI_${title.replace(/\s+/g, '_')}_${date.toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Markdown file content: the generated Markdown with a trailing newline.
+ * @param {string} markdown - Plan Markdown
+ * @returns {string} File content
+ */
+function buildMarkdownExport(markdown) {
+    return `${markdown.trimEnd()}\n`;
+}
+
+/**
+ * JSON bundle of a generated plan.
+ * @param {object} plan - { title, markdown, structured (typed plan or null), metadata (planMetadata), requirements }
+ * @returns {string} File content
+ */
+function buildPlanBundle({ title, markdown, structured = null, metadata = null, requirements = [] }) {
+    return JSON.stringify({
+        format: PLAN_BUNDLE_FORMAT,
+        version: PLAN_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        title,
+        markdown,
+        structured,
+        metadata,
+        requirements: requirements.map(({ id, text, source }) => ({ id, text, source }))
+    }, null, 2);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PLAN_BUNDLE_FORMAT,
+        PLAN_BUNDLE_VERSION,
+        getExportFilename,
+        buildMarkdownExport,
+        buildPlanBundle
+    };
+}
@@ -0,0 +1,518 @@
+/**
+ * Gherkin feature files
+ *
+ * In BDD mode the AI writes Cucumber feature files: one ```gherkin block per
+ * file under a "## Module: <name>" heading (or, in structured-output mode, a
+ * JSON document matching FEATURE_FILES_SCHEMA that is rendered to the same
+ * Markdown). parseFeatureFiles() splits the answer into files,
+ * validateGherkin() checks their syntax line by line, highlightGherkin()
+ * renders the preview and buildFeatureZip() packs them into a zip with a
+ * folder per module.
+ */
+
+const DEFAULT_FEATURE_MODULE = 'Features';
+
+// Opening fence of a Markdown code block and its language
+const CODE_FENCE = /^(`{3,}|~{3,})\s*([\w-]*)\s*$/;
+const GHERKIN_LANGUAGES = ['gherkin', 'feature', 'cucumber'];
+
+// "Feature:", "Scenario Outline:", ... - the longer keywords come first so they win over their prefixes
+const GHERKIN_KEYWORD = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):(.*)$/;
+const GHERKIN_STEP = /^(Given|When|Then|And|But|\*)(?=\s|$)(.*)$/;
+const GHERKIN_PLACEHOLDER = /<([^<>]+)>/g;
+const DOC_STRING = /^("""|```)/;
+
+// Keywords tags can be placed on
+const TAGGABLE_KEYWORDS = ['Feature', 'Rule', 'Scenario', 'Example', 'Scenario Outline', 'Scenario Template', 'Examples', 'Scenarios'];
+
+const FEATURE_FILES_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Feature Files',
+    type: 'object',
+    required: ['features'],
+    properties: {
+        features: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['module', 'fileName', 'gherkin'],
+                properties: {
+                    module: { type: 'string', description: 'Module the feature belongs to - the zip has a folder per module' },
+                    fileName: { type: 'string', description: 'File name ending in .feature, e.g. user_login.feature' },
+                    gherkin: { type: 'string', description: 'Complete content of the feature file' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Returns the prompt instructions for structured feature files, embedding the schema.
+ * @returns {string} Instructions appended to the generation prompt
+ */
+function getStructuredFeatureFileInstructions() {
+    return `Please generate the feature files as a single JSON document that conforms to this JSON Schema:
+
+${JSON.stringify(FEATURE_FILES_SCHEMA, null, 2)}
+
+IMPORTANT OUTPUT REQUIREMENTS:
+- Respond with the JSON document ONLY - no Markdown, no code fences, no commentary before or after it
+- "gherkin" holds the whole feature file, starting with its tags or "Feature:" line; use \\n for line breaks
+- File names MUST be unique within a module`;
+}
+
+/**
+ * Validates parsed feature files against FEATURE_FILES_SCHEMA (the Gherkin itself is checked by validateGherkin).
+ * @param {object} featureSet - Parsed feature file document
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateFeatureFiles(featureSet) {
+    const errors = [];
+    validateAgainstSchema(featureSet, FEATURE_FILES_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Code fence that cannot be closed by a backtick run inside the content.
+ * @param {string} content - Code block content
+ * @returns {string} Fence
+ */
+function fenceFor(content) {
+    const longest = Math.max(0, ...(String(content).match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Renders structured feature files as Markdown that parseFeatureFiles() reads back.
+ * @param {object} featureSet - Feature file document (validated or partially valid)
+ * @returns {string} Markdown document
+ */
+function renderFeatureFilesMarkdown(featureSet) {
+    const sections = ['# Feature Files'];
+    const modules = new Map();
+    const entries = Array.isArray(featureSet?.features) ? featureSet.features : [];
+    entries.filter(feature => feature && typeof feature === 'object').forEach(feature => {
+        const name = String(feature.module || '').trim() || DEFAULT_FEATURE_MODULE;
+        if (!modules.has(name)) modules.set(name, []);
+        modules.get(name).push(feature);
+    });
+
+    modules.forEach((features, name) => {
+        sections.push(`## Module: ${name}`);
+        features.forEach(feature => {
+            const content = String(feature.gherkin || '').trim();
+            const fence = fenceFor(content);
+            sections.push(`### File: ${feature.fileName || 'unnamed.feature'}\n\n${fence}gherkin\n${content}\n${fence}`);
+        });
+    });
+
+    return sections.join('\n\n');
+}
+
+/**
+ * File or folder name for a module or feature title.
+ * @param {string} text - Name
+ * @returns {string} Lower-case name of letters, digits, "_" and "-"
+ */
+function slugifyFileName(text) {
+    const slug = String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '_')
+        .replace(/^[_-]+|[_-]+$/g, '')
+        .slice(0, 60);
+    return slug || 'feature';
+}
+
+/**
+ * First line of a block that is not blank, a comment or a tag line.
+ * @param {Array<string>} lines - Block lines
+ * @returns {string} Trimmed line, or ''
+ */
+function firstGherkinLine(lines) {
+    return lines.map(line => line.trim()).find(line => line && !line.startsWith('#') && !line.startsWith('@')) || '';
+}
+
+/**
+ * Splits a Markdown answer into feature files. Level-2 headings (optionally
+ * "Module: ...") name the module, headings naming a *.feature file name the
+ * next code block. Blocks tagged gherkin/feature/cucumber are always feature
+ * files; untagged blocks only if they start with "Feature:".
+ * @param {string} markdown - Markdown answer
+ * @returns {Array<{module: string, fileName: string, path: string, content: string}>} Feature files in answer order
+ */
+function parseFeatureFiles(markdown) {
+    const files = [];
+    const paths = new Set();
+    let module = DEFAULT_FEATURE_MODULE;
+    let fileName = '';
+    let block = null;
+
+    const addFile = () => {
+        const { lines, language } = block;
+        block = null;
+        const isFeature = GHERKIN_LANGUAGES.includes(language) || /^Feature:/.test(firstGherkinLine(lines));
+        if (!isFeature) return;
+
+        const content = lines.join('\n').replace(/^\s*\n/, '').trimEnd();
+        const featureName = (firstGherkinLine(lines).match(/^Feature:(.*)$/) || [])[1];
+        const base = (fileName || slugifyFileName(featureName)).replace(/\.feature$/i, '');
+        const folder = slugifyFileName(module);
+
+        let name = `${base}.feature`;
+        for (let n = 2; paths.has(`${folder}/${name}`); n++) {
+            name = `${base}_${n}.feature`;
+        }
+        paths.add(`${folder}/${name}`);
+        files.push({ module, fileName: name, path: `${folder}/${name}`, content });
+        fileName = '';
+    };
+
+    String(markdown || '').split('\n').forEach(line => {
+        const trimmed = line.trim();
+
+        if (block) {
+            if (trimmed.startsWith(block.fence) && /^([`~])\1*$/.test(trimmed)) {
+                addFile();
+            } else {
+                block.lines.push(line);
+            }
+            return;
+        }
+
+        const fence = trimmed.match(CODE_FENCE);
+        if (fence) {
+            block = { fence: fence[1], language: fence[2].toLowerCase(), lines: [] };
+            return;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (!heading) return;
+        const text = heading[2].replace(/[`*]/g, '').trim();
+        const named = text.match(/([\w.-]+\.feature)\b/i);
+        if (named) {
+            fileName = named[1];
+        } else if (heading[1].length === 2 || /^module:/i.test(text)) {
+            module = text.replace(/^module:\s*/i, '') || DEFAULT_FEATURE_MODULE;
+            fileName = '';
+        }
+    });
+
+    // A stopped generation can leave the last block unterminated
+    if (block) addFile();
+
+    return files;
+}
+
+/**
+ * Cells of a Gherkin table row ("\|" is an escaped pipe inside a cell).
+ * @param {string} row - Trimmed row starting with "|"
+ * @returns {Array<string>} Trimmed cells
+ */
+function splitGherkinRow(row) {
+    return row.replace(/\|$/, '').slice(1).split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Checks the syntax of a feature file: keyword order, steps, tables, doc strings,
+ * tags and Scenario Outline placeholders.
+ * @param {string} content - Feature file content
+ * @returns {{errors: Array<{line: number, message: string}>, featureName: string, tags: Array<string>, scenarioCount: number}}
+ *          Syntax errors (1-based line numbers) and what the file contains
+ */
+function validateGherkin(content) {
+    const errors = [];
+    const tags = [];
+    const error = (line, message) => errors.push({ line, message });
+
+    let feature = null;
+    let section = null;        // Background, Scenario, Scenario Outline or Rule being read
+    let previous = null;       // Kind of the last significant line: 'keyword', 'step', 'table', 'examples', 'docString', 'tags'
+    let table = null;          // { line, columns } of the table being read
+    let docString = null;      // { line, delimiter } of an open doc string
+    let pendingTags = null;    // Line of tags not yet attached to a keyword
+    let allowDescription = false;
+    let scenarioSeen = false;  // In the current Feature or Rule
+    let backgroundSeen = false;
+    let scenarioCount = 0;
+
+    const closeSection = () => {
+        if (!section || section.kind === 'rule') return;
+        if (section.steps === 0) {
+            error(section.line, `${section.keyword} has no steps`);
+        }
+        if (section.kind === 'outline' && section.examples.length === 0) {
+            error(section.line, `${section.keyword} has no Examples table`);
+        }
+        section.examples.filter(examples => !examples.header).forEach(examples => {
+            error(examples.line, 'Examples must be followed by a table with a header row');
+        });
+        if (section.examples.length > 0) {
+            const columns = new Set(section.examples.flatMap(examples => examples.header || []));
+            section.placeholders
+                .filter(placeholder => !columns.has(placeholder.name))
+                .forEach(placeholder => error(placeholder.line, `Placeholder <${placeholder.name}> is not a column of the Examples table`));
+        }
+        section = null;
+    };
+
+    const collectPlaceholders = (text, line) => {
+        if (!section || section.kind === 'rule' || section.kind === 'background') return;
+        for (const match of text.matchAll(GHERKIN_PLACEHOLDER)) {
+            section.placeholders.push({ name: match[1].trim(), line });
+        }
+    };
+
+    String(content || '').split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = rawLine.trim();
+
+        if (docString) {
+            if (text.startsWith(docString.delimiter)) {
+                docString = null;
+                previous = 'docString';
+            } else {
+                collectPlaceholders(text, line);
+            }
+            return;
+        }
+        if (!text || text.startsWith('#')) return;
+
+        if (text.startsWith('@')) {
+            text.replace(/\s+#.*$/, '').split(/\s+/).forEach(tag => {
+                if (/^@[^@\s]+$/.test(tag)) {
+                    tags.push(tag);
+                } else {
+                    error(line, `Invalid tag "${tag}" - tags start with @ and contain no spaces`);
+                }
+            });
+            pendingTags = pendingTags || line;
+            previous = 'tags';
+            allowDescription = false;
+            return;
+        }
+
+        const keywordMatch = text.match(GHERKIN_KEYWORD);
+        if (keywordMatch) {
+            const keyword = keywordMatch[1];
+            const name = keywordMatch[2].trim();
+            let examplesAttached = false;
+
+            if (pendingTags && !TAGGABLE_KEYWORDS.includes(keyword)) {
+                error(pendingTags, `Tags cannot be placed on a ${keyword}`);
+            }
+            pendingTags = null;
+            if (keyword !== 'Feature' && !feature) {
+                error(line, `${keyword} before the Feature: line`);
+                feature = { line };
+            }
+
+            if (keyword === 'Feature') {
+                if (feature) {
+                    error(line, 'Only one Feature is allowed per file');
+                } else {
+                    feature = { line, name };
+                    if (!name) error(line, 'Feature has no name');
+                }
+            } else if (keyword === 'Rule') {
+                closeSection();
+                section = { kind: 'rule', keyword, line };
+                scenarioSeen = false;
+                backgroundSeen = false;
+            } else if (keyword === 'Background') {
+                closeSection();
+                if (scenarioSeen) error(line, 'Background must come before the first Scenario');
+                if (backgroundSeen) error(line, 'Only one Background is allowed');
+                section = { kind: 'background', keyword, line, steps: 0, examples: [], placeholders: [] };
+                backgroundSeen = true;
+            } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+                if (!section || section.kind === 'rule' || section.kind === 'background') {
+                    error(line, `${keyword} must follow a Scenario Outline`);
+                } else {
+                    section.examples.push({ line, header: null });
+                    examplesAttached = true;
+                }
+            } else {
+                closeSection();
+                const kind = keyword === 'Scenario Outline' || keyword === 'Scenario Template' ? 'outline' : 'scenario';
+                section = { kind, keyword, line, steps: 0, examples: [], placeholders: [] };
+                scenarioSeen = true;
+                scenarioCount++;
+                if (!name) error(line, `${keyword} has no name`);
+            }
+
+            // A misplaced Examples block has no table to collect
+            previous = examplesAttached ? 'examples' : 'keyword';
+            allowDescription = true;
+            table = null;
+            return;
+        }
+
+        if (pendingTags) {
+            error(pendingTags, 'Tags must be followed by a Feature, Rule, Scenario, Scenario Outline or Examples');
+            pendingTags = null;
+        }
+
+        const stepMatch = text.match(GHERKIN_STEP);
+        if (stepMatch) {
+            if (!section || section.kind === 'rule') {
+                error(line, `Step "${stepMatch[1]}" outside of a Scenario or Background`);
+            } else if (section.examples.length > 0) {
+                error(line, 'Steps must come before the Examples');
+            } else {
+                section.steps++;
+                collectPlaceholders(stepMatch[2], line);
+            }
+            if (!stepMatch[2].trim()) error(line, `${stepMatch[1]} step has no text`);
+            previous = 'step';
+            allowDescription = false;
+            table = null;
+            return;
+        }
+
+        if (text.startsWith('|')) {
+            if (!text.endsWith('|') || text.endsWith('\\|')) {
+                error(line, 'Table row must end with |');
+            }
+            const cells = splitGherkinRow(text);
+
+            if (previous !== 'table') {
+                table = null;
+                const examples = previous === 'examples' ? section?.examples.at(-1) : null;
+                if (examples) {
+                    examples.header = cells;
+                    table = { line, columns: cells.length, isData: false };
+                } else if (previous === 'step') {
+                    table = { line, columns: cells.length, isData: true };
+                } else {
+                    error(line, 'Table must follow a step or Examples');
+                }
+            } else if (table && cells.length !== table.columns) {
+                error(line, `Table row has ${cells.length} cell(s) but the table has ${table.columns} column(s)`);
+            }
+            if (table?.isData) {
+                cells.forEach(cell => collectPlaceholders(cell, line));
+            }
+            previous = 'table';
+            allowDescription = false;
+            return;
+        }
+
+        const docStringMatch = text.match(DOC_STRING);
+        if (docStringMatch) {
+            if (previous !== 'step') error(line, 'Doc string must follow a step');
+            docString = { line, delimiter: docStringMatch[1] };
+            allowDescription = false;
+            return;
+        }
+
+        if (!allowDescription) {
+            const shown = text.length > 40 ? `${text.slice(0, 40)}...` : text;
+            error(line, `Unexpected text "${shown}" - expected a step (Given/When/Then/And/But), table, tag or keyword`);
+        }
+    });
+
+    if (docString) error(docString.line, 'Doc string is never closed');
+    if (pendingTags) error(pendingTags, 'Tags must be followed by a Feature, Rule, Scenario, Scenario Outline or Examples');
+    closeSection();
+
+    if (!feature) {
+        error(1, 'No "Feature:" line found');
+    } else if (scenarioCount === 0) {
+        error(feature.line, 'Feature has no scenarios');
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    return { errors, featureName: feature?.name || '', tags, scenarioCount };
+}
+
+/**
+ * Highlights placeholders and quoted values in step text or a table cell.
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+function highlightGherkinText(text) {
+    return text.split(/(<[^<>\s][^<>]*>|"[^"]*")/).map((part, i) => {
+        if (i % 2 === 0) return escapeHtml(part);
+        const type = part.startsWith('<') ? 'placeholder' : 'string';
+        return `<span class="gherkin-${type}">${escapeHtml(part)}</span>`;
+    }).join('');
+}
+
+/**
+ * Renders a feature file as syntax-highlighted HTML for a <pre> block. Lines with
+ * syntax errors are marked and carry their messages as a tooltip.
+ * @param {string} content - Feature file content
+ * @param {Array<{line: number, message: string}>} errors - Errors from validateGherkin()
+ * @returns {string} HTML
+ */
+function highlightGherkin(content, errors = []) {
+    let docString = null;
+
+    return String(content || '').split('\n').map((rawLine, index) => {
+        const indent = escapeHtml(rawLine.match(/^\s*/)[0]);
+        const text = rawLine.trim();
+        let html;
+
+        if (docString) {
+            if (text.startsWith(docString)) docString = null;
+            html = `${indent}<span class="gherkin-string">${escapeHtml(text)}</span>`;
+        } else if (DOC_STRING.test(text)) {
+            docString = text.match(DOC_STRING)[1];
+            html = `${indent}<span class="gherkin-string">${escapeHtml(text)}</span>`;
+        } else if (text.startsWith('#')) {
+            html = `${indent}<span class="gherkin-comment">${escapeHtml(text)}</span>`;
+        } else if (text.startsWith('@')) {
+            html = indent + text.split(/(\s+)/).map(part => (part.trim()
+                ? `<span class="gherkin-tag">${escapeHtml(part)}</span>`
+                : part)).join('');
+        } else if (GHERKIN_KEYWORD.test(text)) {
+            const [, keyword, name] = text.match(GHERKIN_KEYWORD);
+            html = `${indent}<span class="gherkin-keyword">${keyword}:</span><span class="gherkin-title">${escapeHtml(name)}</span>`;
+        } else if (GHERKIN_STEP.test(text)) {
+            const [, keyword, rest] = text.match(GHERKIN_STEP);
+            html = `${indent}<span class="gherkin-step">${escapeHtml(keyword)}</span>${highlightGherkinText(rest)}`;
+        } else if (text.startsWith('|')) {
+            html = indent + text.split(/((?<!\\)\|)/).map(part => (part === '|'
+                ? '<span class="gherkin-pipe">|</span>'
+                : highlightGherkinText(part))).join('');
+        } else {
+            html = escapeHtml(rawLine);
+        }
+
+        const messages = errors.filter(error => error.line === index + 1).map(error => error.message);
+        return messages.length > 0
+            ? `<span class="gherkin-error" title="${escapeHtml(messages.join('\n'))}">${html}</span>`
+            : html;
+    }).join('\n');
+}
+
+/**
+ * Packs feature files into a zip with a folder per module.
+ * @param {Array<{path: string, content: string}>} files - Feature files from parseFeatureFiles()
+ * @returns {Promise<Blob>} Zip archive
+ * @throws {Error} If JSZip is not loaded
+ */
+async function buildFeatureZip(files) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('JSZip library not loaded');
+    }
+
+    const zip = new JSZip();
+    files.forEach(file => zip.file(file.path, `${file.content}\n`));
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FEATURE_FILES_SCHEMA,
+        getStructuredFeatureFileInstructions,
+        validateFeatureFiles,
+        renderFeatureFilesMarkdown,
+        parseFeatureFiles,
+        validateGherkin,
+        highlightGherkin,
+        buildFeatureZip
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * Tests for the feature file validator. Run with: node --test js/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGherkin, renderFeatureFilesMarkdown } = require('./gherkin');
+
+const messages = content => validateGherkin(content).errors.map(error => `${error.line}: ${error.message}`);
+
+test('accepts a valid Scenario Outline', () => {
+    const result = validateGherkin([
+        'Feature: Login',
+        '  Scenario Outline: Sign in',
+        '    Given a user <name>',
+        '    Then they are signed in',
+        '    Examples:',
+        '      | name |',
+        '      | ann  |'
+    ].join('\n'));
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.scenarioCount, 1);
+});
+
+test('reports misplaced Examples followed by a table instead of throwing', () => {
+    assert.deepEqual(messages([
+        'Feature: Login',
+        '  Examples:',
+        '    | name |',
+        '  Scenario: Sign in',
+        '    Given a user'
+    ].join('\n')), [
+        '2: Examples must follow a Scenario Outline',
+        '3: Table must follow a step or Examples'
+    ]);
+
+    assert.deepEqual(messages([
+        'Feature: Login',
+        '  Background:',
+        '    Given a user',
+        '    Examples:',
+        '      | name |',
+        '  Rule: Accounts',
+        '    Examples:',
+        '      | name |',
+        '    Scenario: Sign in',
+        '      Given a user'
+    ].join('\n')), [
+        '4: Examples must follow a Scenario Outline',
+        '5: Table must follow a step or Examples',
+        '7: Examples must follow a Scenario Outline',
+        '8: Table must follow a step or Examples'
+    ]);
+});
+
+test('reports Examples before the Feature: line', () => {
+    assert.deepEqual(messages('Examples:\n  | name |\n  | ann  |'), [
+        '1: Examples before the Feature: line',
+        '1: Examples must follow a Scenario Outline',
+        '1: Feature has no scenarios',
+        '2: Table must follow a step or Examples'
+    ]);
+});
+
+test('renders feature files that break the schema without throwing', () => {
+    assert.equal(renderFeatureFilesMarkdown({ features: {} }), '# Feature Files');
+    assert.equal(renderFeatureFilesMarkdown({}), '# Feature Files');
+    assert.equal(
+        renderFeatureFilesMarkdown({ features: [null, 'login.feature', { fileName: 'login.feature', gherkin: 'Feature: Login' }] }),
+        '# Feature Files\n\n## Module: Features\n\n### File: login.feature\n\n```gherkin\nFeature: Login\n```'
+    );
+});
@@ -0,0 +1,425 @@
+/**
+ * Jira export
+ *
+ * Turns the rows of the plan's Task Allocation table into Jira issues: the
+ * task becomes the summary and description, Priority, Assigned Tester and
+ * Estimated Duration map to Jira fields as configured, and Dependencies
+ * become issue links between the created issues.
+ *
+ * Issues are created through the Jira REST API (v2) with basic auth (email
+ * and API token). Jira Cloud does not allow cross-origin requests from a
+ * browser, so the same data can be downloaded as a CSV file for Jira's
+ * CSV import instead (or the API can be reached through a CORS proxy).
+ */
+
+const JIRA_DEFAULT_SETTINGS = {
+    baseUrl: '',
+    email: '',
+    projectKey: '',
+    issueType: 'Task',
+    priorityMapping: 'priority', // 'priority' (Jira priority field), 'label' or 'none'
+    testerMapping: 'label', // 'label', 'field' (custom field in testerField) or 'none'
+    testerField: '',
+    estimateMapping: 'originalEstimate', // 'originalEstimate' (time tracking) or 'none'
+    linkType: 'Blocks' // Issue link type for Dependencies; empty to skip them
+};
+
+// Plan priorities and the default Jira priority names they map to
+const JIRA_PRIORITIES = {
+    critical: 'Highest',
+    highest: 'Highest',
+    high: 'High',
+    medium: 'Medium',
+    normal: 'Medium',
+    low: 'Low',
+    lowest: 'Lowest'
+};
+
+// Jira's default working day, used to convert estimates in days and weeks
+const JIRA_HOURS_PER_DAY = 8;
+
+const JIRA_MAX_SUMMARY = 255;
+const JIRA_PROJECT_KEY = /^[A-Z][A-Z0-9_]+$/;
+const JIRA_CUSTOM_FIELD = /^customfield_\d+$/;
+
+const JIRA_ISSUE_PATH = '/rest/api/2/issue';
+const JIRA_LINK_PATH = '/rest/api/2/issueLink';
+
+// Column header patterns of the task table (for findColumn)
+const TASK_COLUMNS = {
+    description: [[/desc/i], [/activity/i], [/^task$/i]],
+    tester: [[/assign/i], [/owner/i], [/tester/i], [/responsib/i]],
+    priority: [[/priority/i]],
+    status: [[/status/i]],
+    dependencies: [[/depend/i], [/predecessor/i]],
+    estimate: [[/duration/i], [/effort/i], [/estimate/i]]
+};
+
+/**
+ * Error from a Jira request, with the HTTP status if Jira answered.
+ */
+class JiraError extends Error {
+    /**
+     * @param {string} message - Readable message
+     * @param {number|null} status - HTTP status
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'JiraError';
+        this.status = status;
+    }
+}
+
+/**
+ * Tasks of the plan's task table (Task Allocation, or its equivalent in other templates).
+ * @param {string} markdown - Plan Markdown
+ * @returns {Array<{taskId: string, description: string, tester: string, priority: string, status: string,
+ *          dependencies: string[], estimateText: string, estimateHours: number|null}>} Tasks in table order
+ */
+function extractJiraTasks(markdown) {
+    const table = findTaskTable(parseMarkdownTables(markdown));
+    if (!table) return [];
+
+    const header = table.header.map(cleanCellText);
+    const idColumn = findColumn(header, TASK_ID_COLUMN, 0);
+    const column = name => findColumn(header, TASK_COLUMNS[name], -1);
+    const columns = Object.fromEntries(Object.keys(TASK_COLUMNS).map(name => [name, column(name)]));
+    if (columns.description === idColumn) columns.description = -1;
+
+    // Unitless estimates are in the unit the header names ("Estimate (hours)"), otherwise days
+    const estimateUnit = columns.estimate >= 0
+        ? durationUnit((header[columns.estimate].match(/\(([^)]*)\)/) || [])[1]) || 'days'
+        : 'days';
+
+    const rows = table.rows
+        .map(row => row.map(cleanCellText))
+        .filter(row => row[idColumn]);
+    const taskIds = rows.map(row => row[idColumn]);
+    const cell = (row, name) => (columns[name] >= 0 ? row[columns[name]] || '' : '');
+
+    return rows.map(row => {
+        const taskId = row[idColumn];
+        const estimateText = cell(row, 'estimate');
+        const duration = parseDuration(estimateText);
+        const dependencyText = cell(row, 'dependencies');
+
+        return {
+            taskId,
+            description: cell(row, 'description') || row.find((value, i) => i !== idColumn && value) || taskId,
+            tester: cell(row, 'tester'),
+            priority: cell(row, 'priority'),
+            status: cell(row, 'status'),
+            dependencies: taskIds.filter(id => id !== taskId && mentionsId(dependencyText, id)),
+            estimateText,
+            estimateHours: duration
+                ? Math.round(duration.amount * DURATION_UNITS[duration.unit || estimateUnit] * JIRA_HOURS_PER_DAY * 100) / 100
+                : null
+        };
+    });
+}
+
+/**
+ * Problems with the Jira settings.
+ * @param {object} settings - Jira settings (JIRA_DEFAULT_SETTINGS shape)
+ * @param {object} [options] - { api: also check what creating issues through the API needs, apiToken }
+ * @returns {Array<string>} Problems; empty if the settings can be used
+ */
+function validateJiraSettings(settings, { api = false, apiToken = '' } = {}) {
+    const problems = [];
+    if (!JIRA_PROJECT_KEY.test(settings.projectKey)) {
+        problems.push('Project key must be upper-case letters and digits starting with a letter (e.g. QA)');
+    }
+    if (!settings.issueType.trim()) problems.push('Issue type is required');
+    if (settings.testerMapping === 'field' && !JIRA_CUSTOM_FIELD.test(settings.testerField)) {
+        problems.push('Assigned Tester field must be a custom field ID such as customfield_10050');
+    }
+    if (api) {
+        if (!/^https?:\/\/[^/\s]+/i.test(settings.baseUrl)) problems.push('Jira site URL must be a web address such as https://your-company.atlassian.net');
+        if (!settings.email.trim()) problems.push('Email is required for the Jira API');
+        if (!apiToken.trim()) problems.push('API token is required for the Jira API');
+    }
+    return problems;
+}
+
+/**
+ * Jira priority name of a plan priority ("High", "P1 - Critical", ...).
+ * @param {string} priority - Priority cell
+ * @returns {string|null} Jira priority, or null if there is none to set
+ */
+function toJiraPriority(priority) {
+    const word = Object.keys(JIRA_PRIORITIES).find(name => new RegExp(`\\b${name}\\b`, 'i').test(priority));
+    return word ? JIRA_PRIORITIES[word] : null;
+}
+
+/**
+ * Jira label for a value: labels cannot contain spaces.
+ * @param {string} prefix - Label prefix, e.g. "tester"
+ * @param {string} value - Value
+ * @returns {string} Label such as "tester-Manual_Tester_1"
+ */
+function toJiraLabel(prefix, value) {
+    return `${prefix}-${value.trim().replace(/\s+/g, '_')}`;
+}
+
+/**
+ * Jira time tracking duration ("2d", "6h", "90m") of an estimate in hours.
+ * @param {number} hours - Estimate in hours
+ * @returns {string} Jira duration
+ */
+function formatJiraDuration(hours) {
+    if (hours % JIRA_HOURS_PER_DAY === 0) return `${hours / JIRA_HOURS_PER_DAY}d`;
+    if (Number.isInteger(hours)) return `${hours}h`;
+    return `${Math.round(hours * 60)}m`;
+}
+
+/**
+ * Labels of a task under the given mapping.
+ * @param {object} task - Task from extractJiraTasks()
+ * @param {object} settings - Jira settings
+ * @returns {Array<string>} Labels
+ */
+function jiraLabels(task, settings) {
+    const labels = ['test-plan'];
+    if (settings.priorityMapping === 'label' && task.priority) labels.push(toJiraLabel('priority', task.priority));
+    if (settings.testerMapping === 'label') {
+        // "Manual Tester 1, Automation Tester 2" gets a label per tester
+        task.tester.split(/\s*(?:[,;&\n]|\band\b)\s*/i).filter(Boolean).forEach(tester => labels.push(toJiraLabel('tester', tester)));
+    }
+    return labels;
+}
+
+/**
+ * Description of a task's issue, with the plan details that have no Jira field.
+ * @param {object} task - Task from extractJiraTasks()
+ * @returns {string} Plain text description
+ */
+function jiraDescription(task) {
+    const details = [
+        ['Task ID', task.taskId],
+        ['Assigned Tester', task.tester],
+        ['Estimated Duration', task.estimateText],
+        ['Status in plan', task.status],
+        ['Dependencies', task.dependencies.join(', ')]
+    ].filter(([, value]) => value);
+    return `${task.description}\n\n${details.map(([label, value]) => `${label}: ${value}`).join('\n')}`;
+}
+
+/**
+ * Request body to create the issue of a task (POST /rest/api/2/issue).
+ * @param {object} task - Task from extractJiraTasks()
+ * @param {object} settings - Jira settings
+ * @returns {object} Issue payload
+ */
+function buildJiraIssuePayload(task, settings) {
+    const summary = `${task.taskId}: ${task.description.replace(/\s+/g, ' ')}`;
+    const fields = {
+        project: { key: settings.projectKey },
+        issuetype: { name: settings.issueType.trim() },
+        summary: summary.length > JIRA_MAX_SUMMARY ? `${summary.slice(0, JIRA_MAX_SUMMARY - 3)}...` : summary,
+        description: jiraDescription(task),
+        labels: jiraLabels(task, settings)
+    };
+
+    const priority = settings.priorityMapping === 'priority' ? toJiraPriority(task.priority) : null;
+    if (priority) fields.priority = { name: priority };
+    if (settings.testerMapping === 'field' && task.tester) fields[settings.testerField] = task.tester;
+    if (settings.estimateMapping === 'originalEstimate' && task.estimateHours) {
+        fields.timetracking = { originalEstimate: formatJiraDuration(task.estimateHours) };
+    }
+
+    return { fields };
+}
+
+/**
+ * Request bodies of the issue links for the tasks' dependencies (POST /rest/api/2/issueLink):
+ * each dependency is the outward issue (it "blocks") and the dependent task the inward one.
+ * @param {Array<object>} tasks - Tasks from extractJiraTasks()
+ * @param {object} keys - Issue key per task ID (placeholders in a dry run)
+ * @param {object} settings - Jira settings
+ * @returns {Array<object>} Link payloads for the tasks that have both issues
+ */
+function buildJiraLinkPayloads(tasks, keys, settings) {
+    if (!settings.linkType.trim()) return [];
+    return tasks.flatMap(task => task.dependencies
+        .filter(dependency => keys[task.taskId] && keys[dependency])
+        .map(dependency => ({
+            type: { name: settings.linkType.trim() },
+            outwardIssue: { key: keys[dependency] },
+            inwardIssue: { key: keys[task.taskId] }
+        })));
+}
+
+/**
+ * The requests creating the issues would send, without sending them.
+ * Issue keys that Jira would assign are shown as "<task ID>".
+ * @param {Array<object>} tasks - Tasks from extractJiraTasks()
+ * @param {object} settings - Jira settings
+ * @returns {Array<{method: string, path: string, body: object}>} Requests in the order they are sent
+ */
+function buildJiraDryRun(tasks, settings) {
+    const placeholders = Object.fromEntries(tasks.map(task => [task.taskId, `<${task.taskId}>`]));
+    return [
+        ...tasks.map(task => ({ method: 'POST', path: JIRA_ISSUE_PATH, body: buildJiraIssuePayload(task, settings) })),
+        ...buildJiraLinkPayloads(tasks, placeholders, settings).map(body => ({ method: 'POST', path: JIRA_LINK_PATH, body }))
+    ];
+}
+
+/**
+ * Basic auth header value. The credentials are encoded as UTF-8 first, as btoa() only takes Latin-1.
+ * @param {string} email - Jira account email
+ * @param {string} apiToken - Jira API token
+ * @returns {string} Authorization header value
+ */
+function jiraAuthorization(email, apiToken) {
+    const bytes = new TextEncoder().encode(`${email.trim()}:${apiToken.trim()}`);
+    return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+/**
+ * Sends a request to the Jira REST API.
+ * @param {object} settings - Jira settings (baseUrl, email)
+ * @param {string} apiToken - Jira API token
+ * @param {string} path - API path
+ * @param {object} body - JSON body
+ * @returns {Promise<object>} Parsed response (empty for 201/204 without a body)
+ * @throws {JiraError}
+ */
+async function jiraRequest(settings, apiToken, path, body) {
+    const authorization = jiraAuthorization(settings.email, apiToken);
+    let response;
+    try {
+        response = await fetch(`${settings.baseUrl.replace(/\/+$/, '')}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                Authorization: authorization
+            },
+            body: JSON.stringify(body)
+        });
+    } catch {
+        // fetch() rejects when the network or CORS fails
+        throw new JiraError('Could not reach Jira. Jira Cloud blocks requests from the browser (CORS) - download the Jira CSV import instead, or use a CORS proxy as the site URL.');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const messages = [...(data.errorMessages || []), ...Object.entries(data.errors || {}).map(([field, message]) => `${field}: ${message}`)];
+        const reason = response.status === 401 || response.status === 403
+            ? 'check the email and API token, and that you may create issues in the project'
+            : messages.join('; ') || response.statusText || 'request failed';
+        throw new JiraError(`Jira answered ${response.status}: ${reason}`, response.status);
+    }
+    return data;
+}
+
+/**
+ * Creates an issue per task, then links the dependencies. Issues are created one by one so
+ * that a failing task does not stop the others; a network or authentication error stops all.
+ * @param {Array<object>} tasks - Tasks from extractJiraTasks()
+ * @param {object} settings - Jira settings
+ * @param {string} apiToken - Jira API token
+ * @param {function(number, number): void} [onProgress] - Called with (done, total) after each request
+ * @returns {Promise<{created: Array<{taskId: string, key: string}>, failed: Array<{taskId: string, error: string}>,
+ *          skipped: number, links: number, linkErrors: Array<string>}>} Outcome per task and link
+ */
+async function createJiraIssues(tasks, settings, apiToken, onProgress = () => {}) {
+    const created = [];
+    const failed = [];
+    const keys = {};
+    const linkCount = settings.linkType.trim() ? tasks.reduce((count, task) => count + task.dependencies.length, 0) : 0;
+    const total = tasks.length + linkCount;
+    let done = 0;
+    let stopped = false;
+
+    for (const task of tasks) {
+        try {
+            const issue = await jiraRequest(settings, apiToken, JIRA_ISSUE_PATH, buildJiraIssuePayload(task, settings));
+            keys[task.taskId] = issue.key;
+            created.push({ taskId: task.taskId, key: issue.key });
+        } catch (error) {
+            failed.push({ taskId: task.taskId, error: error.message });
+            // Every other request would fail the same way
+            stopped = error.status === null || error.status === 401;
+        }
+        onProgress(++done, total);
+        if (stopped) break;
+    }
+
+    const linkErrors = [];
+    let links = 0;
+    if (!stopped) {
+        for (const link of buildJiraLinkPayloads(tasks, keys, settings)) {
+            try {
+                await jiraRequest(settings, apiToken, JIRA_LINK_PATH, link);
+                links++;
+            } catch (error) {
+                linkErrors.push(`${link.outwardIssue.key} - ${link.inwardIssue.key}: ${error.message}`);
+            }
+            onProgress(++done, total);
+        }
+    }
+
+    return { created, failed, skipped: tasks.length - created.length - failed.length, links, linkErrors };
+}
+
+/**
+ * CSV file for Jira's CSV import (System → External system import → CSV). "Issue Id" identifies
+ * the rows so that the Dependencies columns can be mapped to the issue link type; labels and
+ * dependencies repeat their column, as the importer expects for multi-value fields.
+ * @param {Array<object>} tasks - Tasks from extractJiraTasks()
+ * @param {object} settings - Jira settings
+ * @returns {string} File content
+ */
+function buildJiraCsv(tasks, settings) {
+    const issueIds = Object.fromEntries(tasks.map((task, i) => [task.taskId, String(i + 1)]));
+    const issues = tasks.map(task => ({ task, payload: buildJiraIssuePayload(task, settings).fields }));
+    const labelColumns = Math.max(1, ...issues.map(({ payload }) => payload.labels.length));
+    const linkColumns = settings.linkType.trim() ? Math.max(0, ...tasks.map(task => task.dependencies.length)) : 0;
+
+    const columns = [
+        { header: 'Issue Id', value: ({ task }) => issueIds[task.taskId] },
+        { header: 'Project Key', value: ({ payload }) => payload.project.key },
+        { header: 'Issue Type', value: ({ payload }) => payload.issuetype.name },
+        { header: 'Summary', value: ({ payload }) => payload.summary },
+        { header: 'Description', value: ({ payload }) => payload.description }
+    ];
+    if (settings.priorityMapping === 'priority') {
+        columns.push({ header: 'Priority', value: ({ payload }) => payload.priority?.name || '' });
+    }
+    if (settings.testerMapping === 'field') {
+        columns.push({ header: `Assigned Tester (${settings.testerField})`, value: ({ task }) => task.tester });
+    }
+    if (settings.estimateMapping === 'originalEstimate') {
+        // The importer reads time tracking values in seconds
+        columns.push({ header: 'Original Estimate', value: ({ task }) => (task.estimateHours ? String(Math.round(task.estimateHours * 3600)) : '') });
+    }
+    for (let i = 0; i < labelColumns; i++) {
+        columns.push({ header: 'Labels', value: ({ payload }) => payload.labels[i] || '' });
+    }
+    for (let i = 0; i < linkColumns; i++) {
+        columns.push({ header: `Dependencies (${settings.linkType.trim()})`, value: ({ task }) => issueIds[task.dependencies[i]] || '' });
+    }
+
+    const field = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [
+        columns.map(column => field(column.header)).join(','),
+        ...issues.map(issue => columns.map(column => field(column.value(issue))).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        JIRA_DEFAULT_SETTINGS,
+        JiraError,
+        extractJiraTasks,
+        validateJiraSettings,
+        buildJiraIssuePayload,
+        buildJiraLinkPayloads,
+        buildJiraDryRun,
+        createJiraIssues,
+        buildJiraCsv
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Tests for creating Jira issues through the REST API, against the mock Jira server.
+ * Run with: node --test js/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JIRA_DEFAULT_SETTINGS, createJiraIssues } = require('./jiraExport');
+const { MOCK_JIRA_CREDENTIALS, createJiraMockServer } = require('./jiraMockServer');
+
+const task = (taskId, description, dependencies = []) => ({
+    taskId, description, tester: 'Manual Tester 1', priority: 'High', status: 'Planned',
+    dependencies, estimateText: '2 days', estimateHours: 16
+});
+
+// T-3 depends on T-1 and T-2, T-2 on T-1
+const TASKS = [task('T-1', 'Prepare test data'), task('T-2', 'Run login tests', ['T-1']), task('T-3', 'Regression', ['T-1', 'T-2'])];
+
+/**
+ * Starts a mock Jira on a free port for one test.
+ * @param {object} t - Test context
+ * @param {object} [options] - createJiraMockServer() options
+ * @returns {Promise<{settings: object, requests: Array<object>}>} Jira settings pointing at the server, and its requests
+ */
+async function startJira(t, options) {
+    const { server, requests } = createJiraMockServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const settings = {
+        ...JIRA_DEFAULT_SETTINGS,
+        baseUrl: `http://127.0.0.1:${server.address().port}/`,
+        email: MOCK_JIRA_CREDENTIALS.email,
+        projectKey: 'QA'
+    };
+    return { settings, requests };
+}
+
+test('creates every issue, then links the dependencies', async (t) => {
+    const { settings, requests } = await startJira(t);
+    const progress = [];
+    const result = await createJiraIssues(TASKS, settings, MOCK_JIRA_CREDENTIALS.apiToken, (done, total) => progress.push(`${done}/${total}`));
+
+    assert.deepEqual(result.created, [{ taskId: 'T-1', key: 'QA-1' }, { taskId: 'T-2', key: 'QA-2' }, { taskId: 'T-3', key: 'QA-3' }]);
+    assert.deepEqual(result.failed, []);
+    assert.equal(result.skipped, 0);
+    assert.equal(result.links, 3);
+    assert.deepEqual(result.linkErrors, []);
+    assert.deepEqual(progress, ['1/6', '2/6', '3/6', '4/6', '5/6', '6/6']);
+
+    // Links are only sent once all issues exist; the dependency blocks the dependent task
+    assert.deepEqual(requests.map(request => request.path), [
+        '/rest/api/2/issue', '/rest/api/2/issue', '/rest/api/2/issue',
+        '/rest/api/2/issueLink', '/rest/api/2/issueLink', '/rest/api/2/issueLink'
+    ]);
+    assert.deepEqual(requests.slice(3).map(({ body }) => `${body.outwardIssue.key} blocks ${body.inwardIssue.key}`),
+        ['QA-1 blocks QA-2', 'QA-1 blocks QA-3', 'QA-2 blocks QA-3']);
+    assert.equal(requests[0].body.fields.summary, 'T-1: Prepare test data');
+    assert.deepEqual(requests[0].body.fields.timetracking, { originalEstimate: '2d' });
+});
+
+test('a rejected issue does not stop the others, and its links are skipped', async (t) => {
+    const { settings, requests } = await startJira(t, {
+        rejectIssue: fields => (fields.summary.startsWith('T-2') ? 'Field "priority" is not on the screen' : null)
+    });
+    const result = await createJiraIssues(TASKS, settings, MOCK_JIRA_CREDENTIALS.apiToken);
+
+    assert.deepEqual(result.created.map(issue => issue.taskId), ['T-1', 'T-3']);
+    assert.deepEqual(result.failed, [{ taskId: 'T-2', error: 'Jira answered 400: Field "priority" is not on the screen' }]);
+    assert.equal(result.links, 1);
+    assert.equal(requests.filter(request => request.path === '/rest/api/2/issueLink').length, 1);
+});
+
+test('stops at the first 401', async (t) => {
+    const { settings, requests } = await startJira(t);
+    const result = await createJiraIssues(TASKS, settings, 'wrong-token');
+
+    assert.deepEqual(result.created, []);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0].error, /^Jira answered 401: check the email and API token/);
+    assert.equal(result.skipped, 2);
+    assert.equal(result.links, 0);
+    assert.equal(requests.length, 1);
+});
+
+test('stops at the first network error', async (t) => {
+    const { settings } = await startJira(t);
+    const { server } = createJiraMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${server.address().port}`;
+    await new Promise(resolve => server.close(resolve));
+
+    const result = await createJiraIssues(TASKS, { ...settings, baseUrl: closedUrl }, MOCK_JIRA_CREDENTIALS.apiToken);
+
+    assert.deepEqual(result.created, []);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0].error, /^Could not reach Jira/);
+    assert.equal(result.skipped, 2);
+});
+
+test('sends credentials outside Latin-1 as UTF-8', async (t) => {
+    const credentials = { email: 'zoë.łukasz@example.com', apiToken: 'tökén-✓' };
+    const { settings } = await startJira(t, credentials);
+    const result = await createJiraIssues(TASKS.slice(0, 1), { ...settings, email: credentials.email }, credentials.apiToken);
+
+    assert.deepEqual(result.created, [{ taskId: 'T-1', key: 'QA-1' }]);
+});
@@ -0,0 +1,104 @@
+/**
+ * Mock Jira server (Node.js)
+ *
+ * Answers the two Jira REST API calls the Jira export makes - creating an
+ * issue and linking two issues - checks basic auth, and records every
+ * request. Allows cross-origin requests, so the app can be pointed at it as
+ * the Jira site URL to try the export without a Jira instance:
+ *
+ *     node js/jiraMockServer.js [port]
+ *
+ * and accepts any project with email "qa@example.com" and API token "token".
+ */
+
+const http = require('node:http');
+
+const MOCK_JIRA_CREDENTIALS = { email: 'qa@example.com', apiToken: 'token' };
+const MOCK_JIRA_PORT = 8089;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept'
+};
+
+/**
+ * Creates a mock Jira server (not yet listening).
+ * @param {object} [options] - { email, apiToken (accepted credentials), rejectIssue(fields) (error message for an
+ *        issue Jira should refuse with 400, or null) }
+ * @returns {{server: http.Server, requests: Array<{path: string, authorization: string, body: object}>}}
+ *          Server and the requests it received, in order
+ */
+function createJiraMockServer({ email = MOCK_JIRA_CREDENTIALS.email, apiToken = MOCK_JIRA_CREDENTIALS.apiToken, rejectIssue = () => null } = {}) {
+    const requests = [];
+    const issues = new Set();
+    const counters = {};
+    const expectedAuthorization = `Basic ${Buffer.from(`${email}:${apiToken}`, 'utf8').toString('base64')}`;
+
+    const server = http.createServer((req, res) => {
+        const send = (status, data) => {
+            res.writeHead(status, { ...CORS_HEADERS, ...(data ? { 'Content-Type': 'application/json' } : {}) });
+            res.end(data ? JSON.stringify(data) : undefined);
+        };
+
+        if (req.method === 'OPTIONS') {
+            send(204);
+            return;
+        }
+
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(raw);
+            } catch {
+                send(400, { errorMessages: ['Request body is not JSON'], errors: {} });
+                return;
+            }
+            requests.push({ path: req.url, authorization: req.headers.authorization || '', body });
+
+            if (req.headers.authorization !== expectedAuthorization) {
+                send(401, { errorMessages: ['You are not authenticated'], errors: {} });
+            } else if (req.method === 'POST' && req.url === '/rest/api/2/issue') {
+                const fields = body.fields || {};
+                if (!fields.project?.key || !fields.summary) {
+                    send(400, { errorMessages: [], errors: { summary: 'You must specify a summary of the issue.' } });
+                    return;
+                }
+                const rejection = rejectIssue(fields);
+                if (rejection) {
+                    send(400, { errorMessages: [rejection], errors: {} });
+                    return;
+                }
+                counters[fields.project.key] = (counters[fields.project.key] || 0) + 1;
+                const key = `${fields.project.key}-${counters[fields.project.key]}`;
+                issues.add(key);
+                send(201, { id: String(10000 + issues.size), key, self: `/rest/api/2/issue/${key}` });
+            } else if (req.method === 'POST' && req.url === '/rest/api/2/issueLink') {
+                const missing = [body.inwardIssue?.key, body.outwardIssue?.key].filter(key => !issues.has(key));
+                if (missing.length > 0) {
+                    send(404, { errorMessages: [`Issue does not exist: ${missing.join(', ')}`], errors: {} });
+                    return;
+                }
+                send(201);
+            } else {
+                send(404, { errorMessages: [`No route for ${req.method} ${req.url}`], errors: {} });
+            }
+        });
+    });
+
+    return { server, requests };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || MOCK_JIRA_PORT;
+    const { server } = createJiraMockServer();
+    server.listen(port, () => {
+        console.log(`Mock Jira listening on http://localhost:${port} (email ${MOCK_JIRA_CREDENTIALS.email}, API token ${MOCK_JIRA_CREDENTIALS.apiToken})`);
+    });
+    server.on('request', req => console.log(`${req.method} ${req.url}`));
+}
+
+module.exports = { MOCK_JIRA_CREDENTIALS, createJiraMockServer };
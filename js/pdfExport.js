@@ -0,0 +1,606 @@
+/**
+ * PDF export
+ *
+ * Builds the PDF file directly with html2pdf.js (html2canvas + jsPDF): a cover
+ * page, a table of contents with page numbers, the rendered plan, and a
+ * running header and footer on every page after the cover.
+ *
+ * html2canvas renders the whole document as one image that is cut into
+ * pages, so page breaks are laid out here before rendering: content that
+ * would be cut is moved to the next page, long tables are split into one
+ * table per page with the header row repeated, and the TOC page numbers are
+ * read from the final layout. Mermaid diagrams are rasterised beforehand,
+ * as html2canvas cannot draw their SVG labels.
+ *
+ * Requires html2pdf.js (global `html2pdf`), renderDiagramCanvas() from utils.js
+ * and fitLogo() from documentControl.js.
+ */
+
+// A4 page margins in mm: room for the running header and footer
+const PDF_MARGINS = { top: 20, right: 15, bottom: 18, left: 15 };
+
+// Resolution of the rendered pages, as a multiple of screen pixels
+const PDF_RENDER_SCALE = 2;
+
+// Browsers refuse to create taller canvases, so long documents are rendered at a lower scale
+const MAX_CANVAS_HEIGHT = 32000;
+
+// Rough growth of the document through page breaks, used to pick the scale before layout
+const PAGE_BREAK_ALLOWANCE = 1.5;
+
+// Space (px) a heading needs below it to stay on a page rather than end it
+const HEADING_KEEP_WITH_NEXT = 60;
+
+// Layout differences below this many pixels are rounding
+const LAYOUT_TOLERANCE = 1;
+
+// Heading levels listed in the table of contents
+const PDF_TOC_HEADINGS = 'h1, h2, h3';
+
+// Blocks that must not be cut by a page break, in document order
+const PDF_UNBREAKABLE_BLOCKS = '.pdf-page-break, .pdf-toc-entry, .pdf-content :is(h1, h2, h3, h4, h5, h6, p, li, table, pre, blockquote, figure, img, hr)';
+
+// Largest size (px) of the logo on the cover page
+const PDF_LOGO_WIDTH = 240;
+const PDF_LOGO_HEIGHT = 100;
+
+const PDF_HEADER_COLOR = [100, 116, 139];
+const PDF_RULE_COLOR = [226, 232, 240];
+
+// Styles of the document, scoped to it as it is rendered inside the app page
+const PDF_STYLES = `
+    .pdf-document {
+        font-family: 'Inter', sans-serif;
+        background: white;
+        color: #1e293b;
+        font-size: 11pt;
+        line-height: 1.6;
+    }
+
+    .pdf-document * {
+        word-wrap: break-word;
+        overflow-wrap: break-word;
+    }
+
+    .pdf-cover {
+        text-align: center;
+        padding: 140px 40px 0;
+    }
+
+    .pdf-cover-logo {
+        display: block;
+        margin: 0 auto 2rem;
+    }
+
+    .pdf-cover-title {
+        font-size: 2.5rem;
+        color: #4f46e5;
+        margin-bottom: 1rem;
+        font-weight: 700;
+        line-height: 1.2;
+    }
+
+    .pdf-cover-subtitle {
+        font-size: 1.2rem;
+        color: #64748b;
+        margin-bottom: 3rem;
+    }
+
+    .pdf-cover-info {
+        text-align: left;
+        max-width: 500px;
+        margin: 0 auto;
+        padding: 2rem;
+        border: 2px solid #e2e8f0;
+        border-radius: 12px;
+        background: #f8fafc;
+    }
+
+    .pdf-cover-info p {
+        margin: 12px 0;
+        font-size: 0.95rem;
+        color: #334155;
+    }
+
+    .pdf-toc h2 {
+        font-size: 1.4rem;
+        font-weight: 600;
+        margin-bottom: 16px;
+        padding-bottom: 6px;
+        border-bottom: 2px solid #4f46e5;
+    }
+
+    .pdf-toc-entry {
+        display: flex;
+        align-items: baseline;
+        gap: 6px;
+        font-size: 10pt;
+        color: #334155;
+        padding: 2px 0;
+    }
+
+    .pdf-toc-entry.level-1 { font-weight: 600; color: #1e293b; }
+    .pdf-toc-entry.level-2 { padding-left: 16px; }
+    .pdf-toc-entry.level-3 { padding-left: 32px; font-size: 9pt; }
+
+    .pdf-toc-leader {
+        flex: 1;
+        border-bottom: 1px dotted #94a3b8;
+    }
+
+    .pdf-toc-page {
+        min-width: 2em;
+        text-align: right;
+    }
+
+    .pdf-content h1 {
+        font-size: 1.8rem;
+        font-weight: 700;
+        margin: 24px 0 12px;
+        border-bottom: 2px solid #4f46e5;
+        padding-bottom: 8px;
+    }
+
+    .pdf-content h2 {
+        font-size: 1.4rem;
+        font-weight: 600;
+        margin: 20px 0 10px;
+        border-bottom: 1px solid #e2e8f0;
+        padding-bottom: 6px;
+    }
+
+    .pdf-content h3 {
+        font-size: 1.1rem;
+        font-weight: 600;
+        margin: 16px 0 8px;
+    }
+
+    .pdf-content h4,
+    .pdf-content h5,
+    .pdf-content h6 {
+        font-weight: 600;
+        margin: 12px 0 6px;
+    }
+
+    .pdf-content p {
+        color: #334155;
+        margin-bottom: 10px;
+    }
+
+    .pdf-content ul,
+    .pdf-content ol {
+        margin-bottom: 12px;
+        padding-left: 20px;
+    }
+
+    .pdf-content ul { list-style: disc; }
+    .pdf-content ol { list-style: decimal; }
+
+    .pdf-content li {
+        color: #334155;
+        margin-bottom: 6px;
+    }
+
+    .pdf-content a {
+        color: #4f46e5;
+        text-decoration: underline;
+    }
+
+    .pdf-content .table-wrapper {
+        margin: 15px 0;
+    }
+
+    .pdf-content table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 9pt;
+        table-layout: fixed;
+    }
+
+    .pdf-content table + table {
+        margin-top: 0;
+    }
+
+    .pdf-content th,
+    .pdf-content td {
+        border: 1px solid #cbd5e1;
+        padding: 8px 6px;
+        color: #334155;
+        text-align: left;
+        vertical-align: top;
+        hyphens: auto;
+        line-height: 1.4;
+    }
+
+    .pdf-content th {
+        background: #f1f5f9;
+        font-weight: 600;
+        color: #1e293b;
+    }
+
+    .pdf-content pre,
+    .pdf-content code {
+        background: #f8fafc;
+        color: #1e293b;
+        font-size: 9pt;
+        white-space: pre-wrap;
+    }
+
+    .pdf-content pre {
+        padding: 8px;
+        border-radius: 4px;
+        margin-bottom: 12px;
+    }
+
+    .pdf-content blockquote {
+        border-left: 3px solid #a78bfa;
+        padding-left: 12px;
+        color: #475569;
+        margin-bottom: 12px;
+    }
+
+    .pdf-content tr.unmapped-requirement td {
+        background: #fef2f2;
+        color: #991b1b;
+    }
+
+    /* Feature files keep their highlighting on the white page */
+    .pdf-content .gherkin-keyword { color: #6d28d9; }
+    .pdf-content .gherkin-title { color: #1e293b; }
+    .pdf-content .gherkin-step { color: #0369a1; }
+    .pdf-content .gherkin-tag { color: #b45309; }
+    .pdf-content .gherkin-string { color: #047857; }
+    .pdf-content .gherkin-placeholder { color: #be185d; }
+    .pdf-content .gherkin-error { background: #fee2e2; }
+
+    .pdf-diagram {
+        margin: 15px 0;
+        text-align: center;
+    }
+
+    .pdf-diagram img {
+        display: inline-block;
+        max-width: 100%;
+    }
+
+    .pdf-diagram-missing {
+        font-style: italic;
+        color: #6b7280;
+    }
+`;
+
+/**
+ * Rasterises the rendered Mermaid diagrams of the output, in document order.
+ * @param {HTMLElement} element - Rendered output
+ * @returns {Promise<Array<{src: string, width: number}|null>>} PNG data URL and width per diagram, null where it failed
+ */
+async function rasterizeDiagrams(element) {
+    return Promise.all([...element.querySelectorAll('.mermaid')].map(async container => {
+        try {
+            const svg = container.querySelector('svg');
+            if (!svg) throw new Error('Diagram was not rendered');
+            const { canvas, width } = await renderDiagramCanvas(svg);
+            return { src: canvas.toDataURL('image/png'), width };
+        } catch (error) {
+            console.warn('Diagram not embedded in PDF export:', error);
+            return null;
+        }
+    }));
+}
+
+/**
+ * Builds the document to render: cover page, table of contents (page numbers still empty)
+ * and a copy of the output with diagrams as images.
+ * @param {HTMLElement} element - Rendered output
+ * @param {object} cover - Cover information: { title, date, aiModel, team, documentFields, logo }
+ * @param {Array<object|null>} diagrams - Diagrams from rasterizeDiagrams()
+ * @returns {HTMLElement} Document element
+ */
+function buildPdfSource(element, cover, diagrams) {
+    const content = element.cloneNode(true);
+    content.removeAttribute('id');
+    content.className = 'pdf-content';
+    content.querySelectorAll(EXPORT_SKIPPED_ELEMENTS).forEach(node => node.remove());
+
+    content.querySelectorAll('.mermaid').forEach((container, i) => {
+        const figure = document.createElement('figure');
+        figure.className = 'pdf-diagram';
+        if (diagrams[i]) {
+            const image = document.createElement('img');
+            image.src = diagrams[i].src;
+            image.style.width = `${diagrams[i].width}px`;
+            figure.appendChild(image);
+        } else {
+            figure.innerHTML = `<p class="pdf-diagram-missing">${DIAGRAM_FALLBACK_TEXT}</p>`;
+        }
+        container.replaceWith(figure);
+    });
+
+    const headings = [...content.querySelectorAll(PDF_TOC_HEADINGS)];
+    headings.forEach((heading, i) => { heading.dataset.pdfHeading = i; });
+    const logo = cover.logo && { src: cover.logo.dataUrl, ...fitLogo(cover.logo, PDF_LOGO_WIDTH, PDF_LOGO_HEIGHT) };
+
+    const source = document.createElement('div');
+    source.className = 'pdf-document';
+    source.innerHTML = `
+        <style>${PDF_STYLES}</style>
+        <div class="pdf-cover">
+            ${logo ? `<img class="pdf-cover-logo" src="${logo.src}" style="width: ${logo.width}px; height: ${logo.height}px">` : ''}
+            <h1 class="pdf-cover-title">${escapeHtml(cover.title)}</h1>
+            <div class="pdf-cover-subtitle">Generated by AI Test Plan Generator</div>
+            <div class="pdf-cover-info">
+                ${(cover.documentFields || []).map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('')}
+                <p><strong>📅 Date:</strong> ${escapeHtml(cover.date)}</p>
+                <p><strong>🤖 AI Model:</strong> ${escapeHtml(cover.aiModel)}</p>
+                <p><strong>👥 Team Composition:</strong> ${escapeHtml(cover.team)}</p>
+            </div>
+        </div>
+        <div class="pdf-page-break"></div>
+        <div class="pdf-toc">
+            <h2>Table of Contents</h2>
+            ${headings.map((heading, i) => `
+                <div class="pdf-toc-entry level-${heading.tagName.slice(1)}" data-pdf-target="${i}">
+                    <span>${escapeHtml(heading.textContent.trim())}</span>
+                    <span class="pdf-toc-leader"></span>
+                    <span class="pdf-toc-page"></span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="pdf-page-break"></div>
+    `;
+    source.appendChild(content);
+    return source;
+}
+
+/**
+ * Page layout of the rendered document. toPdf() cuts the canvas every
+ * floor(canvas width × page ratio) pixels, so the page height is derived the same way.
+ * @param {HTMLElement} container - html2pdf container
+ * @param {object} pageSize - html2pdf page size (inner width and height in mm)
+ * @param {number} scale - html2canvas scale
+ * @returns {{pageHeight: number, mmPerPx: number, offsetOf: function(Element): number}} Page height in CSS pixels, mm per pixel and
+ *          the distance of an element's top from the document's top
+ */
+function measurePages(container, pageSize, scale) {
+    const width = container.getBoundingClientRect().width;
+    return {
+        pageHeight: Math.floor(Math.floor(width * scale) * pageSize.inner.ratio) / scale,
+        mmPerPx: pageSize.inner.width / width,
+        offsetOf: node => node.getBoundingClientRect().top - container.getBoundingClientRect().top
+    };
+}
+
+/**
+ * Moves an element down to a position by growing its top margin. Collapsing margins can
+ * absorb part of the growth, so the position is checked again.
+ * @param {HTMLElement} node - Element to move
+ * @param {number} target - Offset the element's top should have
+ * @param {object} layout - From measurePages()
+ */
+function moveDownTo(node, target, layout) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const shift = target - layout.offsetOf(node);
+        if (shift < LAYOUT_TOLERANCE) return;
+        node.style.marginTop = `${(parseFloat(getComputedStyle(node).marginTop) || 0) + shift}px`;
+    }
+}
+
+/**
+ * Splits a table that crosses page breaks into one table per page, each starting with a
+ * copy of the header row. A table whose first row does not fit moves to the next page.
+ * @param {HTMLTableElement} table - Table to lay out
+ * @param {object} layout - From measurePages()
+ */
+function splitTableAcrossPages(table, layout) {
+    let current = table;
+    for (;;) {
+        const top = layout.offsetOf(current);
+        const pageStart = Math.floor((top + LAYOUT_TOLERANCE) / layout.pageHeight) * layout.pageHeight;
+        const pageEnd = pageStart + layout.pageHeight;
+        if (top + current.getBoundingClientRect().height <= pageEnd + LAYOUT_TOLERANCE) return;
+
+        const rows = [...(current.tBodies[0]?.rows || [])];
+        const breakIndex = rows.findIndex(row => layout.offsetOf(row) + row.getBoundingClientRect().height > pageEnd + LAYOUT_TOLERANCE);
+        if (breakIndex <= 0) {
+            // Rows taller than a page are cut like any other block
+            if (top <= pageStart + LAYOUT_TOLERANCE || breakIndex < 0) return;
+            moveDownTo(current, pageEnd, layout);
+            continue;
+        }
+
+        const rest = current.cloneNode(false);
+        if (current.tHead) rest.appendChild(current.tHead.cloneNode(true));
+        const body = document.createElement('tbody');
+        rows.slice(breakIndex).forEach(row => body.appendChild(row));
+        rest.appendChild(body);
+        current.after(rest);
+        moveDownTo(rest, pageEnd, layout);
+        current = rest;
+    }
+}
+
+/**
+ * Lays out page breaks: explicit breaks fill the rest of their page, headings stay with the
+ * text below them, tables are split per page, and other blocks that would be cut move to the
+ * next page if they fit on one.
+ * @param {HTMLElement} container - html2pdf container
+ * @param {object} layout - From measurePages()
+ */
+function paginate(container, layout) {
+    let atomic = null; // Last block kept whole; blocks inside it need no checks
+
+    container.querySelectorAll(PDF_UNBREAKABLE_BLOCKS).forEach(block => {
+        if (atomic?.contains(block) || block.parentElement.closest('table')) return;
+
+        const top = layout.offsetOf(block);
+        const pageStart = Math.floor((top + LAYOUT_TOLERANCE) / layout.pageHeight) * layout.pageHeight;
+        const pageEnd = pageStart + layout.pageHeight;
+        const atPageStart = top <= pageStart + LAYOUT_TOLERANCE;
+
+        if (block.classList.contains('pdf-page-break')) {
+            if (!atPageStart) block.style.height = `${pageEnd - top}px`;
+            return;
+        }
+        if (block.tagName === 'TABLE') {
+            splitTableAcrossPages(block, layout);
+            atomic = block.parentElement.closest('.table-wrapper') || block;
+            return;
+        }
+        // List items with nested lists are laid out item by item
+        if (block.tagName === 'LI' && block.querySelector('ul, ol')) return;
+
+        atomic = block;
+        const height = block.getBoundingClientRect().height;
+        const needed = /^H[1-6]$/.test(block.tagName) ? height + HEADING_KEEP_WITH_NEXT : height;
+        if (!atPageStart && top + needed > pageEnd + LAYOUT_TOLERANCE && height <= layout.pageHeight) {
+            moveDownTo(block, pageEnd, layout);
+        }
+    });
+}
+
+/**
+ * Page number (1-based) of a position in the document.
+ * @param {number} offset - Distance from the document's top in pixels
+ * @param {object} layout - From measurePages()
+ * @returns {number} Page number
+ */
+function pageOf(offset, layout) {
+    return Math.floor((offset + LAYOUT_TOLERANCE) / layout.pageHeight) + 1;
+}
+
+/**
+ * Fills in the TOC page numbers and collects the clickable areas of the final layout:
+ * TOC entries link to their heading's page, anchors to their URL.
+ * @param {HTMLElement} container - Paginated html2pdf container
+ * @param {object} layout - From measurePages()
+ * @returns {Array<{page: number, top: number, left: number, width: number, height: number, target: object}>} Link areas
+ *          in pixels from the top left of their page, with the jsPDF link options
+ */
+function collectPdfLinks(container, layout) {
+    const containerRect = container.getBoundingClientRect();
+    const area = (rect, target) => {
+        const offset = rect.top - containerRect.top;
+        const page = pageOf(offset, layout);
+        return {
+            page,
+            top: offset - (page - 1) * layout.pageHeight,
+            left: rect.left - containerRect.left,
+            width: rect.width,
+            height: rect.height,
+            target
+        };
+    };
+
+    const links = [];
+    container.querySelectorAll('[data-pdf-target]').forEach(entry => {
+        const heading = container.querySelector(`[data-pdf-heading="${entry.dataset.pdfTarget}"]`);
+        const pageNumber = pageOf(layout.offsetOf(heading), layout);
+        entry.querySelector('.pdf-toc-page').textContent = pageNumber;
+        links.push(area(entry.getBoundingClientRect(), { pageNumber }));
+    });
+    container.querySelectorAll('.pdf-content a[href^="http"]').forEach(anchor => {
+        // A wrapped link has a box per line
+        [...anchor.getClientRects()].forEach(rect => links.push(area(rect, { url: anchor.href })));
+    });
+    return links;
+}
+
+/**
+ * Adds the running header (project and document title), the footer (generation date and
+ * "Page X of Y") and the link areas to the pages. The cover page has neither header nor footer.
+ * @param {object} pdf - jsPDF document
+ * @param {object} cover - Cover information: { title, project, generated, documentId }
+ * @param {Array<object>} links - From collectPdfLinks()
+ * @param {number} mmPerPx - Millimetres per layout pixel
+ */
+function decoratePdfPages(pdf, cover, links, mmPerPx) {
+    const pageCount = pdf.internal.getNumberOfPages();
+    const width = pdf.internal.pageSize.getWidth();
+    const height = pdf.internal.pageSize.getHeight();
+    const right = width - PDF_MARGINS.right;
+    const headerY = PDF_MARGINS.top - 8;
+    const footerY = height - PDF_MARGINS.bottom + 10;
+    const half = (right - PDF_MARGINS.left) / 2;
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(...PDF_HEADER_COLOR);
+    pdf.setDrawColor(...PDF_RULE_COLOR);
+    pdf.setLineWidth(0.2);
+
+    for (let page = 2; page <= pageCount; page++) {
+        pdf.setPage(page);
+        pdf.text(pdf.splitTextToSize(cover.project, half - 5)[0], PDF_MARGINS.left, headerY);
+        if (cover.title !== cover.project) {
+            pdf.text(pdf.splitTextToSize(cover.title, half - 5)[0], right, headerY, { align: 'right' });
+        }
+        pdf.line(PDF_MARGINS.left, headerY + 2, right, headerY + 2);
+
+        pdf.line(PDF_MARGINS.left, footerY - 4, right, footerY - 4);
+        pdf.text(`${cover.documentId ? `${cover.documentId} | ` : ''}Generated ${cover.generated}`, PDF_MARGINS.left, footerY);
+        pdf.text(`Page ${page} of ${pageCount}`, right, footerY, { align: 'right' });
+    }
+
+    links.filter(link => link.page <= pageCount).forEach(link => {
+        pdf.setPage(link.page);
+        pdf.link(
+            PDF_MARGINS.left + link.left * mmPerPx,
+            PDF_MARGINS.top + link.top * mmPerPx,
+            link.width * mmPerPx,
+            link.height * mmPerPx,
+            link.target
+        );
+    });
+}
+
+/**
+ * Renders the plan as a PDF file.
+ * @param {HTMLElement} element - Rendered output (headings, tables, rendered Mermaid diagrams)
+ * @param {object} cover - Cover and header information: { title, project, date, generated, aiModel, team, documentFields, documentId, logo }
+ * @returns {Promise<Blob>} PDF file
+ */
+async function buildPlanPdf(element, cover) {
+    if (typeof html2pdf === 'undefined') {
+        throw new Error('html2pdf library not loaded');
+    }
+
+    const source = buildPdfSource(element, cover, await rasterizeDiagrams(element));
+    const html2canvasOptions = { scale: PDF_RENDER_SCALE, useCORS: true, backgroundColor: '#ffffff' };
+    let layout = null;
+    let links = [];
+
+    return html2pdf()
+        .set({
+            margin: [PDF_MARGINS.top, PDF_MARGINS.left, PDF_MARGINS.bottom, PDF_MARGINS.right],
+            image: { type: 'jpeg', quality: 0.95 },
+            html2canvas: html2canvasOptions,
+            jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait', compress: true },
+            // Page breaks and links are laid out by paginate() and collectPdfLinks()
+            pagebreak: { mode: [] },
+            enableLinks: false
+        })
+        .from(source)
+        .toContainer()
+        .then(function layoutPages() {
+            const container = this.prop.container;
+            const estimatedHeight = container.getBoundingClientRect().height * PAGE_BREAK_ALLOWANCE;
+            html2canvasOptions.scale = Math.min(PDF_RENDER_SCALE, MAX_CANVAS_HEIGHT / estimatedHeight);
+
+            layout = measurePages(container, this.prop.pageSize, html2canvasOptions.scale);
+            paginate(container, layout);
+            links = collectPdfLinks(container, layout);
+        })
+        .toPdf()
+        .then(function addHeadersAndFooters() {
+            decoratePdfPages(this.prop.pdf, cover, links, layout.mmPerPx);
+        })
+        .outputPdf('blob');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PDF_MARGINS,
+        buildPlanPdf
+    };
+}
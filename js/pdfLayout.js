@@ -0,0 +1,341 @@
+/**
+ * Layout analysis for PDF text
+ *
+ * pdf.js returns the text of a page as positioned fragments with no notion
+ * of lines or structure. This module rebuilds lines from the fragments'
+ * coordinates, then paragraphs, list items, headings (from font size) and
+ * simple tables (from column alignment), drops page headers and footers that
+ * repeat across pages, and emits Markdown.
+ *
+ * Distances are measured in multiples of the font size so that the
+ * heuristics work for any page size and zoom.
+ */
+
+// Fragments whose baselines differ by less than this are on the same line
+const SAME_LINE_TOLERANCE = 0.5;
+
+// Horizontal gap between fragments that is a space between words
+const WORD_GAP = 0.15;
+
+// Horizontal gap between fragments that separates table cells
+const CELL_GAP = 2;
+
+// Vertical gap between lines that starts a new paragraph (normal leading is about 1.2)
+const PARAGRAPH_GAP = 1.7;
+
+// Vertical gap between table rows that ends the table
+const TABLE_ROW_GAP = 3;
+
+// Cells within this distance of a column's left edge belong to that column
+const COLUMN_TOLERANCE = 1;
+
+// Lines at least this much larger than the body text are headings
+const HEADING_SIZE_RATIO = 1.15;
+
+const MAX_HEADING_CHARS = 120;
+const MAX_HEADING_LEVEL = 6;
+
+// Lines at the top and bottom of a page that may be a running header or footer
+const MARGIN_LINES = 2;
+
+// Bullets, including the private-use glyphs of the Symbol and Wingdings fonts Word uses
+const BULLET = /^(?:[•◦▪▫●○■□‣⁃∙\uF0A7\uF0B7\uF0D8\uF0FC]\s*|[-*–]\s+)/;
+
+// "1.", "2)", "a)", "(iv)" list items and "3.2 User Login" numbered headings
+const NUMBERED_LINE = /^(?:\d+(?:\.\d+)*[.)]?|[a-z][.)]|\([a-z0-9]{1,4}\))\s+\S/i;
+
+// Page numbers once digits are replaced by "#": "#", "page #", "page # of #", "# / #", "- # -"
+const PAGE_NUMBER = /^(?:page\s*)?#(?:\s*(?:of|\/)\s*#)?$|^-\s*#\s*-$/;
+
+/**
+ * Turns pdf.js text items into fragments with a position and font size.
+ * @param {Array<object>} items - textContent.items of a page
+ * @returns {Array<{text: string, x: number, y: number, width: number, fontSize: number}>} Non-empty fragments
+ */
+function toFragments(items) {
+    return items
+        .filter(item => item.str && item.str.trim())
+        .map(item => {
+            const [a, b, c, d, x, y] = item.transform;
+            const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 1;
+            return { text: item.str, x, y, width: item.width || 0, fontSize };
+        });
+}
+
+/**
+ * Builds a line from fragments sharing a baseline. Wide gaps split it into cells.
+ * @param {number} y - Baseline
+ * @param {Array<object>} fragments - Fragments of the line
+ * @returns {{y: number, x: number, fontSize: number, cells: Array<{x: number, text: string}>, text: string}} Line
+ */
+function buildLine(y, fragments) {
+    fragments.sort((a, b) => a.x - b.x);
+    const cells = [];
+    let cell = null;
+    let end = -Infinity;
+
+    fragments.forEach(fragment => {
+        const gap = fragment.x - end;
+        if (!cell || gap > CELL_GAP * fragment.fontSize) {
+            cell = { x: fragment.x, text: fragment.text };
+            cells.push(cell);
+        } else if (gap > WORD_GAP * fragment.fontSize && !/\s$/.test(cell.text)) {
+            cell.text += ` ${fragment.text}`;
+        } else {
+            cell.text += fragment.text;
+        }
+        end = Math.max(end, fragment.x + fragment.width);
+    });
+    cells.forEach(c => { c.text = c.text.replace(/\s+/g, ' ').trim(); });
+
+    // The font size of a line is the one most of its characters use (ignores footnote marks etc.)
+    const sizes = new Map();
+    fragments.forEach(({ text, fontSize }) => {
+        const size = Math.round(fontSize * 2) / 2;
+        sizes.set(size, (sizes.get(size) || 0) + text.length);
+    });
+    const fontSize = [...sizes].sort((a, b) => b[1] - a[1])[0][0];
+
+    return { y, x: cells[0].x, fontSize, cells, text: cells.map(c => c.text).join(' ') };
+}
+
+/**
+ * Groups the fragments of a page into lines, top to bottom.
+ * @param {Array<object>} fragments - Fragments of a page
+ * @returns {Array<object>} Lines (see buildLine)
+ */
+function groupLines(fragments) {
+    const groups = [];
+
+    // PDF coordinates grow upwards, so the top of the page has the largest y
+    [...fragments]
+        .sort((a, b) => b.y - a.y || a.x - b.x)
+        .forEach(fragment => {
+            const group = groups[groups.length - 1];
+            if (group && Math.abs(group.y - fragment.y) < SAME_LINE_TOLERANCE * Math.min(group.fontSize, fragment.fontSize)) {
+                group.fragments.push(fragment);
+            } else {
+                groups.push({ y: fragment.y, fontSize: fragment.fontSize, fragments: [fragment] });
+            }
+        });
+
+    return groups.map(group => buildLine(group.y, group.fragments));
+}
+
+/**
+ * Text under which header/footer lines of different pages are compared ("Page 3 of 9" → "page # of #").
+ * @param {string} text - Line text
+ * @returns {string} Comparison text
+ */
+function marginText(text) {
+    return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key of a margin line: a running header or footer repeats its text at the same height on every page.
+ * @param {object} line - Line
+ * @returns {string} Comparison key
+ */
+function marginKey(line) {
+    return `${Math.round(line.y)}|${marginText(line.text)}`;
+}
+
+/**
+ * Lines at the top and bottom of a page.
+ * @param {Array<object>} lines - Lines of a page
+ * @returns {Set<object>} Margin lines
+ */
+function getMarginLines(lines) {
+    return new Set([...lines.slice(0, MARGIN_LINES), ...lines.slice(-MARGIN_LINES)]);
+}
+
+/**
+ * Removes page numbers and running headers/footers (margin lines repeated on at least half of the pages).
+ * @param {Array<Array<object>>} pages - Lines of every page
+ * @returns {Array<Array<object>>} Lines of every page without headers and footers
+ */
+function stripHeadersAndFooters(pages) {
+    const counts = new Map();
+    pages.forEach(lines => {
+        new Set([...getMarginLines(lines)].map(marginKey))
+            .forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+    const minRepeats = Math.max(2, Math.ceil(pages.length / 2));
+
+    return pages.map(lines => {
+        const margin = getMarginLines(lines);
+        return lines.filter(line => {
+            if (!margin.has(line)) return true;
+            return !PAGE_NUMBER.test(marginText(line.text)) && counts.get(marginKey(line)) < minRepeats;
+        });
+    });
+}
+
+/**
+ * Font sizes of the document: the body size (most characters) and the heading sizes, largest first.
+ * @param {Array<object>} lines - All lines of the document
+ * @returns {{bodySize: number, headingSizes: number[]}} Font sizes
+ */
+function getFontSizes(lines) {
+    const characters = new Map();
+    lines.forEach(line => characters.set(line.fontSize, (characters.get(line.fontSize) || 0) + line.text.length));
+    const bodySize = [...characters].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+    const headingSizes = [...new Set(lines.filter(isHeadingCandidate).map(line => line.fontSize))]
+        .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+        .sort((a, b) => b - a);
+
+    return { bodySize, headingSizes };
+}
+
+/**
+ * Whether a line is shaped like a heading (a single, short cell).
+ * @param {object} line - Line
+ * @returns {boolean} True for possible headings
+ */
+function isHeadingCandidate(line) {
+    return line.cells.length === 1 && line.text.length <= MAX_HEADING_CHARS && !BULLET.test(line.text);
+}
+
+/**
+ * Joins a wrapped line to the text before it. Words hyphenated at the line end keep their hyphen.
+ * @param {string} text - Text so far
+ * @param {string} next - Next line
+ * @returns {string} Joined text
+ */
+function joinLines(text, next) {
+    return /\w-$/.test(text) ? text + next : `${text} ${next}`;
+}
+
+/**
+ * Reads a table starting at a line with several cells. Columns are taken from
+ * the first row; lines without a first-column cell continue the previous row
+ * (cells wrapped onto several lines).
+ * @param {Array<object>} lines - Lines of a page
+ * @param {number} start - Index of the first row
+ * @returns {{rows: string[][], end: number}|null} Rows and the index after the table, or null if it is no table
+ */
+function readTable(lines, start) {
+    const columns = lines[start].cells.map(cell => cell.x);
+    const rows = [];
+    let previous = null;
+    let i = start;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (previous && previous.y - line.y > TABLE_ROW_GAP * line.fontSize) break;
+
+        // Each cell belongs to the rightmost column starting left of it
+        const tolerance = COLUMN_TOLERANCE * line.fontSize;
+        const indexes = line.cells.map(cell => columns.findLastIndex(x => x <= cell.x + tolerance));
+        const aligned = indexes.every((index, k) => index >= 0 && (k === 0 || index > indexes[k - 1]));
+        if (!aligned) break;
+
+        if (indexes[0] > 0 && rows.length > 0) {
+            const row = rows[rows.length - 1];
+            indexes.forEach((index, k) => { row[index] = joinLines(row[index], line.cells[k].text).trim(); });
+        } else if (line.cells.length > 1) {
+            const row = columns.map(() => '');
+            indexes.forEach((index, k) => { row[index] = line.cells[k].text; });
+            rows.push(row);
+        } else {
+            break;
+        }
+        previous = line;
+    }
+
+    return rows.length >= 2 ? { rows, end: i } : null;
+}
+
+/**
+ * Converts table rows to a Markdown table; the first row is the header.
+ * @param {string[][]} rows - Cell texts
+ * @returns {string} Markdown table
+ */
+function tableRowsToMarkdown(rows) {
+    const toLine = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+    return [
+        toLine(rows[0]),
+        `|${' --- |'.repeat(rows[0].length)}`,
+        ...rows.slice(1).map(toLine)
+    ].join('\n');
+}
+
+/**
+ * Converts the lines of a page to Markdown.
+ * @param {Array<object>} lines - Lines of the page, top to bottom
+ * @param {{bodySize: number, headingSizes: number[]}} fontSizes - Font sizes of the document
+ * @returns {string} Markdown
+ */
+function linesToMarkdown(lines, { headingSizes }) {
+    const blocks = []; // { kind: 'heading' | 'item' | 'paragraph' | 'table', text, level }
+    let block = null;
+    let previous = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.cells.length > 1) {
+            const table = readTable(lines, i);
+            if (table) {
+                blocks.push({ kind: 'table', text: tableRowsToMarkdown(table.rows) });
+                block = previous = null;
+                i = table.end - 1;
+                continue;
+            }
+        }
+
+        const sizeIndex = isHeadingCandidate(line) ? headingSizes.indexOf(line.fontSize) : -1;
+        const level = sizeIndex >= 0 ? Math.min(sizeIndex + 1, MAX_HEADING_LEVEL) : 0;
+        const continues = previous
+            && previous.fontSize === line.fontSize
+            && previous.y - line.y <= PARAGRAPH_GAP * line.fontSize;
+
+        if (level) {
+            if (continues && block?.kind === 'heading' && block.level === level) {
+                block.text = joinLines(block.text, line.text); // Heading wrapped onto two lines
+            } else {
+                block = { kind: 'heading', level, text: line.text };
+                blocks.push(block);
+            }
+        } else if (BULLET.test(line.text)) {
+            block = { kind: 'item', text: `- ${line.text.replace(BULLET, '')}` };
+            blocks.push(block);
+        } else if (NUMBERED_LINE.test(line.text)) {
+            block = { kind: 'item', text: line.text };
+            blocks.push(block);
+        } else if (continues && (block?.kind === 'paragraph' || block?.kind === 'item')) {
+            block.text = joinLines(block.text, line.text); // Wrapped paragraph or list item
+        } else {
+            block = { kind: 'paragraph', text: line.text };
+            blocks.push(block);
+        }
+        previous = line;
+    }
+
+    // Consecutive list items form one list; everything else is separated by a blank line
+    return blocks
+        .map((b, i) => {
+            const text = b.kind === 'heading' ? `${'#'.repeat(b.level)} ${b.text}` : b.text;
+            const separator = i === 0 ? '' : (b.kind === 'item' && blocks[i - 1].kind === 'item' ? '\n' : '\n\n');
+            return separator + text;
+        })
+        .join('');
+}
+
+/**
+ * Rebuilds the structure of the text of a PDF as Markdown.
+ * @param {Array<Array<object>>} pageItems - pdf.js textContent.items of every page
+ * @returns {string[]} Markdown of every page (empty for pages without text)
+ */
+function layoutPdfPages(pageItems) {
+    const pages = stripHeadersAndFooters(pageItems.map(items => groupLines(toFragments(items))));
+    const fontSizes = getFontSizes(pages.flat());
+
+    return pages.map(lines => linesToMarkdown(lines, fontSizes));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { layoutPdfPages };
+}
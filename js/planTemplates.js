@@ -0,0 +1,347 @@
+/**
+ * Test plan templates
+ *
+ * A template defines the sections of the Markdown test plan - in order, each
+ * as prose, a table with a fixed column set or a Mermaid diagram - plus the
+ * tone and any team-specific formatting rules. The built-in presets cannot be
+ * changed; teams save their own templates in the browser and share them as
+ * JSON files. Structured (JSON) output always follows TEST_PLAN_SCHEMA.
+ */
+
+const TEMPLATE_SECTION_FORMATS = ['text', 'table', 'mermaid'];
+
+// Written into exported files so imports can recognise (and later migrate) them
+const TEMPLATE_FILE_FORMAT = 'test-plan-template';
+const TEMPLATE_FILE_VERSION = 1;
+
+const PLAN_TEMPLATE_SCHEMA = {
+    title: 'Test Plan Template',
+    type: 'object',
+    required: ['name', 'sections'],
+    properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        tone: { type: 'string' },
+        rules: { type: 'array', items: { type: 'string' } },
+        sections: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'format'],
+                properties: {
+                    title: { type: 'string' },
+                    format: { type: 'string', enum: TEMPLATE_SECTION_FORMATS },
+                    guidance: { type: 'string' },
+                    columns: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'default',
+        name: 'Standard Test Plan',
+        description: 'Overview, strategy, resource and task allocation, schedule, flow diagram, risks and entry/exit criteria',
+        tone: 'Professional, well-structured Markdown with emphasis on tables for better readability.',
+        rules: [
+            'Add visual separators and clear section headers',
+            'Use bullet points and numbered lists where appropriate',
+            'Be specific about task assignments to each tester based on their experience and specialization',
+            'STRICTLY assign tasks based on specialization (e.g. Automation Testers for scripting, Manual Testers for test case creation/execution)'
+        ],
+        sections: [
+            { title: 'Test Plan Overview', format: 'text', guidance: 'Brief introduction and purpose' },
+            { title: 'Test Scope and Objectives', format: 'text', guidance: 'What will be tested and goals' },
+            { title: 'Test Strategy', format: 'text', guidance: 'Overall approach and methodology' },
+            { title: 'Test Environment Requirements', format: 'text', guidance: 'Infrastructure and setup needs' },
+            { title: 'Test Deliverables', format: 'text', guidance: 'List of documents and artifacts' },
+            {
+                title: 'Resource Allocation',
+                format: 'table',
+                columns: ['Tester Name/ID', 'Years of Experience', 'Specialization', 'Assigned Tasks/Modules (keep concise, use bullet points if needed)', 'Estimated Effort', 'Responsibilities (brief summary)']
+            },
+            {
+                title: 'Task Allocation',
+                format: 'table',
+                columns: ['Task ID', 'Task Description (keep brief, 1-2 sentences max)', 'Assigned Tester', 'Priority', 'Status', 'Dependencies (brief)', 'Estimated Duration']
+            },
+            {
+                title: 'Test Schedule/Timeline',
+                format: 'table',
+                columns: ['Phase/Milestone', 'Start Date', 'End Date', 'Duration', 'Responsible Tester', 'Deliverables (brief list)']
+            },
+            { title: 'End to End Flow Diagram', format: 'mermaid', guidance: 'depicting the complete testing flow' },
+            {
+                title: 'Risk Assessment',
+                format: 'table',
+                columns: ['Risk ID', 'Risk Description (concise)', 'Probability (High/Medium/Low)', 'Impact (High/Medium/Low)', 'Mitigation Strategy (brief)', 'Owner']
+            },
+            { title: 'Entry and Exit Criteria', format: 'text', guidance: 'Clear criteria for starting and completing testing' }
+        ]
+    },
+    {
+        id: 'ieee-829',
+        name: 'IEEE 829 Test Plan',
+        description: 'The 16 sections of the IEEE 829 test plan, from test plan identifier to approvals',
+        tone: 'Formal and precise, in the register of IEEE 829 test documentation - third person, no marketing language.',
+        rules: [
+            'Keep the section names and order of IEEE 829 exactly as listed',
+            'Assign testing tasks based on each tester\'s experience and specialization'
+        ],
+        sections: [
+            { title: 'Test Plan Identifier', format: 'text', guidance: 'Unique identifier, version and date of this plan' },
+            { title: 'Introduction', format: 'text', guidance: 'Purpose, objectives and references to the source documents' },
+            { title: 'Test Items', format: 'table', columns: ['Item ID', 'Test Item', 'Version', 'Source Document'] },
+            { title: 'Features to be Tested', format: 'table', columns: ['Feature ID', 'Feature', 'Requirement IDs', 'Priority (High/Medium/Low)'] },
+            { title: 'Features not to be Tested', format: 'text', guidance: 'Features left out and the reason for each' },
+            { title: 'Approach', format: 'text', guidance: 'Test levels, test types, techniques and tools' },
+            { title: 'Item Pass/Fail Criteria', format: 'text', guidance: 'When a test item passes or fails' },
+            { title: 'Suspension Criteria and Resumption Requirements', format: 'text', guidance: 'When testing stops and what is needed to resume it' },
+            { title: 'Test Deliverables', format: 'text', guidance: 'Documents, logs and reports produced by testing' },
+            { title: 'Testing Tasks', format: 'table', columns: ['Task ID', 'Task Description', 'Assigned Tester', 'Predecessor Tasks', 'Estimated Effort'] },
+            { title: 'Environmental Needs', format: 'text', guidance: 'Hardware, software, tools, test data and security needs' },
+            { title: 'Responsibilities', format: 'table', columns: ['Role', 'Responsibility', 'Assigned Tester'] },
+            { title: 'Staffing and Training Needs', format: 'table', columns: ['Tester', 'Years of Experience', 'Specialization', 'Training Needed'] },
+            { title: 'Schedule', format: 'table', columns: ['Milestone', 'Start Date', 'End Date', 'Duration', 'Responsible Tester'] },
+            { title: 'Risks and Contingencies', format: 'table', columns: ['Risk ID', 'Risk', 'Probability (High/Medium/Low)', 'Impact (High/Medium/Low)', 'Contingency', 'Owner'] },
+            { title: 'Approvals', format: 'table', columns: ['Name', 'Role', 'Signature', 'Date'] }
+        ]
+    },
+    {
+        id: 'iso-29119-3',
+        name: 'ISO/IEC/IEEE 29119-3 Test Plan',
+        description: 'Context, communication, risk register, strategy, activities, staffing and schedule as in 29119-3',
+        tone: 'Formal and standards-aligned, using the terminology of ISO/IEC/IEEE 29119 (test item, test sub-process, test completion criteria).',
+        rules: [
+            'Separate product risks from project risks in the risk register',
+            'Assign testing activities based on each tester\'s experience and specialization'
+        ],
+        sections: [
+            { title: 'Context of the Testing', format: 'text', guidance: 'Test sub-process, test items, scope, assumptions and constraints, and stakeholders' },
+            { title: 'Testing Communication', format: 'table', columns: ['Stakeholder', 'Information', 'Channel', 'Frequency'] },
+            { title: 'Risk Register', format: 'table', columns: ['Risk ID', 'Risk Type (Product/Project)', 'Description', 'Likelihood (High/Medium/Low)', 'Impact (High/Medium/Low)', 'Treatment'] },
+            { title: 'Test Strategy', format: 'text', guidance: 'Test levels and types, deliverables, test design techniques, completion criteria, metrics, test data and environment requirements, retesting and regression, suspension and resumption criteria, and deviations from the organisational test strategy' },
+            { title: 'Testing Activities and Estimates', format: 'table', columns: ['Task ID', 'Activity', 'Assigned Tester', 'Estimated Effort', 'Dependencies'] },
+            { title: 'Staffing', format: 'table', columns: ['Role', 'Tester', 'Activities and Responsibilities', 'Training Needs'] },
+            { title: 'Schedule', format: 'table', columns: ['Milestone', 'Start Date', 'End Date', 'Responsible Tester'] }
+        ]
+    },
+    {
+        id: 'agile-sprint',
+        name: 'Agile Sprint Test Plan',
+        description: 'Lightweight plan for one sprint: goal, stories and acceptance criteria, tasks, definition of done',
+        tone: 'Concise and pragmatic for a cross-functional Scrum team - bullet points over prose, no boilerplate.',
+        rules: [
+            'Treat the execution timeline as one sprint and flag work that does not fit into it',
+            'Prefer automation for regression and repeatable checks, and assign it to Automation testers'
+        ],
+        sections: [
+            { title: 'Sprint Goal and Scope', format: 'text', guidance: 'Sprint goal, stories in scope and out of scope' },
+            { title: 'Stories and Acceptance Criteria', format: 'table', columns: ['Story / Requirement', 'Acceptance Criteria', 'Test Approach', 'Automation Candidate (Yes/No)'] },
+            { title: 'Test Approach', format: 'text', guidance: 'Test levels within the sprint, exploratory charters and regression strategy' },
+            { title: 'Test Tasks', format: 'table', columns: ['Task ID', 'Task', 'Owner', 'Estimate (hours)', 'Day in Sprint'] },
+            { title: 'Definition of Done (Testing)', format: 'text', guidance: 'Checklist a story must meet before it is done' },
+            { title: 'Risks and Blockers', format: 'table', columns: ['Risk', 'Impact (High/Medium/Low)', 'Mitigation', 'Owner'] }
+        ]
+    }
+];
+
+/**
+ * Validates a template against PLAN_TEMPLATE_SCHEMA; table sections also need columns.
+ * @param {object} template - Template to check
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validatePlanTemplate(template) {
+    const errors = [];
+    validateAgainstSchema(template, PLAN_TEMPLATE_SCHEMA, '', errors);
+    if (errors.length === 0) {
+        if (!template.name.trim()) errors.push('name must not be empty');
+        template.sections.forEach((section, i) => {
+            if (!section.title.trim()) errors.push(`sections[${i}].title must not be empty`);
+            if (section.format === 'table' && !(section.columns || []).some(column => column.trim())) {
+                errors.push(`sections[${i}].columns must name at least one column of the table`);
+            }
+        });
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Copy of a template with only the known properties, trimmed and without empty entries.
+ * @param {object} template - Template (e.g. from the editor or an imported file)
+ * @returns {object} Template without id
+ */
+function normalizePlanTemplate(template) {
+    const clean = list => (list || []).map(item => String(item).trim()).filter(Boolean);
+    return {
+        name: String(template.name || '').trim(),
+        description: String(template.description || '').trim(),
+        tone: String(template.tone || '').trim(),
+        rules: clean(template.rules),
+        sections: (template.sections || []).map(section => ({
+            title: String(section.title || '').trim(),
+            format: section.format,
+            guidance: String(section.guidance || '').trim(),
+            columns: section.format === 'table' ? clean(section.columns) : []
+        }))
+    };
+}
+
+/**
+ * Serialises a template for download.
+ * @param {object} template - Template
+ * @returns {string} JSON file content
+ */
+function exportPlanTemplate(template) {
+    return JSON.stringify({
+        format: TEMPLATE_FILE_FORMAT,
+        version: TEMPLATE_FILE_VERSION,
+        template: normalizePlanTemplate(template)
+    }, null, 2);
+}
+
+/**
+ * Reads a template file written by exportPlanTemplate() (a bare template object is accepted too).
+ * @param {string} text - File content
+ * @returns {object} Normalised template without id
+ * @throws {Error} If the file is not valid JSON or not a valid template
+ */
+function importPlanTemplate(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+
+    if (data && data.format === TEMPLATE_FILE_FORMAT) {
+        if (data.version > TEMPLATE_FILE_VERSION) {
+            throw new Error(`The template was exported by a newer version of the app (format version ${data.version})`);
+        }
+        data = data.template;
+    }
+
+    const { valid, errors } = validatePlanTemplate(data);
+    if (!valid) {
+        throw new Error(`The file is not a valid test plan template:\n${errors.slice(0, 5).join('\n')}`);
+    }
+    return normalizePlanTemplate(data);
+}
+
+/**
+ * Prompt line for one template section.
+ * @param {object} section - Template section
+ * @param {number} number - Section number
+ * @returns {string} Numbered Markdown list item
+ */
+function describeTemplateSection(section, number) {
+    const intro = `${number}. **${section.title}** - `;
+    if (section.format === 'table') {
+        const columns = section.columns.map(column => `   - ${column}`).join('\n');
+        return `${intro}${section.guidance ? `${section.guidance}. ` : ''}MUST be presented as a TABLE with columns:\n${columns}`;
+    }
+    if (section.format === 'mermaid') {
+        return `${intro}MUST be a Mermaid.js flowchart (graph TD/LR)${section.guidance ? ` ${section.guidance}` : ''}.`;
+    }
+    return `${intro}${section.guidance}`;
+}
+
+/**
+ * Section list and formatting rules of the Markdown plan prompt for a template.
+ * @param {object} template - Plan template
+ * @param {function(number): string} [traceabilityInstructions] - Returns the traceability section for its number, if requirement IDs were found
+ * @returns {string} Prompt instructions (without the shared Markdown table rules)
+ */
+function getTemplateInstructions(template, traceabilityInstructions) {
+    const sections = template.sections.map((section, i) => describeTemplateSection(section, i + 1));
+    if (traceabilityInstructions) {
+        sections.push(traceabilityInstructions(template.sections.length + 1));
+    }
+
+    const tableSections = template.sections.filter(section => section.format === 'table').map(section => section.title);
+    const rules = [
+        ...(tableSections.length > 0 ? [`Use Markdown tables for ALL sections that involve structured data (${tableSections.join(', ')})`] : []),
+        'Keep table cells CONCISE - maximum 2-3 sentences per cell. Use bullet points within cells if needed.',
+        'Use proper Markdown table syntax with headers',
+        'Ensure tables are well-formatted and readable with proper line breaks',
+        'Each table row should be on a separate line in the markdown',
+        ...template.rules,
+        'DO NOT create extremely long table cells - keep content brief and to the point'
+    ];
+
+    return `Please generate a detailed Test Plan in Markdown format that includes:
+
+${sections.join('\n\n')}
+
+IMPORTANT FORMATTING REQUIREMENTS:
+${rules.map(rule => `- ${rule}`).join('\n')}${template.tone ? `\n\nTONE AND STYLE: ${template.tone}` : ''}`;
+}
+
+/**
+ * Key used to compare template titles and columns with the generated headings and headers.
+ * @param {string} text - Section title, heading or column name
+ * @returns {string} Lower-case words without notes in parentheses, punctuation or Markdown markers
+ */
+function matchKey(text) {
+    return text.replace(/\(.*?\)/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * The generated table of a template section: the first table under a heading that contains the section title.
+ * @param {Array<object>} tables - Tables from parseMarkdownTables()
+ * @param {object} section - Table section of a template
+ * @returns {object|undefined} Table ({ heading, header, rows }), if the plan has one
+ */
+function findTemplateTable(tables, section) {
+    const title = matchKey(section.title);
+    return tables.find(candidate => matchKey(candidate.heading).includes(title));
+}
+
+/**
+ * Checks a generated plan against the table sections of its template.
+ * @param {string} markdown - Plan Markdown
+ * @param {object} template - Template the plan was generated with
+ * @returns {Array<string>} Deviations, e.g. a missing table or column; empty if the plan follows the template
+ */
+function checkTemplateTables(markdown, template) {
+    const tables = parseMarkdownTables(markdown);
+    const problems = [];
+
+    template.sections.filter(section => section.format === 'table').forEach(section => {
+        const table = findTemplateTable(tables, section);
+        if (!table) {
+            problems.push(`"${section.title}" has no table`);
+            return;
+        }
+
+        const headers = table.header.map(matchKey);
+        const missing = section.columns.filter(column => {
+            const key = matchKey(column);
+            return !headers.some(header => header.includes(key) || (header && key.includes(header)));
+        });
+        if (missing.length > 0) {
+            problems.push(`"${section.title}" table is missing column(s): ${missing.join(', ')}`);
+        }
+    });
+
+    return problems;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEMPLATE_SECTION_FORMATS,
+        PLAN_TEMPLATE_SCHEMA,
+        BUILT_IN_TEMPLATES,
+        validatePlanTemplate,
+        normalizePlanTemplate,
+        exportPlanTemplate,
+        importPlanTemplate,
+        getTemplateInstructions,
+        findTemplateTable,
+        checkTemplateTables
+    };
+}
@@ -0,0 +1,558 @@
+/**
+ * AI Provider Registry
+ *
+ * Every AI provider implements the same interface so the generator can drive
+ * any of them without branching on the provider id:
+ *
+ *   name, keyPrefix, placeholder, keyUrl  - UI metadata
+ *   validate(key)                         - API key format check
+ *   getModels(settings)                   - models to try, in fallback order
+ *   buildRequest({ prompt, apiKey, model, settings, responseFormat, continuation }) - returns { url, options } for fetch();
+ *                                         responseFormat is 'markdown' (default), 'json' for structured output or
+ *                                         'digest' for requirement summaries of chunked documents,
+ *                                         continuation is the text produced so far when resuming a truncated response
+ *   parseStream(response, onText)         - reads the streamed body, calling onText per text delta; resolves to
+ *                                         { truncated, finishReason } where truncated means the output token limit was hit
+ *   extractError(errorData, model)        - human readable message from an error response body
+ *
+ *   defaults                              - { model, temperature, maxTokens } used when the user has not overridden them
+ *                                         (free-form providers also default the contextWindow of their models)
+ *   models                                - catalog of selectable models ({ name, label, contextWindow, maxOutputTokens, ... });
+ *                                         empty for free-form model names. maxOutputTokens caps settings.maxTokens
+ *   maxTemperature                        - upper bound accepted by the API
+ *
+ * Optional:
+ *   requiresKey                           - false if the provider works without an API key (default true)
+ *   supportsFallback                      - true if getModels() falls back through a user ordered list (settings.fallbackOrder,
+ *                                         which always lists every catalog model)
+ *   validateSettings(settings)            - returns an error message if provider settings are incomplete
+ *   listModels(settings, apiKey)          - resolves to the model ids the endpoint offers
+ *
+ * `settings` are the provider specific options the user saved in the UI
+ * (e.g. the base URL of a custom endpoint), merged over `defaults` by
+ * resolveProviderSettings().
+ *
+ * New providers are added with registerProvider() and automatically show up
+ * in the provider dropdown.
+ */
+
+const SYSTEM_PROMPTS = {
+    markdown: 'You are an expert QA Lead. Always respond in Markdown format. Use Markdown tables for structured data.',
+    json: 'You are an expert QA Lead. Always respond with a single valid JSON document and nothing else.',
+    digest: 'You are an expert business analyst. Extract requirements faithfully and concisely in Markdown. Never invent requirements.'
+};
+
+/**
+ * Returns the system prompt for the requested response format.
+ * @param {string} responseFormat - 'markdown', 'json' or 'digest'
+ * @returns {string} System prompt
+ */
+function getSystemPrompt(responseFormat) {
+    return SYSTEM_PROMPTS[responseFormat] || SYSTEM_PROMPTS.markdown;
+}
+
+const providerRegistry = new Map();
+
+// Applied to every provider underneath its own defaults
+const GENERATION_DEFAULTS = {
+    maxContinuations: 2, // Follow-up requests allowed when a response is cut off at the token limit
+    maxRetries: 2, // Retries of the same model on transient errors before falling back to the next one
+    chunking: 'auto' // 'auto' summarises documents that exceed the context window in chunks, 'always' or 'off'
+};
+
+/**
+ * Registers an AI provider under the given id.
+ * @param {string} id - Provider id (used for the dropdown value and session storage keys)
+ * @param {object} provider - Provider implementation
+ */
+function registerProvider(id, provider) {
+    const required = ['validate', 'getModels', 'buildRequest', 'parseStream', 'extractError'];
+    const missing = required.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Provider "${id}" is missing: ${missing.join(', ')}`);
+    }
+    providerRegistry.set(id, { id, ...provider });
+}
+
+/**
+ * Looks up a registered provider.
+ * @param {string} id - Provider id
+ * @returns {object|undefined} The provider, or undefined if not registered
+ */
+function getProvider(id) {
+    return providerRegistry.get(id);
+}
+
+/**
+ * Lists all registered providers in registration order.
+ * @returns {object[]} Registered providers
+ */
+function getProviders() {
+    return Array.from(providerRegistry.values());
+}
+
+/**
+ * Merges the user's saved settings over the provider defaults, ignoring blank values.
+ * @param {string} id - Provider id
+ * @param {object} saved - Settings saved in session storage
+ * @returns {object} Settings to generate with
+ */
+function resolveProviderSettings(id, saved = {}) {
+    const provider = getProvider(id);
+    const resolved = { ...GENERATION_DEFAULTS, ...provider.defaults };
+
+    Object.entries(saved).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            resolved[key] = value;
+        }
+    });
+
+    if (provider.supportsFallback) {
+        resolved.fallbackOrder = mergeFallbackOrder(provider.models, resolved.fallbackOrder);
+    }
+
+    return resolved;
+}
+
+/**
+ * Completes a fallback order with the catalog: saved entries keep their position,
+ * models the order does not mention yet are appended enabled, unknown names are dropped.
+ * @param {object[]} models - Provider model catalog
+ * @param {Array<{name: string, enabled: boolean}>} order - Saved or default fallback order
+ * @returns {Array<{name: string, enabled: boolean}>} One entry per catalog model
+ */
+function mergeFallbackOrder(models, order = []) {
+    const remaining = new Set(models.map(model => model.name));
+    const merged = order.filter(entry => remaining.delete(entry.name));
+    remaining.forEach(name => merged.push({ name, enabled: true }));
+    return merged;
+}
+
+/**
+ * Finds a model in a provider's catalog, falling back to a bare entry for unknown names.
+ * @param {object} provider - Registered provider
+ * @param {string} name - Model name
+ * @returns {object} Model descriptor
+ */
+function findModel(provider, name) {
+    return provider.models.find(model => model.name === name) || { name, label: name };
+}
+
+/**
+ * Output token limit to request from a model: the user's maxTokens, capped at what the model accepts.
+ * @param {object} model - Model descriptor
+ * @param {object} settings - Resolved provider settings
+ * @returns {number} Max output tokens
+ */
+function getMaxOutputTokens(model, settings) {
+    return model.maxOutputTokens ? Math.min(settings.maxTokens, model.maxOutputTokens) : settings.maxTokens;
+}
+
+/**
+ * Builds the chat turns for a request. A continuation replays the original
+ * prompt and the text produced so far, then asks the model to carry on.
+ * @param {string} prompt - Generation prompt
+ * @param {string} [continuation] - Text produced so far, when resuming a truncated response
+ * @returns {Array<{role: string, content: string}>} Turns with 'user' / 'assistant' roles
+ */
+function buildConversation(prompt, continuation) {
+    const turns = [{ role: 'user', content: prompt }];
+    if (continuation) {
+        turns.push({ role: 'assistant', content: continuation });
+        turns.push({ role: 'user', content: CONTINUATION_PROMPT });
+    }
+    return turns;
+}
+
+/**
+ * Parses the JSON payload of a stream event, surfacing error events as exceptions.
+ * @param {string} data - Event data
+ * @param {string} providerName - Provider name for error messages
+ * @returns {object|null} Parsed payload, or null if it is not JSON
+ */
+function parseStreamEvent(data, providerName) {
+    let payload;
+    try {
+        payload = JSON.parse(data);
+    } catch (e) {
+        console.warn(`${providerName}: ignoring non-JSON stream event`, data);
+        return null;
+    }
+
+    // Providers report failures mid-stream as an error object inside an event
+    if (payload && payload.error) {
+        const message = payload.error.message || (typeof payload.error === 'string' ? payload.error : 'Unknown error');
+        const code = payload.error.code || payload.error.type || payload.error.status || null;
+        throw new ProviderError(`${providerName} stream error: ${message}`, {
+            type: classifyError({ code, message }),
+            code
+        });
+    }
+
+    return payload;
+}
+
+/**
+ * Error for a response the provider refused or stopped on safety grounds.
+ * @param {string} providerName - Provider name for the message
+ * @param {string} reason - Block or finish reason reported by the provider
+ * @returns {ProviderError} Safety block error
+ */
+function createSafetyBlockError(providerName, reason) {
+    return new ProviderError(`${providerName} blocked the response (reason: ${reason})`, {
+        type: ERROR_TYPES.SAFETY_BLOCK,
+        code: reason
+    });
+}
+
+// --- OpenAI ---
+
+/**
+ * Builds a streaming Chat Completions request, shared by OpenAI and OpenAI-compatible endpoints.
+ * @param {string} url - Full chat completions URL
+ * @param {object} params - { prompt, apiKey, model, settings, responseFormat, continuation }
+ * @param {boolean} supportsJsonMode - Whether the endpoint accepts response_format: json_object
+ * @returns {{url: string, options: object}} Arguments for fetch()
+ */
+function buildChatCompletionsRequest(url, { prompt, apiKey, model, settings, responseFormat, continuation }, supportsJsonMode = true) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+        model: model.name,
+        messages: [
+            { role: 'system', content: getSystemPrompt(responseFormat) },
+            ...buildConversation(prompt, continuation)
+        ],
+        temperature: settings.temperature,
+        max_tokens: getMaxOutputTokens(model, settings),
+        stream: true // Enable Streaming
+    };
+
+    // JSON mode forces a complete document, which a continuation by definition is not
+    if (responseFormat === 'json' && supportsJsonMode && !continuation) {
+        body.response_format = { type: 'json_object' };
+    }
+
+    return {
+        url,
+        options: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        }
+    };
+}
+
+/**
+ * Reads a streaming Chat Completions body, shared by OpenAI and OpenAI-compatible endpoints.
+ * @param {Response} response - Streaming fetch response
+ * @param {function(string): void} onText - Called with every content delta
+ * @returns {Promise<{truncated: boolean, finishReason: string|null}>} How the response ended
+ */
+async function parseChatCompletionsStream(response, onText) {
+    let finishReason = null;
+
+    await readSSEStream(response, ({ data }) => {
+        if (data.trim() === '[DONE]') {
+            return true;
+        }
+
+        const payload = parseStreamEvent(data, 'Chat Completions');
+        const choice = payload?.choices?.[0];
+        if (!choice) return;
+
+        if (choice.delta?.content) {
+            onText(choice.delta.content);
+        }
+        if (choice.finish_reason === 'content_filter') {
+            throw createSafetyBlockError('Chat Completions', choice.finish_reason);
+        }
+        if (choice.finish_reason) {
+            finishReason = choice.finish_reason;
+        }
+    });
+
+    return { truncated: finishReason === 'length', finishReason };
+}
+
+registerProvider('openai', {
+    name: 'OpenAI',
+    keyPrefix: 'sk-',
+    placeholder: 'sk-...',
+    keyUrl: 'https://platform.openai.com/account/api-keys',
+    validate: (key) => key.startsWith('sk-'),
+
+    models: [
+        { name: 'gpt-4', label: 'GPT-4', contextWindow: 8192, maxOutputTokens: 4096 }, // Output shares the 8K window with the prompt
+        { name: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384 },
+        { name: 'gpt-4o-mini', label: 'GPT-4o mini', contextWindow: 128000, maxOutputTokens: 16384 },
+        { name: 'gpt-4.1', label: 'GPT-4.1', contextWindow: 1047576, maxOutputTokens: 32768 }
+    ],
+    defaults: { model: 'gpt-4', temperature: 0.7, maxTokens: 16384 },
+    maxTemperature: 2,
+
+    getModels(settings) {
+        return [findModel(this, settings.model)];
+    },
+
+    buildRequest: (params) => buildChatCompletionsRequest('https://api.openai.com/v1/chat/completions', params),
+
+    parseStream: parseChatCompletionsStream,
+
+    extractError: (errorData) => errorData.error?.message || 'OpenAI API Error'
+});
+
+// --- Google Gemini ---
+
+// Finish reasons for a candidate that was stopped by content filters
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+registerProvider('gemini', {
+    name: 'Google Gemini',
+    keyPrefix: 'AIza',
+    placeholder: 'AIza...',
+    keyUrl: 'https://makersuite.google.com/app/apikey',
+    validate: (key) => key.startsWith('AIza'),
+
+    models: [
+        { name: 'gemini-2.5-pro-latest', label: 'Gemini 2.5 Pro', version: 'v1beta', contextWindow: 1048576, maxOutputTokens: 65536 },
+        { name: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', version: 'v1beta', contextWindow: 1048576, maxOutputTokens: 65536 },
+        { name: 'gemini-pro', label: 'Gemini Pro', version: 'v1', contextWindow: 32760, maxOutputTokens: 2048 },
+        { name: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', version: 'v1beta', contextWindow: 1048576, maxOutputTokens: 8192 }
+    ],
+    defaults: {
+        model: 'gemini-2.5-pro-latest',
+        temperature: 0.7,
+        maxTokens: 8192, // Explicitly set to max allowed for most models
+        fallbackOrder: [
+            { name: 'gemini-2.5-flash', enabled: true },
+            { name: 'gemini-pro', enabled: true },
+            { name: 'gemini-1.5-flash', enabled: true }
+        ]
+    },
+    maxTemperature: 2,
+    supportsFallback: true,
+
+    // Selected model first, then the enabled fallbacks in the user's order
+    getModels(settings) {
+        const fallbacks = (settings.fallbackOrder || [])
+            .filter(entry => entry.enabled && entry.name !== settings.model)
+            .map(entry => entry.name);
+
+        return [settings.model, ...fallbacks].map(name => {
+            const model = findModel(this, name);
+            return { version: 'v1beta', ...model };
+        });
+    },
+
+    buildRequest({ prompt, apiKey, model, settings, responseFormat, continuation }) {
+        const contents = buildConversation(`${getSystemPrompt(responseFormat)}\n\n${prompt}`, continuation)
+            .map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.content }] }));
+
+        // Configuration for production-ready streaming
+        const requestBody = {
+            contents,
+            generationConfig: {
+                temperature: settings.temperature,
+                maxOutputTokens: getMaxOutputTokens(model, settings),
+                stopSequences: ["\n\n----", "\n\n====="], // Prevent infinite separators
+                ...(responseFormat === 'json' && !continuation ? { responseMimeType: 'application/json' } : {})
+            },
+            safetySettings: [
+                { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_ONLY_HIGH" },
+                { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_ONLY_HIGH" },
+                { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_ONLY_HIGH" },
+                { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_ONLY_HIGH" }
+            ]
+        };
+
+        return {
+            // alt=sse streams one complete JSON response per SSE event
+            url: `https://generativelanguage.googleapis.com/${model.version}/models/${model.name}:streamGenerateContent?alt=sse&key=${apiKey}`,
+            options: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(requestBody)
+            }
+        };
+    },
+
+    async parseStream(response, onText) {
+        let finishReason = null;
+
+        await readSSEStream(response, ({ data }) => {
+            const payload = parseStreamEvent(data, 'Gemini');
+
+            // A blocked prompt returns no candidates at all, only the block reason
+            if (payload?.promptFeedback?.blockReason) {
+                throw createSafetyBlockError('Gemini', payload.promptFeedback.blockReason);
+            }
+
+            const candidate = payload?.candidates?.[0];
+            if (!candidate) return;
+
+            (candidate.content?.parts || []).forEach(part => {
+                if (part.text) {
+                    onText(part.text);
+                }
+            });
+            if (GEMINI_BLOCK_REASONS.includes(candidate.finishReason)) {
+                throw createSafetyBlockError('Gemini', candidate.finishReason);
+            }
+            if (candidate.finishReason) {
+                finishReason = candidate.finishReason;
+            }
+        });
+
+        return { truncated: finishReason === 'MAX_TOKENS', finishReason };
+    },
+
+    extractError: (errorData, model) => errorData.error?.message || `Error with ${model.name}`
+});
+
+// --- Anthropic Claude ---
+
+registerProvider('claude', {
+    name: 'Anthropic Claude',
+    keyPrefix: 'sk-ant-',
+    placeholder: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    validate: (key) => key.startsWith('sk-ant-'),
+
+    models: [
+        { name: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5', contextWindow: 200000, maxOutputTokens: 64000 },
+        { name: 'claude-opus-4-1', label: 'Claude Opus 4.1', contextWindow: 200000, maxOutputTokens: 32000 },
+        { name: 'claude-haiku-4-5', label: 'Claude Haiku 4.5', contextWindow: 200000, maxOutputTokens: 64000 }
+    ],
+    defaults: { model: 'claude-sonnet-4-5', temperature: 0.7, maxTokens: 16384 },
+    maxTemperature: 1,
+
+    getModels(settings) {
+        return [findModel(this, settings.model)];
+    },
+
+    buildRequest({ prompt, apiKey, model, settings, responseFormat, continuation }) {
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01',
+                    // Required for calling the API directly from the browser
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify({
+                    model: model.name,
+                    system: getSystemPrompt(responseFormat),
+                    messages: buildConversation(prompt, continuation),
+                    temperature: settings.temperature,
+                    max_tokens: getMaxOutputTokens(model, settings),
+                    stream: true
+                })
+            }
+        };
+    },
+
+    async parseStream(response, onText) {
+        let finishReason = null;
+
+        await readSSEStream(response, ({ data }) => {
+            // `event: error` payloads carry an error object, which parseStreamEvent raises
+            const payload = parseStreamEvent(data, 'Claude');
+            if (!payload) return;
+
+            if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                onText(payload.delta.text);
+            } else if (payload.type === 'message_delta' && payload.delta?.stop_reason === 'refusal') {
+                throw createSafetyBlockError('Claude', 'refusal');
+            } else if (payload.type === 'message_delta' && payload.delta?.stop_reason) {
+                finishReason = payload.delta.stop_reason;
+            } else if (payload.type === 'message_stop') {
+                return true;
+            }
+        });
+
+        return { truncated: finishReason === 'max_tokens', finishReason };
+    },
+
+    extractError: (errorData) => errorData.error?.message || 'Claude API Error'
+});
+
+// --- Custom / OpenAI-compatible (Ollama, LM Studio, vLLM, internal gateways) ---
+
+/**
+ * Normalizes a user supplied base URL so both "http://host:port" and
+ * "http://host:port/v1/" resolve to the same API root.
+ * @param {string} baseUrl - Base URL as typed by the user
+ * @returns {string} Base URL without trailing slash or /v1 suffix
+ */
+function normalizeBaseUrl(baseUrl) {
+    return (baseUrl || '').trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+registerProvider('custom', {
+    name: 'Custom / OpenAI-compatible',
+    keyPrefix: '',
+    placeholder: 'Optional - leave empty if your endpoint needs no key',
+    keyUrl: '',
+    requiresKey: false,
+    // Self-hosted endpoints use arbitrary key formats (or none at all)
+    validate: () => true,
+
+    // Model names are free-form and entered alongside the base URL
+    models: [],
+    defaults: { temperature: 0.7, maxTokens: 4096, contextWindow: 8192 },
+    maxTemperature: 2,
+
+    validateSettings(settings) {
+        if (!settings.baseUrl) {
+            return 'Enter the base URL of your OpenAI-compatible endpoint';
+        }
+        try {
+            new URL(settings.baseUrl);
+        } catch (e) {
+            return `"${settings.baseUrl}" is not a valid URL`;
+        }
+        if (!settings.model) {
+            return 'Enter the model name to use on your endpoint';
+        }
+        return null;
+    },
+
+    getModels: (settings) => [{ name: settings.model, label: settings.model }],
+
+    // JSON mode support varies between self-hosted servers, so rely on the prompt alone
+    buildRequest: (params) => buildChatCompletionsRequest(`${normalizeBaseUrl(params.settings.baseUrl)}/v1/chat/completions`, params, false),
+
+    parseStream: parseChatCompletionsStream,
+
+    // Some servers answer { error: "message" }, others { error: { message } }
+    extractError: (errorData, model) => errorData.error?.message
+        || (typeof errorData.error === 'string' ? errorData.error : null)
+        || `Error with ${model.name} on custom endpoint`,
+
+    async listModels(settings, apiKey) {
+        const headers = {};
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(`${normalizeBaseUrl(settings.baseUrl)}/v1/models`, { headers });
+        if (!response.ok) {
+            throw new Error(`Endpoint responded with ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return (data.data || []).map(model => model.id);
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { registerProvider, getProvider, getProviders, resolveProviderSettings, findModel, getMaxOutputTokens, normalizeBaseUrl, getSystemPrompt };
+}
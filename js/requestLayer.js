@@ -0,0 +1,277 @@
+/**
+ * Shared request layer for AI providers
+ *
+ * Wraps provider calls with:
+ * 1. Error classification (invalid key, quota, rate limit, context length, safety block, network, server)
+ * 2. Retries with jittered exponential backoff that honour Retry-After
+ * 3. Actionable, per-class messages for the UI
+ */
+
+const ERROR_TYPES = {
+    INVALID_KEY: 'invalid_key',
+    QUOTA_EXHAUSTED: 'quota_exhausted',
+    RATE_LIMITED: 'rate_limited',
+    CONTEXT_TOO_LONG: 'context_too_long',
+    SAFETY_BLOCK: 'safety_block',
+    NETWORK: 'network',
+    SERVER: 'server',
+    UNKNOWN: 'unknown'
+};
+
+// Error classes worth retrying against the same model
+const RETRYABLE_TYPES = [ERROR_TYPES.RATE_LIMITED, ERROR_TYPES.SERVER, ERROR_TYPES.NETWORK];
+
+const ERROR_TITLES = {
+    [ERROR_TYPES.INVALID_KEY]: 'Invalid API Key',
+    [ERROR_TYPES.QUOTA_EXHAUSTED]: 'Quota Exhausted',
+    [ERROR_TYPES.RATE_LIMITED]: 'Rate Limited',
+    [ERROR_TYPES.CONTEXT_TOO_LONG]: 'Document Too Long',
+    [ERROR_TYPES.SAFETY_BLOCK]: 'Blocked by Safety Filters',
+    [ERROR_TYPES.NETWORK]: 'Network Error',
+    [ERROR_TYPES.SERVER]: 'Provider Unavailable',
+    [ERROR_TYPES.UNKNOWN]: 'Generation Error'
+};
+
+const BACKOFF_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000; // Longer waits are reported instead of retried
+
+/**
+ * Error raised for any failed provider call, carrying its classification.
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message - Raw message from the provider (or fetch)
+     * @param {object} details - { type, status, retryAfter (ms), code }
+     */
+    constructor(message, { type = ERROR_TYPES.UNKNOWN, status = null, retryAfter = null, code = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.code = code;
+    }
+
+    get retryable() {
+        return RETRYABLE_TYPES.includes(this.type)
+            && (this.retryAfter === null || this.retryAfter <= MAX_RETRY_DELAY_MS);
+    }
+}
+
+/**
+ * Classifies a provider error from its HTTP status, error code and message.
+ * @param {object} error - { status, code, message, hasRetryInfo }
+ * @returns {string} One of ERROR_TYPES
+ */
+function classifyError({ status, code, message, hasRetryInfo = false }) {
+    const text = `${code || ''} ${message || ''}`.toLowerCase();
+
+    if (/context.length|context window|maximum context|too many tokens|prompt is too long|input token count|request too large|exceeds the maximum/.test(text) || status === 413) {
+        return ERROR_TYPES.CONTEXT_TOO_LONG;
+    }
+    if (/safety|blocked|content.filter|content policy|prohibited|recitation|refus/.test(text)) {
+        return ERROR_TYPES.SAFETY_BLOCK;
+    }
+    if (status === 401 || /api.key|invalid.key|authentication|unauthorized|permission.denied|invalid x-api-key/.test(text)) {
+        return ERROR_TYPES.INVALID_KEY;
+    }
+    if (/insufficient_quota|billing|credit balance|exceeded your current quota/.test(text) && !hasRetryInfo) {
+        return ERROR_TYPES.QUOTA_EXHAUSTED;
+    }
+    if (status === 429 || /rate.limit|resource_exhausted|too many requests/.test(text)) {
+        return ERROR_TYPES.RATE_LIMITED;
+    }
+    if (status === 403) {
+        return ERROR_TYPES.INVALID_KEY;
+    }
+    if ((status && status >= 500) || /overloaded|unavailable|internal error/.test(text)) {
+        return ERROR_TYPES.SERVER;
+    }
+    return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Parses a Retry-After value (seconds or HTTP date), a retry-after-ms header,
+ * or a Google RetryInfo delay such as "30s".
+ * @param {Headers} headers - Response headers
+ * @param {object} errorData - Parsed error body
+ * @returns {number|null} Delay in milliseconds, or null if the provider gave none
+ */
+function parseRetryAfter(headers, errorData) {
+    const retryAfterMs = headers?.get('retry-after-ms');
+    if (retryAfterMs && !isNaN(parseFloat(retryAfterMs))) {
+        return Math.max(0, parseFloat(retryAfterMs));
+    }
+
+    const retryAfter = headers?.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const retryInfo = (errorData?.error?.details || []).find(detail => detail.retryDelay);
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random,
+ * so parallel clients don't retry in lockstep.
+ * @param {number} retry - Zero-based retry number
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(retry) {
+    const exponential = BACKOFF_BASE_MS * 2 ** retry;
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Converts anything thrown during a provider call into a ProviderError.
+ * @param {*} error - Thrown value
+ * @returns {ProviderError} Classified error
+ */
+function toProviderError(error) {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+    // fetch() rejects with a TypeError when the network or CORS fails
+    if (error instanceof TypeError) {
+        return new ProviderError(error.message, { type: ERROR_TYPES.NETWORK });
+    }
+    const message = error?.message || String(error);
+    return new ProviderError(message, { type: classifyError({ message }) });
+}
+
+/**
+ * Sends a provider request and turns non-2xx responses into classified errors.
+ * @param {object} provider - Registered provider (for extractError)
+ * @param {object} model - Model descriptor
+ * @param {{url: string, options: object}} request - Output of provider.buildRequest()
+ * @param {AbortSignal} signal - Abort signal of the generation
+ * @returns {Promise<Response>} Successful response
+ * @throws {ProviderError}
+ */
+async function fetchProvider(provider, model, { url, options }, signal) {
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        throw toProviderError(error);
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const message = provider.extractError(errorData, model);
+        const code = errorData.error?.code || errorData.error?.type || errorData.error?.status || null;
+        const retryAfter = parseRetryAfter(response.headers, errorData);
+
+        throw new ProviderError(message, {
+            type: classifyError({ status: response.status, code, message, hasRetryInfo: retryAfter !== null }),
+            status: response.status,
+            retryAfter,
+            code
+        });
+    }
+
+    return response;
+}
+
+/**
+ * Runs an attempt, retrying retryable errors with backoff (or the provider's Retry-After).
+ * @param {function(): Promise<*>} attempt - Performs one full request (fetch + stream)
+ * @param {object} options - { maxRetries, signal, onRetry({ error, retry, delay }) }
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {ProviderError} The last error once retries are exhausted or it is not retryable
+ */
+async function withRetries(attempt, { maxRetries = 0, signal, onRetry } = {}) {
+    for (let retry = 0; ; retry++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            if (signal?.aborted) throw error;
+
+            const providerError = toProviderError(error);
+            if (!providerError.retryable || retry >= maxRetries) {
+                throw providerError;
+            }
+
+            const delay = providerError.retryAfter ?? backoffDelay(retry);
+            onRetry?.({ error: providerError, retry: retry + 1, delay });
+            await sleep(delay, signal);
+        }
+    }
+}
+
+/**
+ * Returns an actionable message for an error class.
+ * @param {ProviderError} error - Classified error
+ * @param {string} providerName - Provider display name
+ * @returns {string} Message telling the user what to do
+ */
+function getErrorAdvice(error, providerName) {
+    switch (error.type) {
+        case ERROR_TYPES.INVALID_KEY:
+            return `Your ${providerName} API key was rejected. Check that you copied the whole key, that it is still active, and save it again.`;
+        case ERROR_TYPES.QUOTA_EXHAUSTED:
+            return `Your ${providerName} account has run out of quota or credits. Check your plan and billing, or switch to another provider.`;
+        case ERROR_TYPES.RATE_LIMITED:
+            return error.retryAfter !== null && error.retryAfter > MAX_RETRY_DELAY_MS
+                ? `${providerName} is rate limiting requests and asked to wait ${Math.ceil(error.retryAfter / 1000)}s. Try again later.`
+                : `${providerName} is rate limiting requests. Wait a minute and try again, or lower Max Output Tokens under Advanced.`;
+        case ERROR_TYPES.CONTEXT_TOO_LONG:
+            return 'Your document is too long for this model - enable chunking (Advanced → Large Documents), shorten the document or choose a model with a larger context window.';
+        case ERROR_TYPES.SAFETY_BLOCK:
+            return `${providerName} blocked the request with its safety filters. Review the document for content that may trigger them, or try another provider.`;
+        case ERROR_TYPES.NETWORK:
+            return `Could not reach ${providerName}. Check your internet connection or proxy - for a custom endpoint, check that the server is running and allows CORS requests from this page.`;
+        case ERROR_TYPES.SERVER:
+            return `${providerName} is temporarily unavailable. Try again in a few minutes or pick another model.`;
+        default:
+            return error.message;
+    }
+}
+
+/**
+ * Title and message for showing a provider error in the UI.
+ * @param {Error} error - Thrown error
+ * @param {string} providerName - Provider display name
+ * @returns {{title: string, message: string}} Display text
+ */
+function describeProviderError(error, providerName) {
+    const providerError = toProviderError(error);
+    const advice = getErrorAdvice(providerError, providerName);
+    const message = advice === providerError.message
+        ? advice
+        : `${advice}\n\nDetails: ${providerError.message}`;
+
+    return { title: ERROR_TITLES[providerError.type], message };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ERROR_TYPES,
+        ProviderError,
+        classifyError,
+        parseRetryAfter,
+        backoffDelay,
+        toProviderError,
+        fetchProvider,
+        withRetries,
+        getErrorAdvice,
+        describeProviderError
+    };
+}
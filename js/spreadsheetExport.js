@@ -0,0 +1,465 @@
+/**
+ * Spreadsheet export
+ *
+ * Pulls the tables of a generated plan (the ones its template asks for, such
+ * as Resource Allocation, Task Allocation, Schedule and Risk Assessment) out
+ * of the Markdown and writes them as CSV files and as an Excel workbook with
+ * one sheet per table plus a summary sheet with the plan metadata.
+ *
+ * Columns are typed so that they can be sorted and summed without cleanup:
+ * columns of dates become real dates and duration or effort columns become
+ * numbers in a single unit, named in the header ("Estimated Duration (days)").
+ *
+ * The workbook is written as SpreadsheetML with JSZip (global `JSZip`).
+ */
+
+// Cells that stand for "no value" and do not stop a column from being typed
+const EMPTY_CELL_PATTERN = /^(|-+|—|–|n\/?a|tbd|tba|none)$/i;
+
+// Duration units and their length in working days
+const DURATION_UNITS = {
+    hours: 1 / 8,
+    days: 1,
+    weeks: 5,
+    months: 20
+};
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|d|days?|w|wks?|weeks?|mo|months?)?$/i;
+
+// Headers of columns whose values are durations
+const DURATION_HEADER_PATTERN = /duration|effort|estimate/i;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Excel counts days from 1899-12-30 (including its fictitious 29 February 1900)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Cell formats in styles.xml (cellXfs order)
+const CELL_STYLE = { header: 1, date: 2, wrapped: 3 };
+
+/**
+ * Plain text of a Markdown table cell: line breaks for <br>, no emphasis, links or HTML tags.
+ * @param {string} cell - Cell Markdown
+ * @returns {string} Cell text
+ */
+function cleanCellText(cell) {
+    return cell
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\\([|*_`\\])/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Date in a cell, e.g. "2024-05-01", "2024/05/01", "1 May 2024" or "May 1st, 2024".
+ * Numeric day/month orders other than year first are ambiguous and stay text.
+ * @param {string} text - Cell text
+ * @returns {Date|null} Date at midnight UTC, or null if the cell is not a date
+ */
+function parseDateCell(text) {
+    let year, month, day;
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) {
+        [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4})$/i))) {
+        [year, month, day] = [Number(match[3]), MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[1])];
+    } else if ((match = text.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i))) {
+        [year, month, day] = [Number(match[3]), MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2])];
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid = month >= 1 && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    return valid ? date : null;
+}
+
+/**
+ * Unit named by a duration cell or header.
+ * @param {string} text - Unit abbreviation or word ("h", "days", "Estimate (hours)")
+ * @returns {string|null} Key of DURATION_UNITS
+ */
+function durationUnit(text) {
+    const unit = (text || '').toLowerCase();
+    if (/\b(h|hrs?|hours?)\b/.test(unit)) return 'hours';
+    if (/\b(d|days?)\b/.test(unit)) return 'days';
+    if (/\b(w|wks?|weeks?)\b/.test(unit)) return 'weeks';
+    if (/\b(mo|months?)\b/.test(unit)) return 'months';
+    return null;
+}
+
+/**
+ * Duration in a cell, e.g. "3 days", "16h" or "2" (unit left to the caller).
+ * @param {string} text - Cell text
+ * @returns {{amount: number, unit: string|null}|null} Amount and key of DURATION_UNITS, or null if the cell is not a duration
+ */
+function parseDuration(text) {
+    const match = text.match(DURATION_PATTERN);
+    return match ? { amount: Number(match[1]), unit: durationUnit(match[2]) } : null;
+}
+
+/**
+ * Types the values of a duration column, converting them to one unit.
+ * @param {string} header - Column header
+ * @param {string[]} cells - Column cells
+ * @returns {{header: string, values: Array}|null} Header with the unit and numbers, or null if a cell is not a duration
+ */
+function typeDurationColumn(header, cells) {
+    const parsed = cells.map(cell => (EMPTY_CELL_PATTERN.test(cell) ? { empty: true } : parseDuration(cell)));
+    if (parsed.includes(null) || parsed.every(value => value.empty)) return null;
+
+    // The header's unit wins; otherwise the one unit all cells use, and days if they mix units
+    const headerUnit = durationUnit((header.match(/\(([^)]*)\)/) || [])[1]);
+    const units = [...new Set(parsed.filter(value => value.unit).map(value => value.unit))];
+    const target = headerUnit || (units.length === 1 ? units[0] : 'days');
+
+    return {
+        header: headerUnit ? header : `${header} (${target})`,
+        values: parsed.map((value, i) => {
+            if (value.empty) return cells[i];
+            const days = value.amount * DURATION_UNITS[value.unit || target];
+            return Math.round((days / DURATION_UNITS[target]) * 100) / 100;
+        })
+    };
+}
+
+/**
+ * Types the columns of a table: dates become Date objects, durations and plain numbers become numbers.
+ * @param {string[]} header - Header cells (plain text)
+ * @param {string[][]} rows - Body cells (plain text)
+ * @returns {{header: string[], rows: Array<Array<string|number|Date>>, types: string[]}} Typed table; types are 'date', 'duration', 'number' or 'text'
+ */
+function typeTableColumns(header, rows) {
+    const columns = header.map((name, col) => {
+        const cells = rows.map(row => row[col] || '');
+        const filled = cells.filter(cell => !EMPTY_CELL_PATTERN.test(cell));
+        if (filled.length === 0) return { type: 'text', header: name, values: cells };
+
+        if (filled.every(cell => parseDateCell(cell))) {
+            return { type: 'date', header: name, values: cells.map(cell => parseDateCell(cell) || cell) };
+        }
+        if (DURATION_HEADER_PATTERN.test(name)) {
+            const duration = typeDurationColumn(name, cells);
+            if (duration) return { type: 'duration', ...duration };
+        }
+        if (filled.every(cell => /^-?\d+(\.\d+)?$/.test(cell))) {
+            return { type: 'number', header: name, values: cells.map(cell => (EMPTY_CELL_PATTERN.test(cell) ? cell : Number(cell))) };
+        }
+        return { type: 'text', header: name, values: cells };
+    });
+
+    return {
+        header: columns.map(column => column.header),
+        rows: rows.map((_, row) => columns.map(column => column.values[row])),
+        types: columns.map(column => column.type)
+    };
+}
+
+/**
+ * Table name from the heading above it: "## 7. **Task Allocation**" becomes "Task Allocation".
+ * @param {string} heading - Heading line
+ * @returns {string} Name
+ */
+function tableNameFromHeading(heading) {
+    return heading
+        .replace(/^#+\s*/, '')
+        .replace(/[*_`]/g, '')
+        .replace(/^\d+(\.\d+)*\.?\s+/, '')
+        .replace(/:$/, '')
+        .trim();
+}
+
+/**
+ * Tables of a generated plan for the spreadsheet export. With a template these are its table
+ * sections, in template order; otherwise (test cases, structured plans) every table in the document.
+ * @param {string} markdown - Generated Markdown
+ * @param {object|null} template - Template the plan was generated with
+ * @returns {Array<{name: string, header: string[], rows: Array<Array<string|number|Date>>, types: string[]}>} Typed tables
+ */
+function extractSpreadsheetTables(markdown, template) {
+    const tables = parseMarkdownTables(markdown);
+    const found = template
+        ? template.sections
+            .filter(section => section.format === 'table')
+            .map(section => ({ name: section.title, table: findTemplateTable(tables, section) }))
+            .filter(entry => entry.table)
+        : tables.map((table, i) => ({ name: tableNameFromHeading(table.heading) || `Table ${i + 1}`, table }));
+
+    return found.map(({ name, table }) => {
+        const header = table.header.map(cleanCellText);
+        const rows = table.rows.map(row => header.map((_, col) => cleanCellText(row[col] || '')));
+        return { name, ...typeTableColumns(header, rows) };
+    });
+}
+
+/**
+ * Date as YYYY-MM-DD.
+ * @param {Date} date - Date at midnight UTC
+ * @returns {string} ISO date
+ */
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * CSV file of a table (RFC 4180, with a byte order mark so Excel reads it as UTF-8).
+ * @param {object} table - Typed table from extractSpreadsheetTables()
+ * @returns {string} File content
+ */
+function buildTableCsv(table) {
+    const field = value => {
+        const text = value instanceof Date ? formatIsoDate(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [table.header, ...table.rows].map(row => row.map(field).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Zip with one CSV file per table, numbered in document order.
+ * @param {Array<object>} tables - Typed tables from extractSpreadsheetTables()
+ * @returns {Promise<Blob>} Zip archive
+ * @throws {Error} If JSZip is not loaded
+ */
+async function buildTablesCsvZip(tables) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('JSZip library not loaded');
+    }
+
+    const zip = new JSZip();
+    tables.forEach((table, i) => {
+        zip.file(`${String(i + 1).padStart(2, '0')}_${slugifyFileName(table.name)}.csv`, buildTableCsv(table));
+    });
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * Rows of the summary sheet: what the plan is and how it was generated.
+ * @param {string} title - Document title ("Test Plan", "Test Cases", ...)
+ * @param {object|null} metadata - planMetadata of the generation
+ * @param {Array<object>} tables - Exported tables
+ * @returns {Array<Array<string|number|Date>>} Label/value rows
+ */
+function buildSummaryRows(title, metadata, tables) {
+    const rows = [['Document', title]];
+    if (metadata) {
+        const date = value => (value ? parseDateCell(value) || value : '');
+        rows.push(
+            ['Project', metadata.document?.projectName || ''],
+            ['Release / Version', metadata.document?.release || ''],
+            ['Document ID', metadata.document?.documentId || ''],
+            ['Author', metadata.document?.author || ''],
+            ['Generated', metadata.generatedAt ? parseDateCell(metadata.generatedAt.slice(0, 10)) : ''],
+            ['AI Provider', metadata.providerName],
+            ['AI Model', metadata.model],
+            ['Template', metadata.template || ''],
+            ['Test Start Date', date(metadata.timeline?.startDate)],
+            ['Test End Date', date(metadata.timeline?.endDate)],
+            ['Testers', (metadata.testers || []).map(tester => `${tester.name} (${tester.experience}y)`).join('\n')],
+            ['Source Documents', (metadata.sourceDocuments || []).map(doc => doc.name).join('\n')],
+            ['Requirements', metadata.requirementCount ?? 0]
+        );
+        if (metadata.partial || metadata.truncated) rows.push(['Note', 'The plan is incomplete (stopped or truncated)']);
+    }
+    rows.push(['Tables', tables.map(table => table.name).join('\n')]);
+    return rows;
+}
+
+/**
+ * Escapes text for XML, dropping characters XML does not allow.
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters of a zero-based column index (0 → A, 26 → AA).
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Sheet name Excel accepts: at most 31 characters, none of : \ / ? * [ ], unique in the workbook.
+ * @param {string} name - Table name
+ * @param {Set<string>} used - Lower-case names already in the workbook (updated)
+ * @returns {string} Sheet name
+ */
+function uniqueSheetName(name, used) {
+    const base = name.replace(/[:\\/?*[\]]/g, '-').replace(/^'+|'+$/g, '').trim().slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+    let sheetName = base;
+    for (let n = 2; used.has(sheetName.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+/**
+ * SpreadsheetML cell.
+ * @param {string|number|Date} value - Cell value
+ * @param {string} ref - Cell reference, e.g. "B2"
+ * @param {boolean} header - Whether the cell is in the header row
+ * @returns {string} <c> element, or '' for an empty cell
+ */
+function sheetCell(value, ref, header) {
+    if (value === '' || value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        return `<c r="${ref}" s="${CELL_STYLE.date}"><v>${(value.getTime() - EXCEL_EPOCH) / MS_PER_DAY}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    const style = header ? CELL_STYLE.header : value.includes('\n') ? CELL_STYLE.wrapped : 0;
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML with a frozen, bold header row and columns sized to their content.
+ * @param {Array<string>|null} header - Header row, or null for a sheet without one
+ * @param {Array<Array<string|number|Date>>} rows - Body rows
+ * @returns {string} Worksheet part
+ */
+function buildWorksheetXml(header, rows) {
+    const allRows = header ? [header, ...rows] : rows;
+    const columnCount = Math.max(1, ...allRows.map(row => row.length));
+
+    const widths = Array.from({ length: columnCount }, (_, col) => {
+        const longest = Math.max(...allRows.map(row => {
+            const value = row[col];
+            if (value instanceof Date) return 10;
+            return Math.max(0, ...String(value ?? '').split('\n').map(line => line.length));
+        }));
+        return Math.min(MAX_COLUMN_WIDTH, Math.max(8, longest + 2));
+    });
+
+    const sheetRows = allRows.map((row, r) => {
+        const cells = row.map((value, col) => sheetCell(value, `${columnLetters(col)}${r + 1}`, header && r === 0)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const pane = header
+        ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        : '';
+
+    return `${XML_DECLARATION}<worksheet xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`
+        + `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>`
+        + `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>';
+}
+
+/**
+ * Styles part: default, bold shaded header, date (yyyy-mm-dd) and wrapped text cell formats.
+ * @returns {string} styles.xml
+ */
+function buildStylesXml() {
+    return `${XML_DECLARATION}<styleSheet xmlns="${SPREADSHEET_NS}">`
+        + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+        + '<fill><patternFill patternType="solid"><fgColor rgb="FFE7E6F7"/><bgColor indexed="64"/></patternFill></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="4">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>'
+        + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>'
+        + '</cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+}
+
+/**
+ * Excel workbook with a summary sheet followed by one sheet per table.
+ * @param {Array<object>} tables - Typed tables from extractSpreadsheetTables()
+ * @param {Array<Array<string|number|Date>>} summaryRows - Rows of the summary sheet (buildSummaryRows())
+ * @returns {Promise<Blob>} .xlsx file
+ * @throws {Error} If JSZip is not loaded
+ */
+async function buildPlanWorkbook(tables, summaryRows) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('JSZip library not loaded');
+    }
+
+    const used = new Set();
+    const sheets = [
+        { name: uniqueSheetName('Summary', used), xml: buildWorksheetXml(null, summaryRows) },
+        ...tables.map(table => ({ name: uniqueSheetName(table.name, used), xml: buildWorksheetXml(table.header, table.rows) }))
+    ];
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>');
+    zip.file('_rels/.rels', `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/workbook.xml', `${XML_DECLARATION}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>`
+        + sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>');
+    zip.file('xl/_rels/workbook.xml.rels', `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`
+        + '</Relationships>');
+    zip.file('xl/styles.xml', buildStylesXml());
+    sheets.forEach((sheet, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, sheet.xml));
+
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        compression: 'DEFLATE'
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cleanCellText,
+        parseDateCell,
+        durationUnit,
+        parseDuration,
+        typeTableColumns,
+        extractSpreadsheetTables,
+        buildTableCsv,
+        buildTablesCsvZip,
+        buildSummaryRows,
+        buildPlanWorkbook
+    };
+}
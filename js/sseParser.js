@@ -0,0 +1,140 @@
+/**
+ * Incremental Server-Sent Events parser
+ *
+ * Network reads can split a stream at any byte: in the middle of a UTF-8
+ * character, a `data:` line, or the blank line that ends an event. The
+ * parser keeps the unfinished remainder between reads and only dispatches
+ * complete events, following the EventSource parsing rules
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation).
+ *
+ * @example
+ * const parser = createSSEParser(({ event, data }) => console.log(event, data));
+ * parser.push('data: {"a"');
+ * parser.push(':1}\n\n'); // -> logs: message {"a":1}
+ * parser.end();
+ */
+
+/**
+ * Creates a parser that turns text chunks into SSE events.
+ * @param {function({event: string, data: string, id: string}): void} onEvent - Called once per complete event
+ * @returns {{push: function(string): void, end: function(): void}} Parser
+ */
+function createSSEParser(onEvent) {
+    let buffer = '';
+    let eventType = '';
+    let dataLines = [];
+    let lastEventId = '';
+    let pendingCarriageReturn = false;
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+        }
+        eventType = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) {
+            return; // Comment / keep-alive
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.substring(0, colon);
+        let value = colon === -1 ? '' : line.substring(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.substring(1);
+        }
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            eventType = value;
+        } else if (field === 'id') {
+            lastEventId = value;
+        }
+    };
+
+    return {
+        push(chunk) {
+            // An empty read says nothing about a pending "\r" - keep waiting for the next character
+            if (!chunk) return;
+            buffer += chunk;
+
+            // A "\r\n" split across two reads: the "\r" already ended the line
+            if (pendingCarriageReturn && buffer.startsWith('\n')) {
+                buffer = buffer.substring(1);
+            }
+            pendingCarriageReturn = false;
+
+            let match;
+            const lineEnd = /\r\n|\r|\n/g;
+            let consumed = 0;
+            while ((match = lineEnd.exec(buffer)) !== null) {
+                // A trailing "\r" may be the first half of "\r\n" - decide on the next read
+                if (match[0] === '\r' && match.index === buffer.length - 1) {
+                    pendingCarriageReturn = true;
+                }
+                processLine(buffer.substring(consumed, match.index));
+                consumed = match.index + match[0].length;
+            }
+            buffer = buffer.substring(consumed);
+        },
+
+        end() {
+            // Servers do not always terminate the last event with a blank line
+            if (buffer.length > 0) {
+                processLine(buffer);
+                buffer = '';
+            }
+            dispatch();
+        }
+    };
+}
+
+/**
+ * Reads a streaming fetch response as Server-Sent Events.
+ * @param {Response} response - Streaming fetch response
+ * @param {function({event: string, data: string, id: string}): (boolean|void)} onEvent -
+ *        Called per event; return true to stop reading (e.g. on an OpenAI "[DONE]" marker)
+ */
+async function readSSEStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    let stopped = false;
+
+    const parser = createSSEParser((event) => {
+        if (!stopped && onEvent(event) === true) {
+            stopped = true;
+        }
+    });
+
+    try {
+        while (!stopped) {
+            const { done, value } = await reader.read();
+            if (done) {
+                // Flush any bytes the decoder held back for an incomplete character
+                parser.push(decoder.decode());
+                parser.end();
+                return;
+            }
+
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+    } catch (error) {
+        // Release the connection when an event handler reports a stream error
+        reader.cancel().catch(() => { });
+        throw error;
+    }
+
+    reader.cancel().catch(() => { });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSSEParser, readSSEStream };
+}
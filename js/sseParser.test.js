@@ -0,0 +1,88 @@
+/**
+ * Tests for the SSE parser: a stream split at every byte offset parses to the same events.
+ * Run with: node --test js/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSSEParser, readSSEStream } = require('./sseParser');
+
+// Every line ending, a comment, event types and ids, and multi-byte UTF-8 characters
+const STREAM = [
+    ': keep-alive',
+    'event: delta',
+    'id: 7',
+    'data: {"text":"héllo wörld ✓ 😀"}',
+    '',
+    'data: line one\r\ndata: line two\r\n\r\n',
+    'event: error\rdata: {"message":"über"}\r\r',
+    'data:no space',
+    'data',
+    '',
+    'data: last event without a blank line'
+].join('\n');
+
+const EXPECTED = [
+    { event: 'delta', data: '{"text":"héllo wörld ✓ 😀"}', id: '7' },
+    { event: 'message', data: 'line one\nline two', id: '7' },
+    { event: 'error', data: '{"message":"über"}', id: '7' },
+    { event: 'message', data: 'no space\n', id: '7' },
+    { event: 'message', data: 'last event without a blank line', id: '7' }
+];
+
+// Streaming fetch response delivering the given byte chunks
+const responseOf = chunks => {
+    let i = 0;
+    return {
+        body: {
+            getReader: () => ({
+                read: async () => (i < chunks.length ? { done: false, value: chunks[i++] } : { done: true }),
+                cancel: async () => { }
+            })
+        }
+    };
+};
+
+const readEvents = async (chunks) => {
+    const events = [];
+    await readSSEStream(responseOf(chunks), event => { events.push(event); });
+    return events;
+};
+
+test('parses the stream in one read', async () => {
+    assert.deepEqual(await readEvents([Buffer.from(STREAM)]), EXPECTED);
+});
+
+test('parses the stream split at every byte offset', async () => {
+    const bytes = Buffer.from(STREAM);
+    for (let i = 0; i <= bytes.length; i++) {
+        const events = await readEvents([bytes.subarray(0, i), bytes.subarray(i)]);
+        assert.deepEqual(events, EXPECTED, `split at byte ${i}`);
+    }
+});
+
+test('parses the stream split at every pair of byte offsets', async () => {
+    const bytes = Buffer.from(STREAM);
+    for (let i = 0; i <= bytes.length; i++) {
+        for (let j = i; j <= bytes.length; j++) {
+            const events = await readEvents([bytes.subarray(0, i), bytes.subarray(i, j), bytes.subarray(j)]);
+            assert.deepEqual(events, EXPECTED, `split at bytes ${i} and ${j}`);
+        }
+    }
+});
+
+test('parses the stream read one byte at a time', async () => {
+    const bytes = Buffer.from(STREAM);
+    const chunks = Array.from(bytes, (_, i) => bytes.subarray(i, i + 1));
+    assert.deepEqual(await readEvents(chunks), EXPECTED);
+});
+
+test('an empty chunk between "\\r" and "\\n" does not end the event', () => {
+    const events = [];
+    const parser = createSSEParser(event => events.push(event));
+    parser.push('event: error\r');
+    parser.push('');
+    parser.push('\ndata: {"message":"quota"}\n\n');
+    parser.end();
+    assert.deepEqual(events, [{ event: 'error', data: '{"message":"quota"}', id: '' }]);
+});
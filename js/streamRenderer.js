@@ -133,6 +133,19 @@ class StreamRenderer {
         this.textBuffer += chunk;
     }
 
+    /**
+     * Replace the buffered text, e.g. to drop a partial last line before
+     * a truncated stream is continued
+     */
+    setText(text) {
+        if (this.isFinished) {
+            console.warn('StreamRenderer: Cannot set text after finish() has been called');
+            return;
+        }
+
+        this.textBuffer = text;
+    }
+
     /**
      * Signal that the stream has finished
      * Performs final sanitization and cleanup
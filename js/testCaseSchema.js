@@ -0,0 +1,134 @@
+/**
+ * Structured Test Case Model
+ *
+ * In test case mode the AI writes detailed test cases, grouped by module or
+ * requirement, instead of the test plan. In structured-output mode they are
+ * returned as a JSON document matching TEST_CASE_SCHEMA, validated with the
+ * plan's schema validator (testPlanSchema.js) and rendered to Markdown
+ * tables by renderTestCasesMarkdown().
+ */
+
+const TEST_CASE_TYPES = ['Functional', 'Negative', 'Boundary', 'Security'];
+
+const TEST_CASE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Test Cases',
+    type: 'object',
+    required: ['modules'],
+    properties: {
+        title: { type: 'string' },
+        modules: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'testCases'],
+                properties: {
+                    name: { type: 'string', description: 'Module, feature or requirement the test cases belong to' },
+                    testCases: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['id', 'title', 'steps', 'expectedResult', 'priority', 'type'],
+                            properties: {
+                                id: { type: 'string', description: 'Unique across the document, e.g. TC-001' },
+                                title: { type: 'string' },
+                                requirementIds: { type: 'array', items: { type: 'string' } },
+                                preconditions: { type: 'array', items: { type: 'string' } },
+                                steps: { type: 'array', minItems: 1, items: { type: 'string' } },
+                                testData: { type: 'string' },
+                                expectedResult: { type: 'string' },
+                                priority: { type: 'string', enum: PRIORITY_LEVELS },
+                                type: { type: 'string', enum: TEST_CASE_TYPES }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Returns the prompt instructions for structured test cases, embedding the schema.
+ * @returns {string} Instructions appended to the generation prompt
+ */
+function getStructuredTestCaseInstructions() {
+    return `Please generate detailed Test Cases as a single JSON document that conforms to this JSON Schema:
+
+${JSON.stringify(TEST_CASE_SCHEMA, null, 2)}
+
+IMPORTANT OUTPUT REQUIREMENTS:
+- Respond with the JSON document ONLY - no Markdown, no code fences, no commentary before or after it
+- Include every required property; use empty arrays rather than omitting optional lists
+- Priority values MUST be exactly one of: ${PRIORITY_LEVELS.join(', ')}
+- Type values MUST be exactly one of: ${TEST_CASE_TYPES.join(', ')}
+- "steps" are the individual actions in order, without numbering
+- Test case IDs MUST be unique across all modules
+- Keep string values CONCISE - maximum 2-3 sentences each`;
+}
+
+/**
+ * Validates parsed test cases against TEST_CASE_SCHEMA.
+ * @param {object} testCases - Parsed test case document
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateTestCases(testCases) {
+    const errors = [];
+    validateAgainstSchema(testCases, TEST_CASE_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Renders structured test cases as Markdown: one table per module and a summary by type.
+ * @param {object} testCases - Test case document (validated or partially valid)
+ * @returns {string} Markdown document
+ */
+function renderTestCasesMarkdown(testCases) {
+    testCases = objectValue(testCases);
+    const modules = objectEntries(testCases.modules);
+    const sections = [`# ${textValue(testCases.title) || 'Test Cases'}`];
+
+    modules.forEach(group => {
+        sections.push(`## ${textValue(group.name) || 'Unnamed Module'}\n\n${markdownTable(
+            ['Test Case ID', 'Title', 'Requirement', 'Preconditions', 'Steps', 'Test Data', 'Expected Result', 'Priority', 'Type'],
+            objectEntries(group.testCases).map(tc => [
+                tc.id,
+                tc.title,
+                textEntries([].concat(tc.requirementIds ?? [])).join(', '),
+                tc.preconditions,
+                textEntries([].concat(tc.steps ?? [])).map((step, i) => `${i + 1}. ${step}`),
+                tc.testData,
+                tc.expectedResult,
+                tc.priority,
+                tc.type
+            ])
+        )}`);
+    });
+
+    const all = modules.flatMap(group => objectEntries(group.testCases));
+    sections.push(`## Summary\n\n${markdownTable(
+        ['Type', 'Test Cases', ...PRIORITY_LEVELS.map(priority => `${priority} Priority`)],
+        [
+            ...TEST_CASE_TYPES.map(type => {
+                const ofType = all.filter(tc => tc.type === type);
+                return [type, ofType.length, ...PRIORITY_LEVELS.map(priority => ofType.filter(tc => tc.priority === priority).length)];
+            }),
+            ['**Total**', all.length, ...PRIORITY_LEVELS.map(priority => all.filter(tc => tc.priority === priority).length)]
+        ]
+    )}`);
+
+    return sections.join('\n\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEST_CASE_TYPES,
+        TEST_CASE_SCHEMA,
+        getStructuredTestCaseInstructions,
+        validateTestCases,
+        renderTestCasesMarkdown
+    };
+}
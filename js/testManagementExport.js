@@ -0,0 +1,375 @@
+/**
+ * Test management exports
+ *
+ * Converts generated test cases into the import formats of TestRail (XML
+ * with separated steps, or CSV) and Xray (Test Case Importer CSV, or the
+ * JSON of Xray Cloud's bulk test import). Which test case field fills which
+ * field of the tool is configurable; before download every case is checked
+ * for the fields the tool requires.
+ */
+
+// Fields of a generated test case that can be mapped, with their labels
+const TEST_CASE_SOURCE_FIELDS = {
+    id: 'Test Case ID',
+    title: 'Title',
+    idTitle: 'Test Case ID + Title',
+    section: 'Module / Group',
+    requirementIds: 'Requirement IDs',
+    preconditions: 'Preconditions',
+    steps: 'Steps',
+    testData: 'Test Data',
+    expectedResult: 'Expected Result',
+    priority: 'Priority',
+    type: 'Type'
+};
+
+// Import formats per tool; each field lists the test case field it takes by default
+const TEST_MANAGEMENT_TARGETS = {
+    testrail: {
+        name: 'TestRail',
+        formats: { xml: 'XML (separated steps)', csv: 'CSV' },
+        fields: [
+            { key: 'section', label: 'Section', required: true, source: 'section' },
+            { key: 'title', label: 'Title', required: true, source: 'title' },
+            { key: 'type', label: 'Type', source: 'type' },
+            { key: 'priority', label: 'Priority', source: 'priority' },
+            { key: 'references', label: 'References', source: 'requirementIds' },
+            { key: 'preconditions', label: 'Preconditions', source: 'preconditions' },
+            { key: 'testData', label: 'Test Data (added to Preconditions)', source: 'testData' },
+            { key: 'steps', label: 'Steps', required: true, source: 'steps' },
+            { key: 'expected', label: 'Expected Result', required: true, source: 'expectedResult' }
+        ]
+    },
+    xray: {
+        name: 'Xray',
+        formats: { csv: 'CSV (Test Case Importer)', json: 'JSON (Xray Cloud bulk import)' },
+        fields: [
+            { key: 'summary', label: 'Summary', required: true, source: 'idTitle' },
+            { key: 'description', label: 'Description', source: 'preconditions' },
+            { key: 'priority', label: 'Priority', source: 'priority' },
+            { key: 'labels', label: 'Labels', source: 'type' },
+            { key: 'folder', label: 'Test Repository Folder', source: 'section' },
+            { key: 'requirements', label: 'Tests (requirement issue keys)', source: '' },
+            { key: 'action', label: 'Step Action', required: true, source: 'steps' },
+            { key: 'data', label: 'Step Data (first step)', source: 'testData' },
+            { key: 'result', label: 'Step Expected Result (last step)', required: true, source: 'expectedResult' }
+        ]
+    }
+};
+
+// Header patterns of the Test Case ID column (for findColumn)
+const TEST_CASE_ID_COLUMN = [[/test\s*case/i, /id/i], [/^(?:tc\s*)?id$/i]];
+
+// Target fields that take a list rather than text
+const LIST_TARGET_FIELDS = ['steps', 'action', 'requirements'];
+
+/**
+ * Test cases of the output, from the structured document if there is one, otherwise
+ * from every Markdown table with a Test Case column.
+ * @param {string} markdown - Test cases Markdown
+ * @param {object|null} structured - Structured test case document (TEST_CASE_SCHEMA)
+ * @returns {Array<object>} Test cases: { id, title, section, requirementIds, preconditions, steps, testData, expectedResult, priority, type }
+ */
+function extractTestCases(markdown, structured = null) {
+    if (Array.isArray(structured?.modules)) {
+        return structured.modules.flatMap(group => (group.testCases || []).map(tc => ({
+            id: tc.id || '',
+            title: tc.title || '',
+            section: group.name || '',
+            requirementIds: [].concat(tc.requirementIds || []),
+            preconditions: [].concat(tc.preconditions || []).join('\n'),
+            steps: [].concat(tc.steps || []),
+            testData: tc.testData || '',
+            expectedResult: tc.expectedResult || '',
+            priority: tc.priority || '',
+            type: tc.type || ''
+        })));
+    }
+
+    // The summary table counts test cases too, but has no ID column
+    return parseMarkdownTables(markdown)
+        .filter(table => findColumn(table.header.map(cleanCellText), TEST_CASE_ID_COLUMN, -1) >= 0)
+        .flatMap(table => {
+            const header = table.header.map(cleanCellText);
+            const columns = {
+                id: findColumn(header, TEST_CASE_ID_COLUMN, 0),
+                title: findColumn(header, [[/title/i], [/name/i], [/scenario/i]], -1),
+                requirementIds: findColumn(header, [[/req/i]], -1),
+                preconditions: findColumn(header, [[/pre-?condition/i]], -1),
+                steps: findColumn(header, [[/step/i]], -1),
+                testData: findColumn(header, [[/data/i]], -1),
+                expectedResult: findColumn(header, [[/expected/i], [/result/i]], -1),
+                priority: findColumn(header, [[/priority/i]], -1),
+                type: findColumn(header, [[/type/i]], -1)
+            };
+            const section = tableNameFromHeading(table.heading);
+            const value = (row, name) => (columns[name] >= 0 ? row[columns[name]] || '' : '');
+
+            return table.rows
+                .map(row => row.map(cleanCellText))
+                .filter(row => row[columns.id])
+                .map(row => ({
+                    id: row[columns.id],
+                    title: value(row, 'title'),
+                    section,
+                    requirementIds: value(row, 'requirementIds').split(/[,;\n]/).map(id => id.trim()).filter(id => !EMPTY_CELL_PATTERN.test(id)),
+                    preconditions: EMPTY_CELL_PATTERN.test(value(row, 'preconditions')) ? '' : value(row, 'preconditions'),
+                    // Steps are numbered and separated by <br>
+                    steps: value(row, 'steps').split('\n').map(step => step.replace(/^\d+[.)]\s*/, '').trim()).filter(step => !EMPTY_CELL_PATTERN.test(step)),
+                    testData: EMPTY_CELL_PATTERN.test(value(row, 'testData')) ? '' : value(row, 'testData'),
+                    expectedResult: value(row, 'expectedResult'),
+                    priority: value(row, 'priority'),
+                    type: value(row, 'type')
+                }));
+        });
+}
+
+/**
+ * Default field mapping of a tool.
+ * @param {string} targetId - Key of TEST_MANAGEMENT_TARGETS
+ * @returns {object} Source field per target field ('' for unmapped)
+ */
+function getDefaultFieldMapping(targetId) {
+    return Object.fromEntries(TEST_MANAGEMENT_TARGETS[targetId].fields.map(field => [field.key, field.source]));
+}
+
+/**
+ * Value of a source field of a test case.
+ * @param {object} testCase - Test case from extractTestCases()
+ * @param {string} source - Key of TEST_CASE_SOURCE_FIELDS, or '' for none
+ * @returns {string|Array<string>} Text, or a list for list fields
+ */
+function sourceValue(testCase, source) {
+    if (!source) return '';
+    if (source === 'idTitle') return [testCase.id, testCase.title].filter(Boolean).join(' ');
+    const value = testCase[source];
+    return Array.isArray(value) ? value.filter(Boolean) : String(value || '').trim();
+}
+
+/**
+ * Target fields of a test case under a mapping. Fields that take a list (steps) split text
+ * into lines; fields that take text join lists with line breaks.
+ * @param {object} testCase - Test case from extractTestCases()
+ * @param {string} targetId - Key of TEST_MANAGEMENT_TARGETS
+ * @param {object} mapping - Source field per target field
+ * @returns {object} Value per target field key
+ */
+function mapTestCase(testCase, targetId, mapping) {
+    return Object.fromEntries(TEST_MANAGEMENT_TARGETS[targetId].fields.map(field => {
+        const value = sourceValue(testCase, mapping[field.key]);
+        if (LIST_TARGET_FIELDS.includes(field.key)) {
+            return [field.key, Array.isArray(value) ? value : value.split('\n').filter(Boolean)];
+        }
+        return [field.key, Array.isArray(value) ? value.join(field.key === 'references' ? ', ' : '\n') : value];
+    }));
+}
+
+/**
+ * Test cases that lack a field the tool requires.
+ * @param {Array<object>} testCases - Test cases from extractTestCases()
+ * @param {string} targetId - Key of TEST_MANAGEMENT_TARGETS
+ * @param {object} mapping - Source field per target field
+ * @returns {Array<{index: number, id: string, missing: Array<string>}>} Test cases (position in testCases and ID)
+ *          with the labels of their missing fields
+ */
+function validateMappedTestCases(testCases, targetId, mapping) {
+    const required = TEST_MANAGEMENT_TARGETS[targetId].fields.filter(field => field.required);
+    return testCases
+        .map((testCase, i) => {
+            const mapped = mapTestCase(testCase, targetId, mapping);
+            const missing = required
+                .filter(field => (Array.isArray(mapped[field.key]) ? mapped[field.key].length === 0 : !mapped[field.key]))
+                .map(field => field.label);
+            return { index: i, id: testCase.id || `Row ${i + 1}`, missing };
+        })
+        .filter(result => result.missing.length > 0);
+}
+
+/**
+ * CSV line of values.
+ * @param {Array<string>} values - Field values
+ * @returns {string} CSV line
+ */
+function csvLine(values) {
+    return values.map(value => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Preconditions with the test data appended, as TestRail has no test data field.
+ * @param {object} mapped - Mapped TestRail fields
+ * @returns {string} Preconditions
+ */
+function testRailPreconditions(mapped) {
+    return [mapped.preconditions, mapped.testData && `Test data: ${mapped.testData}`].filter(Boolean).join('\n\n');
+}
+
+/**
+ * TestRail XML import file: a suite with a section per group and cases with separated steps.
+ * The expected result belongs to the last step.
+ * @param {Array<object>} testCases - Test cases from extractTestCases()
+ * @param {object} mapping - Source field per TestRail field
+ * @param {string} suiteName - Name of the suite
+ * @returns {string} File content
+ */
+function buildTestRailXml(testCases, mapping, suiteName) {
+    const mappedCases = testCases.map(testCase => mapTestCase(testCase, 'testrail', mapping));
+    const sections = [...new Set(mappedCases.map(mapped => mapped.section))];
+    const element = (name, value) => (value ? `<${name}>${escapeXml(value)}</${name}>` : '');
+
+    const caseXml = mapped => {
+        const steps = mapped.steps.map((step, i) => '<step>'
+            + `<index>${i + 1}</index>${element('content', step)}`
+            + element('expected', i === mapped.steps.length - 1 ? mapped.expected : '')
+            + '</step>').join('');
+        return '<case>'
+            + element('title', mapped.title)
+            + element('type', mapped.type)
+            + element('priority', mapped.priority)
+            + element('references', mapped.references)
+            + `<custom>${element('preconds', testRailPreconditions(mapped))}`
+            + (steps ? `<steps_separated>${steps}</steps_separated>` : '')
+            + '</custom></case>';
+    };
+
+    const sectionXml = sections.map(section => `<section>${element('name', section || 'Test Cases')}<cases>`
+        + mappedCases.filter(mapped => mapped.section === section).map(caseXml).join('')
+        + '</cases></section>').join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<suite>${element('name', suiteName)}<sections>${sectionXml}</sections></suite>\n`;
+}
+
+/**
+ * TestRail CSV import file: one row per case, steps numbered in one cell.
+ * @param {Array<object>} testCases - Test cases from extractTestCases()
+ * @param {object} mapping - Source field per TestRail field
+ * @returns {string} File content
+ */
+function buildTestRailCsv(testCases, mapping) {
+    const header = ['Section', 'Title', 'Type', 'Priority', 'References', 'Preconditions', 'Steps', 'Expected Result'];
+    const rows = testCases.map(testCase => {
+        const mapped = mapTestCase(testCase, 'testrail', mapping);
+        return [
+            mapped.section,
+            mapped.title,
+            mapped.type,
+            mapped.priority,
+            mapped.references,
+            testRailPreconditions(mapped),
+            mapped.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'),
+            mapped.expected
+        ];
+    });
+    return `${[header, ...rows].map(csvLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Steps of an Xray test: the test data goes with the first step, the expected result with the last.
+ * @param {object} mapped - Mapped Xray fields
+ * @returns {Array<{action: string, data: string, result: string}>} Steps
+ */
+function xraySteps(mapped) {
+    return mapped.action.map((action, i) => ({
+        action,
+        data: i === 0 ? mapped.data : '',
+        result: i === mapped.action.length - 1 ? mapped.result : ''
+    }));
+}
+
+/**
+ * Xray Test Case Importer CSV: a test spans one row per step, tied together by TCID;
+ * the test's own fields are on its first row.
+ * @param {Array<object>} testCases - Test cases from extractTestCases()
+ * @param {object} mapping - Source field per Xray field
+ * @returns {string} File content
+ */
+function buildXrayCsv(testCases, mapping) {
+    const header = ['TCID', 'Summary', 'Description', 'Priority', 'Labels', 'Test Type', 'Test Repository Folder', 'Tests', 'Action', 'Data', 'Result'];
+    const rows = testCases.flatMap((testCase, i) => {
+        const mapped = mapTestCase(testCase, 'xray', mapping);
+        const steps = xraySteps(mapped);
+        const testFields = [
+            mapped.summary,
+            mapped.description,
+            mapped.priority,
+            mapped.labels.replace(/\s+/g, '_'),
+            'Manual',
+            mapped.folder && `/${mapped.folder}`,
+            mapped.requirements.join(',')
+        ];
+        return (steps.length > 0 ? steps : [{ action: '', data: '', result: '' }]).map((step, s) => [
+            String(i + 1),
+            ...(s === 0 ? testFields : testFields.map(() => '')),
+            step.action,
+            step.data,
+            step.result
+        ]);
+    });
+    return `${[header, ...rows].map(csvLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Xray Cloud bulk test import JSON (POST /api/v2/import/test/bulk).
+ * @param {Array<object>} testCases - Test cases from extractTestCases()
+ * @param {object} mapping - Source field per Xray field
+ * @param {string} projectKey - Jira project key of the tests
+ * @returns {string} File content
+ */
+function buildXrayJson(testCases, mapping, projectKey) {
+    const tests = testCases.map(testCase => {
+        const mapped = mapTestCase(testCase, 'xray', mapping);
+        const fields = { project: { key: projectKey }, summary: mapped.summary };
+        if (mapped.description) fields.description = mapped.description;
+        if (mapped.priority) fields.priority = { name: mapped.priority };
+        if (mapped.labels) fields.labels = [mapped.labels.replace(/\s+/g, '_')];
+
+        const test = { testtype: 'Manual', fields, steps: xraySteps(mapped) };
+        if (mapped.folder) test.xray_test_repository_folder = `/${mapped.folder}`;
+        if (mapped.requirements.length > 0) {
+            test.update = {
+                issuelinks: mapped.requirements.map(key => ({ add: { type: { name: 'Test' }, outwardIssue: { key } } }))
+            };
+        }
+        return test;
+    });
+    return `${JSON.stringify(tests, null, 2)}\n`;
+}
+
+/**
+ * Import file for a tool and format.
+ * @param {string} targetId - Key of TEST_MANAGEMENT_TARGETS
+ * @param {string} format - Key of the tool's formats
+ * @param {Array<object>} testCases - Test cases to export
+ * @param {object} mapping - Source field per target field
+ * @param {object} options - { suiteName (TestRail), projectKey (Xray JSON) }
+ * @returns {{content: string, type: string, extension: string}} File content, MIME type and extension
+ */
+function buildTestManagementExport(targetId, format, testCases, mapping, { suiteName = 'Test Cases', projectKey = '' } = {}) {
+    if (targetId === 'testrail' && format === 'xml') {
+        return { content: buildTestRailXml(testCases, mapping, suiteName), type: 'application/xml', extension: 'xml' };
+    }
+    if (targetId === 'xray' && format === 'json') {
+        return { content: buildXrayJson(testCases, mapping, projectKey), type: 'application/json', extension: 'json' };
+    }
+    const content = targetId === 'testrail' ? buildTestRailCsv(testCases, mapping) : buildXrayCsv(testCases, mapping);
+    return { content, type: 'text/csv', extension: 'csv' };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEST_CASE_SOURCE_FIELDS,
+        TEST_MANAGEMENT_TARGETS,
+        extractTestCases,
+        getDefaultFieldMapping,
+        mapTestCase,
+        validateMappedTestCases,
+        buildTestRailXml,
+        buildTestRailCsv,
+        buildXrayCsv,
+        buildXrayJson,
+        buildTestManagementExport
+    };
+}
@@ -0,0 +1,416 @@
+/**
+ * Structured Test Plan Model
+ *
+ * In structured-output mode the AI returns a JSON document matching
+ * TEST_PLAN_SCHEMA instead of free Markdown. The document is validated
+ * client-side and rendered to Markdown by renderTestPlanMarkdown(), so
+ * exports and checks can work off a typed plan object rather than scraping
+ * the rendered HTML.
+ */
+
+const PRIORITY_LEVELS = ['High', 'Medium', 'Low'];
+
+const TEST_PLAN_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Test Plan',
+    type: 'object',
+    required: ['overview', 'scope', 'strategy', 'resources', 'tasks', 'schedule', 'risks', 'entryCriteria', 'exitCriteria', 'flowDiagram'],
+    properties: {
+        title: { type: 'string' },
+        overview: { type: 'string', description: 'Brief introduction and purpose' },
+        scope: {
+            type: 'object',
+            required: ['inScope', 'objectives'],
+            properties: {
+                inScope: { type: 'array', items: { type: 'string' } },
+                outOfScope: { type: 'array', items: { type: 'string' } },
+                objectives: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        strategy: {
+            type: 'object',
+            required: ['approach'],
+            properties: {
+                approach: { type: 'string' },
+                testLevels: { type: 'array', items: { type: 'string' } },
+                testTypes: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        environment: { type: 'array', items: { type: 'string' }, description: 'Infrastructure and setup needs' },
+        deliverables: { type: 'array', items: { type: 'string' } },
+        resources: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['tester', 'experienceYears', 'specialization', 'assignedModules', 'estimatedEffort', 'responsibilities'],
+                properties: {
+                    tester: { type: 'string' },
+                    experienceYears: { type: 'number' },
+                    specialization: { type: 'string' },
+                    assignedModules: { type: 'array', items: { type: 'string' } },
+                    estimatedEffort: { type: 'string' },
+                    responsibilities: { type: 'string' }
+                }
+            }
+        },
+        tasks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'description', 'assignedTester', 'priority', 'status', 'estimatedDuration'],
+                properties: {
+                    id: { type: 'string' },
+                    description: { type: 'string' },
+                    assignedTester: { type: 'string' },
+                    priority: { type: 'string', enum: PRIORITY_LEVELS },
+                    status: { type: 'string' },
+                    dependencies: { type: 'array', items: { type: 'string' } },
+                    estimatedDuration: { type: 'string' }
+                }
+            }
+        },
+        schedule: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['phase', 'startDate', 'endDate', 'duration', 'responsibleTester'],
+                properties: {
+                    phase: { type: 'string' },
+                    startDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                    endDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                    duration: { type: 'string' },
+                    responsibleTester: { type: 'string' },
+                    deliverables: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        },
+        flowDiagram: { type: 'string', description: 'Mermaid.js flowchart source (graph TD/LR), without code fences' },
+        risks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'description', 'probability', 'impact', 'mitigation', 'owner'],
+                properties: {
+                    id: { type: 'string' },
+                    description: { type: 'string' },
+                    probability: { type: 'string', enum: PRIORITY_LEVELS },
+                    impact: { type: 'string', enum: PRIORITY_LEVELS },
+                    mitigation: { type: 'string' },
+                    owner: { type: 'string' }
+                }
+            }
+        },
+        entryCriteria: { type: 'array', items: { type: 'string' } },
+        exitCriteria: { type: 'array', items: { type: 'string' } },
+        traceability: {
+            type: 'array',
+            description: 'Requirements Traceability Matrix: the requirement IDs listed in the prompt, each mapped to the tasks that cover it',
+            items: {
+                type: 'object',
+                required: ['requirementId', 'taskIds'],
+                properties: {
+                    requirementId: { type: 'string' },
+                    requirement: { type: 'string' },
+                    source: { type: 'string', description: 'Source document file name' },
+                    taskIds: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Returns the prompt instructions for structured-output mode, embedding the schema.
+ * @returns {string} Instructions appended to the generation prompt
+ */
+function getStructuredPlanInstructions() {
+    return `Please generate a detailed Test Plan as a single JSON document that conforms to this JSON Schema:
+
+${JSON.stringify(TEST_PLAN_SCHEMA, null, 2)}
+
+IMPORTANT OUTPUT REQUIREMENTS:
+- Respond with the JSON document ONLY - no Markdown, no code fences, no commentary before or after it
+- Include every required property; use empty arrays rather than omitting optional lists
+- Priority, probability and impact values MUST be exactly one of: ${PRIORITY_LEVELS.join(', ')}
+- Dates MUST use the YYYY-MM-DD format and fall within the execution timeline
+- "flowDiagram" MUST be Mermaid.js flowchart source (graph TD or graph LR) depicting the complete testing flow, without code fences
+- Be specific about task assignments to each tester based on their experience and specialization
+- STRICTLY assign tasks based on specialization (e.g. Automation Testers for scripting, Manual Testers for test case creation/execution)
+- Keep string values CONCISE - maximum 2-3 sentences each`;
+}
+
+/**
+ * Parses a model response into a plan object, tolerating code fences and
+ * stray prose around the JSON document.
+ * @param {string} text - Raw model output
+ * @returns {object} Parsed plan
+ * @throws {Error} If no JSON document can be parsed
+ */
+function parseTestPlanJson(text) {
+    let json = text.trim();
+
+    // Strip ```json fences some models add despite the instructions
+    // (only around the document - string values may contain fences themselves)
+    const fenced = json.match(/^```(?:json)?\s*([\s\S]*?)```$/i);
+    if (fenced) {
+        json = fenced[1].trim();
+    }
+
+    // Fall back to the outermost object if there is prose around it
+    if (!json.startsWith('{')) {
+        const start = json.indexOf('{');
+        const end = json.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('The AI response did not contain a JSON test plan');
+        }
+        json = json.substring(start, end + 1);
+    }
+
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        throw new Error(`The AI response is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Validates a value against a (subset of) JSON Schema: type, required,
+ * properties, items, enum, pattern and minItems.
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema node
+ * @param {string} path - Path of the value, used in error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function validateAgainstSchema(value, schema, path, errors) {
+    const label = path || 'plan';
+
+    if (schema.type === 'object') {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path ? path + '.' : ''}${key} is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                validateAgainstSchema(value[key], childSchema, path ? `${path}.${key}` : key, errors);
+            }
+        });
+    } else if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            errors.push(`${label} must be an array`);
+            return;
+        }
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${label} must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+        }
+    } else if (schema.type === 'number') {
+        if (typeof value !== 'number' || isNaN(value)) {
+            errors.push(`${label} must be a number`);
+        }
+    } else if (schema.type === 'string') {
+        if (typeof value !== 'string') {
+            errors.push(`${label} must be a string`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${label} has an invalid format (got "${value}")`);
+        }
+    }
+}
+
+/**
+ * Validates a parsed plan against TEST_PLAN_SCHEMA.
+ * @param {object} plan - Parsed plan object
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateTestPlan(plan) {
+    const errors = [];
+    validateAgainstSchema(plan, TEST_PLAN_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Escapes a value for use inside a Markdown table cell.
+ * Arrays become <br> separated lines so lists stay inside one cell.
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function markdownCell(value) {
+    if (Array.isArray(value)) {
+        return value.map(markdownCell).join('<br>');
+    }
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+        return '-';
+    }
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Builds a GFM table.
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} Markdown table
+ */
+function markdownTable(headers, rows) {
+    const lines = [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Returns the object entries of a list, or an empty array when the value is
+ * not a list (the model's JSON can break the schema in any field).
+ * @param {*} items - Parsed JSON value
+ * @returns {object[]} Non-null object entries
+ */
+function objectEntries(items) {
+    return Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+}
+
+/**
+ * Returns the scalar entries of a list as strings, or an empty array when the
+ * value is not a list.
+ * @param {*} items - Parsed JSON value
+ * @returns {string[]} Entries as text
+ */
+function textEntries(items) {
+    return Array.isArray(items)
+        ? items.filter(item => item !== null && item !== undefined && typeof item !== 'object').map(String)
+        : [];
+}
+
+function markdownList(items) {
+    const entries = textEntries(items);
+    return entries.length > 0 ? entries.map(item => `- ${item}`).join('\n') : '_None specified_';
+}
+
+/**
+ * Renders a scalar as text, treating objects and missing values as empty.
+ * @param {*} value - Parsed JSON value
+ * @returns {string} Text
+ */
+function textValue(value) {
+    return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+}
+
+/**
+ * Returns the value when it is a plain object, otherwise an empty object.
+ * @param {*} value - Parsed JSON value
+ * @returns {object} Object
+ */
+function objectValue(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Renders a structured plan as Markdown, mirroring the sections of the
+ * free-form Markdown prompt so both modes look the same.
+ * @param {object} plan - Plan object (validated or partially valid)
+ * @returns {string} Markdown document
+ */
+function renderTestPlanMarkdown(plan) {
+    plan = objectValue(plan);
+    const scope = objectValue(plan.scope);
+    const strategy = objectValue(plan.strategy);
+    const sections = [];
+
+    sections.push(`# ${textValue(plan.title) || 'Test Plan'}`);
+
+    sections.push(`## 1. Test Plan Overview\n\n${textValue(plan.overview) || '_Not provided_'}`);
+
+    sections.push(`## 2. Test Scope and Objectives
+
+### In Scope
+${markdownList(scope.inScope)}
+
+### Out of Scope
+${markdownList(scope.outOfScope)}
+
+### Objectives
+${markdownList(scope.objectives)}`);
+
+    let strategyText = `## 3. Test Strategy\n\n${textValue(strategy.approach) || '_Not provided_'}`;
+    if (textEntries(strategy.testLevels).length > 0) {
+        strategyText += `\n\n**Test Levels**\n${markdownList(strategy.testLevels)}`;
+    }
+    if (textEntries(strategy.testTypes).length > 0) {
+        strategyText += `\n\n**Test Types**\n${markdownList(strategy.testTypes)}`;
+    }
+    sections.push(strategyText);
+
+    sections.push(`## 4. Test Environment Requirements\n\n${markdownList(plan.environment)}`);
+
+    sections.push(`## 5. Test Deliverables\n\n${markdownList(plan.deliverables)}`);
+
+    sections.push(`## 6. Resource Allocation\n\n${markdownTable(
+        ['Tester Name/ID', 'Years of Experience', 'Specialization', 'Assigned Tasks/Modules', 'Estimated Effort', 'Responsibilities'],
+        objectEntries(plan.resources).map(r => [r.tester, r.experienceYears, r.specialization, r.assignedModules, r.estimatedEffort, r.responsibilities])
+    )}`);
+
+    sections.push(`## 7. Task Allocation\n\n${markdownTable(
+        ['Task ID', 'Task Description', 'Assigned Tester', 'Priority', 'Status', 'Dependencies', 'Estimated Duration'],
+        objectEntries(plan.tasks).map(t => [t.id, t.description, t.assignedTester, t.priority, t.status, textEntries([].concat(t.dependencies ?? [])).join(', '), t.estimatedDuration])
+    )}`);
+
+    sections.push(`## 8. Test Schedule/Timeline\n\n${markdownTable(
+        ['Phase/Milestone', 'Start Date', 'End Date', 'Duration', 'Responsible Tester', 'Deliverables'],
+        objectEntries(plan.schedule).map(s => [s.phase, s.startDate, s.endDate, s.duration, s.responsibleTester, s.deliverables])
+    )}`);
+
+    const diagram = textValue(plan.flowDiagram).replace(/^```(?:mermaid)?\s*|```\s*$/g, '').trim();
+    sections.push(`## 9. End to End Flow Diagram\n\n${diagram ? '```mermaid\n' + diagram + '\n```' : '_Not provided_'}`);
+
+    sections.push(`## 10. Risk Assessment\n\n${markdownTable(
+        ['Risk ID', 'Risk Description', 'Probability', 'Impact', 'Mitigation Strategy', 'Owner'],
+        objectEntries(plan.risks).map(r => [r.id, r.description, r.probability, r.impact, r.mitigation, r.owner])
+    )}`);
+
+    sections.push(`## 11. Entry and Exit Criteria
+
+### Entry Criteria
+${markdownList(plan.entryCriteria)}
+
+### Exit Criteria
+${markdownList(plan.exitCriteria)}`);
+
+    const traceability = objectEntries(plan.traceability);
+    if (traceability.length > 0) {
+        sections.push(`## 12. Requirements Traceability Matrix\n\n${markdownTable(
+            ['Requirement ID', 'Requirement', 'Source Document', 'Task IDs', 'Coverage Status'],
+            traceability.map(t => {
+                const taskIds = textEntries([].concat(t.taskIds ?? []));
+                return [t.requirementId, t.requirement, t.source, taskIds.join(', '), taskIds.length > 0 ? 'Covered' : 'Not Covered'];
+            })
+        )}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEST_PLAN_SCHEMA,
+        getStructuredPlanInstructions,
+        parseTestPlanJson,
+        validateTestPlan,
+        renderTestPlanMarkdown,
+        markdownTable
+    };
+}
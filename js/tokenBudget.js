@@ -0,0 +1,301 @@
+/**
+ * Token budgeting for large requirement documents
+ *
+ * Estimates the size of the assembled prompt, checks it against the
+ * selected model's context window and, when the documents do not fit,
+ * summarises them chunk by chunk into a requirements digest (map-reduce)
+ * that replaces the full text in the final plan prompt.
+ */
+
+// Rough average for English prose; other scripts are closer to one token per character
+const CHARS_PER_TOKEN = 4;
+
+// Used when neither the model catalog nor the user specified a context window
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Estimates are approximate, so only this share of the input budget is used
+const CONTEXT_SAFETY_FACTOR = 0.9;
+
+// Chunks are kept small enough for a focused summary even on very large context windows
+const MAX_CHUNK_TOKENS = 24000;
+
+// Smaller chunks would take hundreds of summarisation calls for an ordinary document
+const MIN_CHUNK_TOKENS = 1000;
+
+// Tokens reserved for the instructions wrapped around each chunk
+const CHUNK_PROMPT_OVERHEAD_TOKENS = 500;
+
+// Digest merge rounds before giving up on shrinking the digest further
+const MAX_REDUCE_ROUNDS = 3;
+
+const CHUNKING_MODES = ['auto', 'always', 'off'];
+
+/**
+ * Estimates the number of tokens in a text.
+ * @param {string} text - Any text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+    return Math.ceil((text.length - nonAscii) / CHARS_PER_TOKEN + nonAscii);
+}
+
+/**
+ * Context window of a model: from the provider catalog, else the user's setting, else a conservative default.
+ * @param {object} model - Model descriptor
+ * @param {object} settings - Resolved provider settings
+ * @returns {number} Context window in tokens
+ */
+function getContextWindow(model, settings) {
+    return model.contextWindow || parseInt(settings.contextWindow) || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Tokens available for the prompt once room is left for the answer.
+ * @param {number} contextWindow - Model context window
+ * @param {number} maxTokens - Requested max output tokens
+ * @returns {number} Input token budget
+ */
+function getInputBudget(contextWindow, maxTokens) {
+    // Never reserve more than half the window for output, or small models get no input at all
+    const outputReserve = Math.min(maxTokens, Math.floor(contextWindow / 2));
+    return Math.floor((contextWindow - outputReserve) * CONTEXT_SAFETY_FACTOR);
+}
+
+/**
+ * Maximum size of a single document chunk for the map step.
+ * @param {number} inputBudget - Input token budget of the model
+ * @returns {number} Chunk size in tokens, or 0 if the context window cannot hold a chunk of MIN_CHUNK_TOKENS
+ */
+function getChunkTokenLimit(inputBudget) {
+    const limit = Math.min(MAX_CHUNK_TOKENS, inputBudget - CHUNK_PROMPT_OVERHEAD_TOKENS);
+    return limit >= MIN_CHUNK_TOKENS ? limit : 0;
+}
+
+/**
+ * Decides whether the document is sent whole or summarised in chunks first.
+ * @param {object} params - { promptTokens, contextWindow, maxTokens, chunking ('auto' | 'always' | 'off') }
+ * @returns {{mode: string, fits: boolean, promptTokens: number, inputBudget: number, contextWindow: number}}
+ */
+function planDocumentProcessing({ promptTokens, contextWindow, maxTokens, chunking = 'auto' }) {
+    const inputBudget = getInputBudget(contextWindow, maxTokens);
+    const fits = promptTokens <= inputBudget;
+    const chunked = chunking === 'always' || (chunking !== 'off' && !fits);
+
+    return { mode: chunked ? 'chunked' : 'direct', fits, promptTokens, inputBudget, contextWindow };
+}
+
+// Markdown headings, numbered headings ("3.2 User Login") and form feeds (page breaks) start a new section
+const SECTION_BREAK = /^(#{1,6}\s|\d+(\.\d+)*\.?\s+[A-Z]|\f)/;
+
+/**
+ * Splits a document into sections at headings and page breaks.
+ * @param {string} text - Document text
+ * @returns {string[]} Sections in document order
+ */
+function splitIntoSections(text) {
+    const sections = [];
+    let current = [];
+
+    text.split('\n').forEach(line => {
+        if (SECTION_BREAK.test(line) && current.some(l => l.trim())) {
+            sections.push(current.join('\n'));
+            current = [];
+        }
+        current.push(line);
+    });
+    if (current.some(l => l.trim())) {
+        sections.push(current.join('\n'));
+    }
+
+    return sections;
+}
+
+/**
+ * Cuts a piece that is larger than a chunk on line boundaries, and very long
+ * lines (e.g. one PDF page per line) on whitespace.
+ * @param {string} piece - Oversized text
+ * @param {number} maxTokens - Chunk size in tokens
+ * @returns {string[]} Pieces that each fit in a chunk
+ */
+function splitOversized(piece, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const parts = [];
+
+    piece.split('\n').forEach(line => {
+        while (estimateTokens(line) > maxTokens) {
+            const cut = line.lastIndexOf(' ', maxChars);
+            const end = cut > maxChars / 2 ? cut : maxChars;
+            parts.push(line.substring(0, end));
+            line = line.substring(end).trimStart();
+        }
+        parts.push(line);
+    });
+
+    return parts;
+}
+
+/**
+ * Splits a document into chunks of at most maxTokens, keeping sections together where possible.
+ * @param {string} text - Document text
+ * @param {number} maxTokens - Chunk size in tokens
+ * @returns {string[]} Chunks in document order
+ */
+function splitDocument(text, maxTokens) {
+    const chunks = [];
+    let current = '';
+    let currentTokens = 0;
+
+    const add = (piece) => {
+        const pieceTokens = estimateTokens(piece);
+        if (current && currentTokens + pieceTokens > maxTokens) {
+            chunks.push(current);
+            current = '';
+            currentTokens = 0;
+        }
+        current += (current ? '\n' : '') + piece;
+        currentTokens += pieceTokens;
+    };
+
+    splitIntoSections(text).forEach(section => {
+        if (estimateTokens(section) <= maxTokens) {
+            add(section);
+        } else {
+            splitOversized(section, maxTokens).forEach(add);
+        }
+    });
+    if (current.trim()) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Prompt for the map step: extract the requirements of one chunk.
+ * @param {string} chunk - Document chunk
+ * @param {string} documentName - Name of the document the chunk belongs to
+ * @param {number} index - 1-based chunk number within the document
+ * @param {number} total - Number of chunks of the document
+ * @returns {string} Prompt
+ */
+function buildChunkDigestPrompt(chunk, documentName, index, total) {
+    return `You are reading part ${index} of ${total} of the requirements document "${documentName}", which is too long to process at once.
+Extract everything a QA Lead needs to plan testing from this part, as concise Markdown bullet points grouped by module/feature:
+- Functional requirements (keep requirement IDs such as "REQ-12" or "FR-3.1" exactly as written)
+- Non-functional requirements (performance, security, usability, compliance) with their exact numbers
+- Business rules, user roles, external interfaces and integrations
+- Constraints, assumptions and acceptance criteria
+
+Do NOT invent anything that is not in the text, do NOT write a test plan and do NOT add commentary.
+If this part contains no requirements (e.g. a table of contents), answer with "No requirements in this part."
+
+DOCUMENT PART ${index} OF ${total}:
+${chunk}`;
+}
+
+/**
+ * Prompt for the reduce step: merge partial digests into one.
+ * @param {string} digests - Partial digests
+ * @returns {string} Prompt
+ */
+function buildDigestMergePrompt(digests) {
+    return `Merge the following partial requirement digests of a set of requirements documents into a single digest.
+Group the bullet points by module/feature, remove duplicates, keep every requirement ID and exact number, and keep it as concise as possible.
+Keep the "Source:" document name of every point (when points from several documents are merged, list all of their sources).
+Do NOT invent anything and do NOT add commentary.
+
+PARTIAL DIGESTS:
+${digests}`;
+}
+
+/**
+ * Splits every document into chunks; a chunk never mixes two documents.
+ * @param {Array<{name: string, text: string}>} documents - Documents to split
+ * @param {number} chunkTokens - Chunk size in tokens
+ * @returns {Array<{name: string, text: string, index: number, total: number}>} Chunks in document order
+ */
+function splitDocuments(documents, chunkTokens) {
+    return documents.flatMap(({ name, text }) => {
+        const chunks = splitDocument(text, chunkTokens);
+        return chunks.map((chunk, i) => ({ name, text: chunk, index: i + 1, total: chunks.length }));
+    });
+}
+
+/**
+ * Summarises documents into a requirements digest that fits the token budget.
+ * @param {Array<{name: string, text: string}>} documents - Documents to summarise
+ * @param {object} options - { chunkTokens, digestTokens, summarize(prompt, step), onProgress(step) }
+ *        digestTokens is the room the plan prompt leaves for the digest (defaults to chunkTokens);
+ *        summarize sends one prompt to the model and resolves to its answer;
+ *        step is { phase: 'map' | 'reduce', index, total, round, documentName }
+ * @returns {Promise<{digest: string, chunks: number, rounds: number}>} Digest and how it was produced
+ * @throws {Error} If the context window is too small for a chunk, or the digest still does not fit after MAX_REDUCE_ROUNDS
+ */
+async function summarizeDocuments(documents, { chunkTokens, digestTokens = chunkTokens, summarize, onProgress = () => { } }) {
+    if (!(chunkTokens >= MIN_CHUNK_TOKENS)) {
+        throw new Error(`The model's context window is too small to summarise the documents - a chunk needs at least ${formatTokenCount(MIN_CHUNK_TOKENS + CHUNK_PROMPT_OVERHEAD_TOKENS)} input tokens. Choose a model with a larger context window.`);
+    }
+
+    const chunks = splitDocuments(documents, chunkTokens);
+    const partials = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const step = { phase: 'map', index: i + 1, total: chunks.length, round: 0, documentName: chunk.name };
+        onProgress(step);
+        const answer = await summarize(buildChunkDigestPrompt(chunk.text, chunk.name, chunk.index, chunk.total), step);
+        partials.push(`### Source: ${chunk.name} (part ${chunk.index} of ${chunk.total})\n${answer.trim()}`);
+    }
+
+    let digest = partials.join('\n\n');
+    let rounds = 0;
+
+    // Merge the partial digests until they fit into the plan prompt
+    while (estimateTokens(digest) > digestTokens && rounds < MAX_REDUCE_ROUNDS) {
+        rounds++;
+        const groups = splitDocument(digest, chunkTokens);
+        const merged = [];
+
+        for (let i = 0; i < groups.length; i++) {
+            const step = { phase: 'reduce', index: i + 1, total: groups.length, round: rounds, documentName: null };
+            onProgress(step);
+            merged.push((await summarize(buildDigestMergePrompt(groups[i]), step)).trim());
+        }
+        digest = merged.join('\n\n');
+    }
+
+    if (estimateTokens(digest) > digestTokens) {
+        throw new Error(`The requirements digest is still ≈${formatTokenCount(estimateTokens(digest))} tokens after ${rounds} merge round(s), more than the ≈${formatTokenCount(Math.max(0, digestTokens))} tokens the plan prompt has room for. Choose a model with a larger context window or remove documents.`);
+    }
+
+    return { digest, chunks: chunks.length, rounds };
+}
+
+/**
+ * Short, human readable token count ("850", "12.3k", "1.2M").
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count
+ */
+function formatTokenCount(tokens) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+    return String(tokens);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHUNKING_MODES,
+        estimateTokens,
+        getContextWindow,
+        getInputBudget,
+        getChunkTokenLimit,
+        planDocumentProcessing,
+        splitDocument,
+        splitDocuments,
+        summarizeDocuments,
+        formatTokenCount
+    };
+}
@@ -0,0 +1,331 @@
+/**
+ * Requirements traceability
+ *
+ * Extracts requirement identifiers from the document text so they can be
+ * listed in the prompt, then checks the Requirements Traceability Matrix of
+ * the generated plan against them: every requirement should be mapped to
+ * at least one task of the Task Allocation table. Generated test cases and
+ * feature files are checked the same way: every requirement should be
+ * verified by a test case or a tagged scenario.
+ */
+
+// IDs such as REQ-012, FR-3.2, NFR_07 or SRS-FR-001
+const REQUIREMENT_ID = /\b[A-Z]{2,10}(?:-[A-Z]{2,10})*[-_]\d+(?:\.\d+)*\b/g;
+
+// Prefixes that are requirement IDs even if a document uses only one of them
+const REQUIREMENT_PREFIXES = new Set(['REQ', 'RQ', 'FR', 'NFR', 'BR', 'UR', 'SR', 'SYS', 'SRS', 'US', 'UC', 'AC']);
+
+// Standards, encodings and algorithms that look like IDs (ISO-9001, UTF-8, SHA-256)
+const NON_REQUIREMENT_PREFIXES = new Set([
+    'ISO', 'IEC', 'IEEE', 'EN', 'ANSI', 'ECMA', 'RFC', 'UTF', 'ASCII', 'SHA', 'MD', 'AES', 'RSA',
+    'TLS', 'SSL', 'HTTP', 'HTTPS', 'IPV', 'WCAG', 'OWASP', 'CVE', 'CWE', 'PCI', 'COVID'
+]);
+
+// Multi-level numbered "shall"/"must" statements without an ID ("3.2.1 The system shall ...").
+// Single numbers are left out: every list restarts at 1, so they identify nothing.
+const SHALL_STATEMENT = /^\s*(?:[-*]\s+)?(\d+(?:\.\d+)+)[.)]?\s+(.*\b(?:shall|must)\b.*)$/i;
+
+const MAX_REQUIREMENT_TEXT = 120;
+
+// Task cells that mean "no task"
+const NO_TASK = /^(?:-+|—|none|n\/a|tbd|not covered|unmapped)?$/i;
+
+// Header patterns of the Task ID column of a task table (for findColumn)
+const TASK_ID_COLUMN = [[/task/i, /id/i], [/^id$/i]];
+
+/**
+ * Short description of a requirement from the line that mentions it.
+ * @param {string} line - Line of the document (prose or Markdown table row)
+ * @param {string} id - Requirement ID
+ * @returns {string} Description without the ID and Markdown markers
+ */
+function describeRequirement(line, id) {
+    const text = line.trim().startsWith('|')
+        ? line.split('|').map(cell => cell.trim()).filter(cell => cell && !cell.includes(id)).join(' - ')
+        : line.replace(id, ' ');
+    const clean = text
+        .replace(/[#*_`>]/g, '')
+        .replace(/^[\s\-–:.)\]]+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return clean.length > MAX_REQUIREMENT_TEXT ? `${clean.substring(0, MAX_REQUIREMENT_TEXT - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Extracts the requirements of a set of documents: explicit IDs and numbered "shall" statements.
+ * An ID is kept if its prefix is a common requirement prefix or is used by at least two IDs.
+ * @param {Array<{name: string, text: string}>} documents - Documents
+ * @returns {Array<{id: string, text: string, source: string}>} Requirements in order of first mention
+ */
+function extractRequirements(documents) {
+    const found = new Map();
+
+    const add = (id, text, source, explicit) => {
+        const known = found.get(id);
+        if (!known) {
+            found.set(id, { id, text, source, explicit });
+        } else if (!known.text && text) {
+            known.text = text; // Mentioned before it was described (e.g. in a table of contents)
+        }
+    };
+
+    documents.forEach((doc, docIndex) => {
+        doc.text.split('\n').forEach(line => {
+            const ids = [...new Set(line.match(REQUIREMENT_ID) || [])]
+                .filter(id => !NON_REQUIREMENT_PREFIXES.has(id.split(/[-_]/)[0]));
+
+            if (ids.length > 0) {
+                ids.forEach(id => add(id, describeRequirement(line, id), doc.name, true));
+                return;
+            }
+
+            const statement = line.match(SHALL_STATEMENT);
+            if (statement) {
+                // Section numbers repeat across documents, so they are qualified by the document number
+                const id = documents.length > 1 ? `D${docIndex + 1}-§${statement[1]}` : `§${statement[1]}`;
+                add(id, describeRequirement(statement[2], ''), doc.name, false);
+            }
+        });
+    });
+
+    const prefixOf = (id) => id.replace(/[-_]\d[\d.]*$/, '');
+    const prefixCounts = new Map();
+    found.forEach(req => {
+        if (req.explicit) prefixCounts.set(prefixOf(req.id), (prefixCounts.get(prefixOf(req.id)) || 0) + 1);
+    });
+
+    return [...found.values()]
+        .filter(req => !req.explicit || prefixCounts.get(prefixOf(req.id)) >= 2 || REQUIREMENT_PREFIXES.has(req.id.split(/[-_]/)[0]))
+        .map(({ id, text, source }) => ({ id, text, source }));
+}
+
+/**
+ * Lists the requirements for the plan prompt.
+ * @param {Array<object>} requirements - Extracted requirements
+ * @returns {string} One line per requirement
+ */
+function formatRequirementsForPrompt(requirements) {
+    return requirements
+        .map(req => `- ${req.id} [${req.source}]${req.text ? `: ${req.text}` : ''}`)
+        .join('\n');
+}
+
+/**
+ * Prompt instructions for the traceability matrix.
+ * @param {string} outputFormat - 'markdown' or 'json'
+ * @param {number} [sectionNumber] - Number of the matrix section in the Markdown plan (after the template's sections)
+ * @returns {string} Instructions
+ */
+function getTraceabilityInstructions(outputFormat, sectionNumber = 12) {
+    if (outputFormat === 'json') {
+        return `- "traceability" MUST contain one entry for EVERY requirement ID in the REQUIREMENT IDS list (IDs exactly as written), with the IDs of the tasks in "tasks" that cover it; use an empty "taskIds" array for a requirement no task covers`;
+    }
+    return `${sectionNumber}. **Requirements Traceability Matrix** - MUST be presented as a TABLE with columns:
+   - Requirement ID (one row for EVERY ID in the REQUIREMENT IDS list, exactly as written)
+   - Requirement (brief)
+   - Source Document
+   - Task IDs (the Task IDs from the plan's task table that cover it, comma separated)
+   - Coverage Status (Covered / Not Covered)`;
+}
+
+/**
+ * Splits a Markdown table row into cell texts (escaped pipes stay in the cell).
+ * @param {string} line - Table row
+ * @returns {string[]} Cells
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Finds the tables of a Markdown document with the heading they belong to.
+ * Bold-only lines ("**7. Task Allocation**") count as headings too.
+ * @param {string} markdown - Markdown document
+ * @returns {Array<{heading: string, header: string[], rows: string[][]}>} Tables in document order
+ */
+function parseMarkdownTables(markdown) {
+    const tables = [];
+    let heading = '';
+    let table = null;
+    let inFence = false;
+
+    markdown.split('\n').forEach(raw => {
+        const line = raw.trim();
+        if (line.startsWith('```')) inFence = !inFence;
+        if (inFence) return;
+
+        if (line.startsWith('|')) {
+            const cells = splitTableRow(line);
+            if (!table) {
+                table = { heading, header: cells, rows: [] };
+                tables.push(table);
+            } else if (!cells.every(cell => /^:?-+:?$/.test(cell))) {
+                table.rows.push(cells);
+            }
+            return;
+        }
+
+        table = null;
+        if (/^#{1,6}\s/.test(line) || /^\*\*[^*]+\*\*:?$/.test(line)) {
+            heading = line;
+        }
+    });
+
+    return tables;
+}
+
+/**
+ * Index of the first column whose header matches all patterns, or the fallback.
+ * @param {string[]} header - Header cells
+ * @param {RegExp[][]} candidates - Pattern sets, tried in order
+ * @param {number} fallback - Column used when nothing matches
+ * @returns {number} Column index
+ */
+function findColumn(header, candidates, fallback) {
+    for (const patterns of candidates) {
+        const index = header.findIndex(cell => patterns.every(pattern => pattern.test(cell)));
+        if (index >= 0) return index;
+    }
+    return fallback;
+}
+
+/**
+ * The plan's task table: Task Allocation, or the first table with a Task ID column outside the
+ * traceability matrix (templates other than the standard one call it "Testing Tasks", "Test Tasks", ...).
+ * @param {Array<object>} tables - Tables from parseMarkdownTables()
+ * @returns {object|undefined} Task table
+ */
+function findTaskTable(tables) {
+    return tables.find(table => /task allocation/i.test(table.heading))
+        || tables.find(table => !/traceability/i.test(table.heading) && findColumn(table.header, [[/task/i, /id/i]], -1) >= 0);
+}
+
+/**
+ * Regular expression matching an ID as a whole token (REQ-1 does not match REQ-12).
+ * @param {string} id - ID
+ * @returns {RegExp} Pattern
+ */
+function idPattern(id) {
+    const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w.§-])${escaped}(?![\\w§-]|\\.\\d)`, 'i');
+}
+
+/**
+ * Whether a text mentions an ID as a whole token.
+ * @param {string} text - Text, e.g. a table cell
+ * @param {string} id - Requirement or task ID
+ * @returns {boolean} True if the ID occurs in the text
+ */
+function mentionsId(text, id) {
+    return idPattern(id).test(text);
+}
+
+/**
+ * Checks the Requirements Traceability Matrix of a plan against the extracted requirements.
+ * @param {string} markdown - Plan Markdown
+ * @param {Array<object>} requirements - Extracted requirements
+ * @returns {{matrixFound: boolean, requirements: Array<object>, unmapped: Array<object>}}
+ *          Every requirement with the task IDs mapped to it, and those without any task
+ */
+function analyzeTraceability(markdown, requirements) {
+    const tables = parseMarkdownTables(markdown);
+    const matrix = tables.find(table => /traceability/i.test(table.heading));
+    const taskTable = findTaskTable(tables);
+
+    let taskIds = [];
+    if (taskTable) {
+        const idColumn = findColumn(taskTable.header, TASK_ID_COLUMN, 0);
+        taskIds = taskTable.rows.map(row => (row[idColumn] || '').replace(/[*_`]/g, '').trim()).filter(Boolean);
+    }
+
+    const rows = [];
+    if (matrix) {
+        const requirementColumn = findColumn(matrix.header, [[/req/i, /id/i], [/req/i]], 0);
+        const taskColumn = findColumn(matrix.header, [[/task/i]], -1);
+        matrix.rows.forEach(row => {
+            const taskText = taskColumn >= 0
+                ? row[taskColumn] || ''
+                : row.filter((cell, i) => i !== requirementColumn).join(' ');
+            rows.push({ requirementText: row[requirementColumn] || '', taskText: taskText.replace(/[*_`]/g, '').trim() });
+        });
+    }
+
+    const traced = requirements.map(req => {
+        const pattern = idPattern(req.id);
+        const mappedTasks = new Set();
+        rows.filter(row => pattern.test(row.requirementText)).forEach(row => {
+            if (taskIds.length > 0) {
+                taskIds.filter(taskId => idPattern(taskId).test(row.taskText)).forEach(taskId => mappedTasks.add(taskId));
+            } else if (!NO_TASK.test(row.taskText)) {
+                mappedTasks.add(row.taskText); // No Task Allocation table to check the IDs against
+            }
+        });
+        return { ...req, taskIds: [...mappedTasks], mapped: mappedTasks.size > 0 };
+    });
+
+    return { matrixFound: Boolean(matrix), requirements: traced, unmapped: traced.filter(req => !req.mapped) };
+}
+
+/**
+ * Checks which requirements the generated test cases verify, using the Requirement
+ * column of every test case table.
+ * @param {string} markdown - Test cases Markdown
+ * @param {Array<object>} requirements - Extracted requirements
+ * @returns {{requirements: Array<object>, unmapped: Array<object>}}
+ *          Every requirement with the IDs of its test cases, and those without any
+ */
+function analyzeTestCaseCoverage(markdown, requirements) {
+    const rows = parseMarkdownTables(markdown)
+        .filter(table => table.header.some(cell => /test\s*case/i.test(cell)))
+        .flatMap(table => {
+            const idColumn = findColumn(table.header, [[/test\s*case/i, /id/i], [/^id$/i]], 0);
+            const requirementColumn = findColumn(table.header, [[/req/i]], -1);
+            if (requirementColumn < 0) return [];
+            return table.rows.map(row => ({
+                testCaseId: (row[idColumn] || '').replace(/[*_`]/g, '').trim(),
+                requirementText: row[requirementColumn] || ''
+            }));
+        });
+
+    const traced = requirements.map(req => {
+        const testCaseIds = rows.filter(row => mentionsId(row.requirementText, req.id)).map(row => row.testCaseId);
+        return { ...req, testCaseIds, mapped: testCaseIds.length > 0 };
+    });
+
+    return { requirements: traced, unmapped: traced.filter(req => !req.mapped) };
+}
+
+/**
+ * Checks which requirements the generated feature files verify, using the tags of
+ * their features and scenarios (e.g. @REQ-012).
+ * @param {Array<{path: string, tags: Array<string>}>} featureFiles - Validated feature files
+ * @param {Array<object>} requirements - Extracted requirements
+ * @returns {{requirements: Array<object>, unmapped: Array<object>}}
+ *          Every requirement with the paths of the files that tag it, and those without any
+ */
+function analyzeFeatureCoverage(featureFiles, requirements) {
+    const traced = requirements.map(req => {
+        const featurePaths = featureFiles
+            .filter(file => file.tags.some(tag => mentionsId(tag, req.id)))
+            .map(file => file.path);
+        return { ...req, featurePaths, mapped: featurePaths.length > 0 };
+    });
+
+    return { requirements: traced, unmapped: traced.filter(req => !req.mapped) };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        extractRequirements,
+        formatRequirementsForPrompt,
+        getTraceabilityInstructions,
+        parseMarkdownTables,
+        findColumn,
+        findTaskTable,
+        mentionsId,
+        analyzeTraceability,
+        analyzeTestCaseCoverage,
+        analyzeFeatureCoverage
+    };
+}
@@ -24,38 +24,51 @@ function calculateWorkingDays(start, end) {
 }
 
 /**
- * Extracts text content from a File object (PDF or Text).
+ * Returns the lower-case extension of a file name ("" if it has none).
+ * @param {string} name - File name
+ * @returns {string} Extension without the dot
+ */
+function getFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.substring(dot + 1).toLowerCase();
+}
+
+// Formats read as binary; the rest are read as text
+const BINARY_DOCUMENT_TYPES = ['pdf', 'docx'];
+
+// Documents with fewer letters and digits than this are treated as unreadable
+const MIN_DOCUMENT_TEXT_CHARS = 50;
+
+/**
+ * Extracts text content from a File object (PDF, Word, Markdown, HTML or Text).
+ * Word and HTML documents are converted to Markdown to keep their headings, lists and tables;
+ * scanned PDF pages are read with OCR.
  * @param {File} file - The file to unpack
- * @returns {Promise<string>} The extracted text content
+ * @param {object} [options] - { onProgress, signal } passed to the PDF extractor for OCR progress and cancellation
+ * @returns {Promise<{text: string, pageCount: number|null, ocrPages: number, ocrFailure: object|null}>} The extracted
+ *          text, and for PDFs the page count, the number of OCR'd pages and the pages OCR failed on (see extractPdfText)
+ * @throws {Error} If the format is unsupported or almost no text could be extracted
  */
-async function extractTextFromFile(file) {
-    return new Promise((resolve, reject) => {
+async function extractDocument(file, options = {}) {
+    const extension = file.type === 'application/pdf' ? 'pdf' : getFileExtension(file.name);
+
+    const result = await new Promise((resolve, reject) => {
         const reader = new FileReader();
 
         reader.onload = async (e) => {
             try {
-                if (file.type === 'application/pdf' || file.name.endsWith('.pdf')) {
+                if (extension === 'pdf') {
                     // Extract text from PDF
-                    if (typeof pdfjsLib === 'undefined') {
-                        reject(new Error('PDF.js library not loaded'));
-                        return;
-                    }
-                    
-                    const arrayBuffer = e.target.result;
-                    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-                    let fullText = '';
-
-                    for (let i = 1; i <= pdf.numPages; i++) {
-                        const page = await pdf.getPage(i);
-                        const textContent = await page.getTextContent();
-                        const pageText = textContent.items.map(item => item.str).join(' ');
-                        fullText += pageText + '\n';
-                    }
-
-                    resolve(fullText);
-                } else if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
+                    resolve(await extractPdfText(e.target.result, options));
+                } else if (extension === 'docx') {
+                    resolve({ text: await extractDocxMarkdown(e.target.result), pageCount: null, ocrPages: 0 });
+                } else if (extension === 'html' || extension === 'htm') {
+                    resolve({ text: htmlToMarkdown(e.target.result), pageCount: null, ocrPages: 0 });
+                } else if (extension === 'md' || extension === 'markdown') {
+                    resolve({ text: normalizeMarkdown(e.target.result), pageCount: null, ocrPages: 0 });
+                } else if (file.type === 'text/plain' || extension === 'txt') {
                     // Extract text from TXT
-                    resolve(e.target.result);
+                    resolve({ text: e.target.result, pageCount: null, ocrPages: 0 });
                 } else {
                     reject(new Error('Unsupported file type'));
                 }
@@ -66,51 +79,149 @@ async function extractTextFromFile(file) {
 
         reader.onerror = reject;
 
-        if (file.type === 'application/pdf' || file.name.endsWith('.pdf')) {
+        if (BINARY_DOCUMENT_TYPES.includes(extension)) {
             reader.readAsArrayBuffer(file);
         } else {
             reader.readAsText(file);
         }
     });
+
+    // An (almost) empty requirements section makes the model invent a generic plan
+    const characters = result.text.replace(/[^\p{L}\p{N}]/gu, '').length;
+    if (characters < MIN_DOCUMENT_TEXT_CHARS) {
+        let ocrNote = '';
+        if (result.ocrPages > 0) ocrNote = `, even after OCR of ${result.ocrPages} scanned page(s)`;
+        if (result.ocrFailure) ocrNote = ` - OCR of the scanned pages failed: ${result.ocrFailure.message}`;
+        throw new Error(`Almost no text could be extracted (${characters} letters/digits${ocrNote}). Use a text-based or clearer copy of this document`);
+    }
+
+    return result;
+}
+
+/**
+ * Formats a byte count for display ("850 B", "12.4 KB", "3.1 MB").
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
  * Validates an API key against provider specific formats.
  * @param {string} key - The API key to validate
- * @param {object} provider - The provider object containing validation rules
+ * @param {string} providerId - Id of a provider registered in providers.js
  * @returns {boolean} True if valid, false otherwise
  */
-function validateApiKey(key, provider) {
+function validateApiKey(key, providerId) {
     if (!key || key.length === 0) {
         return false;
     }
+    const provider = getProvider(providerId);
+    if (!provider) {
+        return false;
+    }
     return provider.validate(key);
 }
 
 /**
- * Extracts all CSS rules from the document's stylesheets.
- * Handles CORS issues gracefully.
- * @returns {string} Concatenated CSS rules
+ * Waits for the given time. Resolves early (instead of rejecting) when the
+ * signal is aborted, so callers can check the signal themselves.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
  */
-function extractCSSRules() {
-    let cssText = "";
-    for (let i = 0; i < document.styleSheets.length; i++) {
-        const sheet = document.styleSheets[i];
-        try {
-            const rules = sheet.cssRules || sheet.rules;
-            if (rules) {
-                for (let j = 0; j < rules.length; j++) {
-                    cssText += rules[j].cssText + "\n";
-                }
-            }
-        } catch (e) {
-            // CORS issue with external stylesheets - try to import them
-            if (sheet.href) {
-                cssText += `@import url("${sheet.href}");\n`;
-            }
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
         }
-    }
-    return cssText;
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Escapes HTML special characters so text can be inserted with innerHTML.
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// App notices (fallback model, truncation, template warnings - marked no-print) and controls are not part of an exported document
+const EXPORT_SKIPPED_ELEMENTS = 'button, .no-print';
+
+// Diagrams are rasterised at this multiple of their size so they stay sharp when zoomed
+const DIAGRAM_SCALE = 2;
+
+// Shown in exported documents in place of a diagram that could not be rasterised
+const DIAGRAM_FALLBACK_TEXT = '[Diagram could not be embedded - see the Markdown export for its Mermaid source]';
+
+/**
+ * Draws a rendered Mermaid diagram on a canvas with a white background.
+ * @param {SVGSVGElement} svg - Diagram rendered by Mermaid
+ * @returns {Promise<{canvas: HTMLCanvasElement, width: number, height: number}>} Canvas and diagram size in pixels
+ */
+async function renderDiagramCanvas(svg) {
+    const box = svg.viewBox?.baseVal;
+    const rect = svg.getBoundingClientRect();
+    const width = Math.ceil(box?.width || rect.width);
+    const height = Math.ceil(box?.height || rect.height);
+    if (!width || !height) throw new Error('Diagram has no size');
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * DIAGRAM_SCALE;
+    canvas.height = height * DIAGRAM_SCALE;
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Canvas is not available');
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.style.maxWidth = '';
+    const source = new XMLSerializer().serializeToString(clone);
+
+    // A data URL (unlike a blob URL) keeps the canvas exportable when labels use <foreignObject>
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('Diagram could not be loaded as an image'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+    });
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return { canvas, width, height };
+}
+
+/**
+ * Saves a Blob as a file through a temporary download link.
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Export functions for usage in other modules (if using modules)